@@ -0,0 +1,95 @@
+// =============================================================================
+// Attached files, as thumbnails and file chips
+//
+// Used in two places: under the composer for files waiting to be sent (with
+// a remove button each), and inside the user's bubble once sent. Images show
+// their thumbnail; other files show an icon, name and size.
+// =============================================================================
+
+import { formatFileSize } from "../lib/attachments";
+import { defaultTranslate } from "../lib/i18n";
+
+/**
+ * `attachments` are `{ id?, name, type, size, preview }`. Pass `onRemove(index)`
+ * to show remove buttons, and `t` to translate the labels (see lib/i18n.js).
+ */
+export default function AttachmentList({ attachments, onRemove, theme, color, t = defaultTranslate }) {
+  if (!attachments || attachments.length === 0) return null;
+
+  return (
+    <ul
+      aria-label={t("attachmentsLabel")}
+      style={{
+        listStyle: "none",
+        margin: "0 0 6px",
+        padding: "0",
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "6px",
+        whiteSpace: "normal",
+      }}
+    >
+      {attachments.map((attachment, index) => (
+        <li
+          key={attachment.id || `${attachment.name}-${index}`}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "6px",
+            maxWidth: "100%",
+            padding: attachment.preview ? "2px" : "4px 8px",
+            border: `1px solid ${theme.accentColor}`,
+            borderRadius: theme.buttonRadius,
+            fontSize: "12px",
+            color,
+          }}
+        >
+          {attachment.preview ? (
+            <img
+              src={attachment.preview}
+              alt={attachment.name}
+              style={{ display: "block", maxWidth: "96px", maxHeight: "72px", borderRadius: "4px" }}
+            />
+          ) : (
+            <>
+              <span aria-hidden="true">📄</span>
+              <span
+                style={{
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap",
+                  maxWidth: "140px",
+                }}
+              >
+                {attachment.name}
+              </span>
+              <span style={{ opacity: 0.7 }}>{formatFileSize(attachment.size)}</span>
+            </>
+          )}
+          {onRemove && (
+            <button
+              type="button"
+              aria-label={t("removeAttachment", { name: attachment.name })}
+              onClick={(e) => {
+                e.stopPropagation();
+                onRemove(index);
+              }}
+              style={{
+                background: "transparent",
+                border: "none",
+                padding: "0 2px",
+                color: "inherit",
+                fontFamily: theme.fontFamily,
+                fontSize: "14px",
+                lineHeight: 1,
+                cursor: "pointer",
+              }}
+            >
+              ×
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,219 @@
+// =============================================================================
+// Export menu for the chat widget
+//
+// A small "Export" button in the widget header that opens a menu to download
+// the conversation (Markdown, plain text or JSON) or copy a read-only share
+// link. Formats live in lib/transcript.js; share links are created by
+// /api/share.
+// =============================================================================
+
+import { useEffect, useRef, useState } from "react";
+import chatConfig from "../config/config"; // Import chat settings
+import { buildTranscript, downloadFile, EXPORT_FORMATS } from "../lib/transcript";
+import { defaultTranslate } from "../lib/i18n";
+
+/**
+ * `t` translates the menu's text, and `locale` the exported transcript's
+ * labels (see lib/i18n.js).
+ */
+export default function ExportMenu({
+  conversation,
+  sessionId,
+  flow,
+  theme,
+  locale = chatConfig.i18n.defaultLocale,
+  t = defaultTranslate,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  // Short confirmation read out after an action, e.g. "Link copied".
+  const [status, setStatus] = useState("");
+  const buttonRef = useRef(null);
+  const menuRef = useRef(null);
+  const statusTimerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(statusTimerRef.current), []);
+
+  // Focus the first item when the menu opens, and close it on outside clicks.
+  useEffect(() => {
+    if (!isOpen) return;
+    menuRef.current?.querySelector('[role="menuitem"]')?.focus();
+    const handlePointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target) && !buttonRef.current?.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("pointerdown", handlePointerDown);
+    return () => document.removeEventListener("pointerdown", handlePointerDown);
+  }, [isOpen]);
+
+  const showStatus = (text) => {
+    setStatus(text);
+    clearTimeout(statusTimerRef.current);
+    statusTimerRef.current = setTimeout(() => setStatus(""), 3000);
+  };
+
+  const closeMenu = () => {
+    setIsOpen(false);
+    buttonRef.current?.focus();
+  };
+
+  const download = (format) => {
+    const transcript = buildTranscript({ conversation, sessionId, flow, locale });
+    downloadFile(
+      `chat-${flow.name}-${sessionId}.${format.extension}`,
+      format.format(transcript),
+      format.mimeType
+    );
+    closeMenu();
+  };
+
+  const copyShareLink = async () => {
+    closeMenu();
+    try {
+      const res = await fetch("/api/share", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(buildTranscript({ conversation, sessionId, flow, locale })),
+      });
+      if (!res.ok) throw new Error(`Server error: ${res.status}`);
+      const { url } = await res.json();
+      await navigator.clipboard.writeText(new URL(url, window.location.origin).href);
+      showStatus(t("linkCopied"));
+    } catch (err) {
+      console.error("Sharing failed:", err);
+      showStatus(t("linkFailed"));
+    }
+  };
+
+  /**
+   * Arrow keys move between items; Escape closes the menu without closing
+   * the widget.
+   */
+  const handleMenuKeyDown = (e) => {
+    const items = [...menuRef.current.querySelectorAll('[role="menuitem"]')];
+    const index = items.indexOf(document.activeElement);
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      closeMenu();
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      items[(index + 1) % items.length].focus();
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      items[(index - 1 + items.length) % items.length].focus();
+    } else if (e.key === "Home") {
+      e.preventDefault();
+      items[0].focus();
+    } else if (e.key === "End") {
+      e.preventDefault();
+      items[items.length - 1].focus();
+    } else if (e.key === "Tab") {
+      setIsOpen(false);
+    }
+  };
+
+  const itemStyle = {
+    display: "block",
+    width: "100%",
+    padding: "8px 12px",
+    background: "transparent",
+    border: "none",
+    color: theme.textColor,
+    fontFamily: theme.fontFamily,
+    fontSize: "13px",
+    textAlign: "start",
+    whiteSpace: "nowrap",
+    cursor: "pointer",
+  };
+
+  return (
+    <div style={{ position: "relative" }} onClick={(e) => e.stopPropagation()}>
+      <button
+        ref={buttonRef}
+        type="button"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen((open) => !open)}
+        style={{
+          height: "32px",
+          background: "transparent",
+          border: "none",
+          color: theme.secondaryColor,
+          cursor: "pointer",
+          fontFamily: theme.fontFamily,
+          fontSize: "12px",
+          lineHeight: "1",
+          padding: "6px",
+          opacity: isOpen ? "1" : "0.7",
+          transition: "opacity 200ms ease",
+          WebkitTapHighlightColor: "transparent",
+          touchAction: "manipulation",
+          userSelect: "none",
+        }}
+        onMouseEnter={(e) => e.target.style.opacity = "1"}
+        onMouseLeave={(e) => e.target.style.opacity = isOpen ? "1" : "0.7"}
+      >
+        {status || t("export")}
+      </button>
+      {/* Announces the result of the last action to screen readers */}
+      <span role="status" className="visually-hidden">
+        {status}
+      </span>
+
+      {isOpen && (
+        <div
+          ref={menuRef}
+          role="menu"
+          aria-label={t("exportConversation")}
+          onKeyDown={handleMenuKeyDown}
+          style={{
+            position: "absolute",
+            top: "36px",
+            insetInlineEnd: "0",
+            zIndex: 10,
+            minWidth: "170px",
+            padding: "4px 0",
+            background: theme.backgroundColor,
+            border: `1px solid ${theme.agentBubbleBorder}`,
+            borderRadius: theme.buttonRadius,
+            boxShadow: theme.shadow,
+          }}
+        >
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.id}
+              type="button"
+              role="menuitem"
+              tabIndex={-1}
+              className="export-menu-item"
+              onClick={() => download(format)}
+              style={itemStyle}
+            >
+              {t("download", { format: format.label })}
+            </button>
+          ))}
+          {chatConfig.sharing.enabled && (
+            <button
+              type="button"
+              role="menuitem"
+              tabIndex={-1}
+              className="export-menu-item"
+              onClick={copyShareLink}
+              style={{ ...itemStyle, borderTop: `1px solid ${theme.agentBubbleBorder}` }}
+            >
+              {t("copyShareLink")}
+            </button>
+          )}
+        </div>
+      )}
+
+      <style jsx>{`
+        .export-menu-item:hover,
+        .export-menu-item:focus-visible {
+          outline: none;
+          background: rgba(127, 127, 127, 0.15) !important;
+        }
+      `}</style>
+    </div>
+  );
+}
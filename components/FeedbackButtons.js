@@ -0,0 +1,123 @@
+// =============================================================================
+// Thumbs up/down feedback for an agent reply
+//
+// Shows 👍 / 👎 under a reply. After a rating the visitor may add an optional
+// reason. The rating is sent as soon as it's clicked, and again with the
+// reason if one is given; /api/feedback keeps the latest for each message.
+// The chosen rating is stored on the message itself, so it survives reloads
+// along with the saved transcript.
+// =============================================================================
+
+import { useState } from "react";
+import { defaultTranslate } from "../lib/i18n";
+
+// `label` is the key of the button's name in the string bundles.
+const RATINGS = [
+  { value: "up", icon: "👍", label: "goodResponse" },
+  { value: "down", icon: "👎", label: "badResponse" },
+];
+
+/**
+ * `feedback` is the message's saved `{ rating, reason }`, if any.
+ * `onSubmit(rating, reason)` sends it and saves it on the message.
+ * `t` translates the buttons' text (see lib/i18n.js).
+ */
+export default function FeedbackButtons({ feedback, onSubmit, theme, t = defaultTranslate }) {
+  // True while the optional reason box is open.
+  const [askingReason, setAskingReason] = useState(false);
+  const [reason, setReason] = useState("");
+
+  const rate = (rating) => {
+    if (feedback?.rating === rating) return;
+    onSubmit(rating, "");
+    setReason("");
+    setAskingReason(true);
+  };
+
+  const sendReason = () => {
+    if (reason.trim()) onSubmit(feedback.rating, reason.trim());
+    setAskingReason(false);
+  };
+
+  const linkStyle = {
+    background: "transparent",
+    border: "none",
+    padding: "0",
+    color: theme.accentColor,
+    fontFamily: theme.fontFamily,
+    fontSize: "12px",
+    textDecoration: "underline",
+    cursor: "pointer",
+  };
+
+  return (
+    <div onClick={(e) => e.stopPropagation()}>
+      <div role="group" aria-label={t("rateReply")} style={{ display: "flex", gap: "4px" }}>
+        {RATINGS.map(({ value, icon, label }) => {
+          const isSelected = feedback?.rating === value;
+          return (
+            <button
+              key={value}
+              type="button"
+              aria-label={t(label)}
+              aria-pressed={isSelected}
+              onClick={() => rate(value)}
+              style={{
+                background: "transparent",
+                border: "none",
+                padding: "0 2px",
+                fontSize: "12px",
+                lineHeight: "1",
+                cursor: "pointer",
+                // Unselected ratings stay faint so the chosen one stands out.
+                opacity: isSelected ? 1 : feedback ? 0.3 : 0.6,
+              }}
+            >
+              <span aria-hidden="true">{icon}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {askingReason && (
+        <div style={{ marginTop: "6px", display: "flex", flexDirection: "column", gap: "4px" }}>
+          <input
+            type="text"
+            aria-label={t("feedbackReasonLabel")}
+            placeholder={t("feedbackReasonPlaceholder")}
+            dir="auto"
+            value={reason}
+            maxLength={1000}
+            onChange={(e) => setReason(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") sendReason();
+              if (e.key === "Escape") {
+                e.stopPropagation();
+                setAskingReason(false);
+              }
+            }}
+            style={{
+              padding: "4px 6px",
+              border: `1px solid ${theme.agentBubbleBorder}`,
+              borderRadius: "6px",
+              fontFamily: theme.fontFamily,
+              fontSize: "12px",
+            }}
+          />
+          <div style={{ display: "flex", gap: "8px" }}>
+            <button type="button" onClick={sendReason} style={linkStyle}>
+              {t("feedbackSend")}
+            </button>
+            <button type="button" onClick={() => setAskingReason(false)} style={linkStyle}>
+              {t("feedbackSkip")}
+            </button>
+          </div>
+        </div>
+      )}
+      {/* Confirms the rating to screen readers */}
+      <span role="status" className="visually-hidden">
+        {feedback ? t("feedbackThanks") : ""}
+      </span>
+    </div>
+  );
+}
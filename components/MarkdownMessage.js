@@ -0,0 +1,252 @@
+// =============================================================================
+// Markdown renderer for agent replies
+//
+// Renders GitHub-flavored markdown (tables, task lists, strikethrough),
+// syntax-highlighted code blocks with copy buttons, and styled headings,
+// lists and quotes inside the agent bubble. What may be rendered is decided
+// by lib/markdownPolicy.js.
+// =============================================================================
+
+import { useEffect, useRef, useState } from "react";
+import ReactMarkdown from "react-markdown"; //Allows rendering markdown, or text formatting
+import remarkGfm from "remark-gfm"; //Tables, task lists, strikethrough
+import rehypeHighlight from "rehype-highlight"; //Code highlighting
+import {
+  ALLOWED_ELEMENTS,
+  isAllowedElement,
+  isAllowedImageSource,
+  sanitizeUrl,
+} from "../lib/markdownPolicy";
+import { defaultTranslate } from "../lib/i18n";
+
+/**
+ * Collects the plain text inside a markdown syntax tree node.
+ */
+const getText = (node) =>
+  node.type === "text" ? node.value : (node.children || []).map(getText).join("");
+
+/**
+ * A small button that copies `text` to the clipboard and briefly confirms it.
+ * `t` translates its text (see lib/i18n.js).
+ */
+export const CopyButton = ({ text, label, theme, style, t = defaultTranslate }) => {
+  const [copied, setCopied] = useState(false);
+  const resetTimerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(resetTimerRef.current), []);
+
+  const copy = async (e) => {
+    e.stopPropagation();
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      clearTimeout(resetTimerRef.current);
+      resetTimerRef.current = setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error("Copy failed:", err);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={copy}
+      aria-label={copied ? t("copied") : label || t("copy")}
+      style={{
+        background: "transparent",
+        border: "none",
+        padding: "0",
+        color: theme.accentColor,
+        fontFamily: theme.fontFamily,
+        fontSize: "12px",
+        textDecoration: "underline",
+        cursor: "pointer",
+        ...style,
+      }}
+    >
+      {copied ? t("copied") : label || t("copy")}
+    </button>
+  );
+};
+
+/**
+ * Renders one agent reply. `t` translates the copy buttons.
+ */
+export default function MarkdownMessage({ content, theme, t = defaultTranslate }) {
+  return (
+    <div className="agent-markdown">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={[rehypeHighlight]}
+        skipHtml // Never render raw HTML from the agent
+        allowedElements={ALLOWED_ELEMENTS}
+        allowElement={isAllowedElement}
+        unwrapDisallowed
+        urlTransform={sanitizeUrl}
+        components={{
+          a: ({ node, href, ...props }) =>
+            href ? (
+              <a
+                {...props}
+                href={href}
+                target="_blank"
+                rel="noopener noreferrer"
+                style={{ color: theme.agentBubbleTextColor, textDecoration: "underline", fontWeight: "bold" }}
+              />
+            ) : (
+              // The URL was blocked by the policy; keep just the text.
+              <span>{props.children}</span>
+            ), // Configure links to open in new tabs
+          pre: ({ node, ...props }) => (
+            <div className="code-block">
+              <CopyButton
+                text={getText(node).replace(/\n$/, "")}
+                label={t("copyCode")}
+                theme={theme}
+                t={t}
+                style={{ position: "absolute", top: "6px", insetInlineEnd: "8px" }}
+              />
+              <pre {...props} />
+            </div>
+          ),
+          // Images from other sites could leak the chat; show their alt text.
+          img: ({ node, src, alt, ...props }) =>
+            isAllowedImageSource(src) ? <img {...props} src={src} alt={alt} /> : <span>{alt}</span>,
+          // Wide tables scroll sideways instead of stretching the bubble.
+          table: ({ node, ...props }) => (
+            <div className="table-scroll">
+              <table {...props} />
+            </div>
+          ),
+        }}
+      >
+        {content}
+      </ReactMarkdown>
+
+      <style jsx global>{`
+        .agent-markdown > * {
+          margin: 0;
+        }
+        .agent-markdown > * + * {
+          margin-top: 0.6em;
+        }
+        .agent-markdown h1,
+        .agent-markdown h2,
+        .agent-markdown h3,
+        .agent-markdown h4,
+        .agent-markdown h5,
+        .agent-markdown h6 {
+          font-size: 1em;
+          font-weight: bold;
+          line-height: 1.4;
+        }
+        .agent-markdown h1 {
+          font-size: 1.2em;
+        }
+        .agent-markdown h2 {
+          font-size: 1.1em;
+        }
+        .agent-markdown ul,
+        .agent-markdown ol {
+          padding-inline-start: 1.4em;
+        }
+        .agent-markdown li + li {
+          margin-top: 0.2em;
+        }
+        .agent-markdown li.task-list-item {
+          list-style: none;
+          margin-inline-start: -1.4em;
+        }
+        .agent-markdown input[type="checkbox"] {
+          margin: 0;
+          margin-inline-end: 0.4em;
+          vertical-align: middle;
+        }
+        .agent-markdown blockquote {
+          padding-inline-start: 0.8em;
+          border-inline-start: 2px solid ${theme.agentBubbleBorder};
+          opacity: 0.85;
+        }
+        .agent-markdown hr {
+          border: none;
+          border-top: 1px solid ${theme.agentBubbleBorder};
+        }
+        .agent-markdown img {
+          max-width: 100%;
+        }
+        .agent-markdown code {
+          font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+          font-size: 0.9em;
+          padding: 0.1em 0.3em;
+          border-radius: 4px;
+          background: rgba(127, 127, 127, 0.2);
+        }
+        .agent-markdown .code-block {
+          position: relative;
+        }
+        .agent-markdown pre {
+          margin: 0;
+          /* Code reads left to right, even in right-to-left languages */
+          direction: ltr;
+          text-align: left;
+          padding: 28px 10px 10px;
+          border-radius: 8px;
+          overflow-x: auto;
+          background: rgba(127, 127, 127, 0.15);
+        }
+        .agent-markdown pre code {
+          padding: 0;
+          background: none;
+          white-space: pre;
+        }
+        .agent-markdown .table-scroll {
+          overflow-x: auto;
+        }
+        .agent-markdown table {
+          border-collapse: collapse;
+          font-size: 0.95em;
+        }
+        .agent-markdown th,
+        .agent-markdown td {
+          padding: 4px 8px;
+          border: 1px solid ${theme.agentBubbleBorder};
+          text-align: start;
+        }
+        /* Syntax highlighting colors (highlight.js classes) */
+        .agent-markdown .hljs-comment,
+        .agent-markdown .hljs-quote {
+          color: #8b949e;
+          font-style: italic;
+        }
+        .agent-markdown .hljs-keyword,
+        .agent-markdown .hljs-selector-tag,
+        .agent-markdown .hljs-built_in {
+          color: #ff7b72;
+        }
+        .agent-markdown .hljs-string,
+        .agent-markdown .hljs-regexp,
+        .agent-markdown .hljs-addition {
+          color: #a5d6ff;
+        }
+        .agent-markdown .hljs-number,
+        .agent-markdown .hljs-literal,
+        .agent-markdown .hljs-variable,
+        .agent-markdown .hljs-attr {
+          color: #79c0ff;
+        }
+        .agent-markdown .hljs-title,
+        .agent-markdown .hljs-section,
+        .agent-markdown .hljs-function {
+          color: #d2a8ff;
+        }
+        .agent-markdown .hljs-type,
+        .agent-markdown .hljs-meta {
+          color: #ffa657;
+        }
+        .agent-markdown .hljs-deletion {
+          color: #ffa198;
+        }
+      `}</style>
+    </div>
+  );
+}
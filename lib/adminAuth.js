@@ -0,0 +1,53 @@
+// adminAuth.js
+// =============================================================================
+// Password protection for the admin page
+// =============================================================================
+// /admin and /api/admin/* use HTTP Basic authentication. The credentials come
+// from the ADMIN_CREDENTIALS env variable, written as "username:password".
+// Without it the admin area is switched off entirely.
+//
+// The browser asks for the username and password once, then sends them with
+// every request to this site, including the admin page's own API calls.
+// Server-side only: never import this file from the widget.
+// =============================================================================
+
+import crypto from "crypto";
+
+/**
+ * Compares two strings in constant time, so response timing doesn't reveal
+ * how much of a guess was right.
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash("sha256").update(a).digest();
+  const hashB = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * True when the admin area is configured.
+ */
+export const isAdminEnabled = () => Boolean(process.env.ADMIN_CREDENTIALS);
+
+/**
+ * True when the request carries the ADMIN_CREDENTIALS username and password.
+ */
+export const isAdminRequest = (req) => {
+  const credentials = process.env.ADMIN_CREDENTIALS;
+  if (!credentials) return false;
+
+  const [scheme, encoded] = String(req.headers.authorization || "").split(" ");
+  if (scheme !== "Basic" || !encoded) return false;
+  return safeEqual(Buffer.from(encoded, "base64").toString("utf8"), credentials);
+};
+
+/**
+ * Answers 401 (asking the browser for a password) unless the request is from
+ * an admin. Returns true when the caller may continue.
+ */
+export const requireAdmin = (req, res) => {
+  if (isAdminRequest(req)) return true;
+  res.setHeader("WWW-Authenticate", 'Basic realm="Agent admin", charset="UTF-8"');
+  res.setHeader("Cache-Control", "no-store");
+  res.status(401).json({ error: "Unauthorized", code: "unauthorized" });
+  return false;
+};
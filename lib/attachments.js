@@ -0,0 +1,155 @@
+// attachments.js
+// =============================================================================
+// File and image attachments
+// =============================================================================
+// Visitors can attach files (a résumé PDF, a screenshot, a job description)
+// to a message. The limits live in `chatConfig.attachments` and are checked
+// twice: in the widget before uploading, and again in the proxy, which can't
+// trust the browser.
+//
+// The widget sends messages with attachments as multipart/form-data (see
+// lib/multipart.js). The proxy then turns the message into the multimodal
+// format the flow expects (see toUpstreamMessage):
+//
+//   { role: "user", content: [
+//       { type: "text", text: "What do you think of my résumé?" },
+//       { type: "file", file: { filename: "cv.pdf", file_data: "data:application/pdf;base64,..." } },
+//       { type: "image_url", image_url: { url: "data:image/png;base64,..." } },
+//   ] }
+//
+// Text files are read into the text instead (see quoteTextFiles), so the
+// proxy can screen them along with the message. Messages without attachments
+// keep their plain string content.
+// =============================================================================
+
+import chatConfig from "../config/config";
+import { defaultTranslate } from "./i18n";
+
+/**
+ * True for the image types shown as thumbnails and sent as `image_url`.
+ */
+export const isImageType = (type) => typeof type === "string" && type.startsWith("image/");
+
+/**
+ * True for plain text types, which are read into the message text.
+ */
+const isTextType = (type) => typeof type === "string" && type.startsWith("text/");
+
+/**
+ * A file size for people, e.g. "340 KB" or "2.1 MB".
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Checks one file (`{ name, type, size }`, e.g. a browser File) against the
+ * configured type and size limits. Returns a message for the visitor,
+ * translated with `t` (see lib/i18n.js), or null if the file is fine.
+ */
+export const getAttachmentError = (
+  file,
+  settings = chatConfig.attachments,
+  t = defaultTranslate
+) => {
+  if (!settings.allowedTypes.includes(file.type)) {
+    return t("errorAttachmentType", { name: file.name });
+  }
+  if (file.size === 0) {
+    return t("errorAttachmentEmpty", { name: file.name });
+  }
+  if (file.size > settings.maxFileSize) {
+    return t("errorAttachmentTooBig", {
+      name: file.name,
+      maxSize: formatFileSize(settings.maxFileSize),
+    });
+  }
+  return null;
+};
+
+// The first bytes of each binary type, to catch files whose content doesn't
+// match the type they claim. `null` matches any byte. Text types have no
+// signature.
+const SIGNATURES = {
+  "image/png": [0x89, 0x50, 0x4e, 0x47],
+  "image/jpeg": [0xff, 0xd8, 0xff],
+  "image/gif": [0x47, 0x49, 0x46, 0x38],
+  // "RIFF", the file size, then "WEBP".
+  "image/webp": [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50],
+  "application/pdf": [0x25, 0x50, 0x44, 0x46],
+};
+
+/**
+ * Returns true if `data` (a Buffer or Uint8Array) looks like a `type` file:
+ * binary types must start with their signature, and text must not contain
+ * NUL bytes.
+ */
+export const matchesFileType = (type, data) => {
+  if (isTextType(type)) return !data.includes(0);
+  const signature = SIGNATURES[type];
+  if (!signature || data.length < signature.length) return false;
+  return signature.every((byte, index) => byte === null || data[index] === byte);
+};
+
+/**
+ * Returns the message text with each uploaded text file (`{ filename, type,
+ * data }`, with `data` a Buffer) quoted after it, so any flow can read them.
+ * Server-side only.
+ */
+export const quoteTextFiles = (content, files = []) =>
+  content +
+  files
+    .filter((file) => isTextType(file.type))
+    .map((file) => `\n\n--- ${file.filename} ---\n${file.data.toString("utf8")}`)
+    .join("");
+
+/**
+ * Builds the message forwarded upstream from the visitor's `message`
+ * (`{ role, content }`, with any text files already quoted into `content`
+ * by quoteTextFiles) and the uploaded `files`. Server-side only.
+ */
+export const toUpstreamMessage = (message, files) => {
+  if (!files || files.length === 0) return message;
+
+  const parts = [{ type: "text", text: message.content }];
+
+  files
+    .filter((file) => !isTextType(file.type))
+    .forEach((file) => {
+      const dataUrl = `data:${file.type};base64,${file.data.toString("base64")}`;
+      parts.push(
+        isImageType(file.type)
+          ? { type: "image_url", image_url: { url: dataUrl } }
+          : { type: "file", file: { filename: file.filename, file_data: dataUrl } }
+      );
+    });
+
+  return { ...message, content: parts };
+};
+
+/**
+ * Makes a small JPEG thumbnail (as a data URL) of an image File, so the
+ * preview in the chat survives a reload without filling up localStorage.
+ * Browser-only. Resolves to null if the image can't be read.
+ */
+export const createImagePreview = (file, maxSize = 160) =>
+  new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(image.width * scale));
+      canvas.height = Math.max(1, Math.round(image.height * scale));
+      canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL("image/jpeg", 0.8));
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    image.src = url;
+  });
@@ -0,0 +1,280 @@
+// conversationLog.js
+// =============================================================================
+// Server-side conversation log and analytics
+// =============================================================================
+// When `chatConfig.logging.enabled` is true, the proxy records every exchange
+// with the agent: who asked (user_id / session_id), the prompt, the reply,
+// how long it took, the upstream HTTP status, the provider that answered and
+// the flow. Personal data is masked (lib/redact.js) before anything is
+// written, and records older than `logging.retentionDays` are deleted.
+//
+// Like the rate limiter, storage is pluggable. A log store is any object with
+//
+//   append(record)  -> Promise<void>
+//   list({ since }) -> Promise<record[]>   (oldest first)
+//   prune(before)   -> Promise<void>       (delete records older than `before`)
+//
+// The file store below keeps one JSON record per line (JSONL), which is
+// enough for a personal site. For more traffic, implement the same three
+// methods on top of SQLite, Postgres or a hosted log service.
+// Server-side only: never import this file from the widget.
+// =============================================================================
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import chatConfig from "../config/config";
+import { redactText } from "./redact";
+import { normalizePrompt } from "./responseCache";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Retention is enforced at most this often, not on every write.
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Stores records in a JSONL file. Appends and prunes run one at a time, so a
+ * record appended while the file is being rewritten isn't lost.
+ */
+export const createFileLogStore = (
+  filePath = process.env.LOG_STORE_PATH || path.join(os.tmpdir(), "agent-conversations.jsonl")
+) => {
+  const readAll = async () => {
+    try {
+      const text = await fs.readFile(filePath, "utf8");
+      return text
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null; // Skip a line cut short by a crash
+          }
+        })
+        .filter(Boolean);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  };
+
+  // Every write waits for the one before it.
+  let pending = Promise.resolve();
+  const queueWrite = (write) => {
+    const result = pending.then(write);
+    pending = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    append(record) {
+      return queueWrite(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, `${JSON.stringify(record)}\n`);
+      });
+    },
+    async list({ since = 0 } = {}) {
+      const records = await readAll();
+      return records.filter((record) => Date.parse(record.timestamp) >= since);
+    },
+    prune(before) {
+      return queueWrite(async () => {
+        const records = await readAll();
+        const kept = records.filter((record) => Date.parse(record.timestamp) >= before);
+        if (kept.length === records.length) return;
+        await fs.writeFile(filePath, kept.map((record) => `${JSON.stringify(record)}\n`).join(""));
+      });
+    },
+  };
+};
+
+/**
+ * Keeps records in memory; handy for local development and tests.
+ */
+export const createMemoryLogStore = () => {
+  let records = [];
+  return {
+    async append(record) {
+      records.push(record);
+    },
+    async list({ since = 0 } = {}) {
+      return records.filter((record) => Date.parse(record.timestamp) >= since);
+    },
+    async prune(before) {
+      records = records.filter((record) => Date.parse(record.timestamp) >= before);
+    },
+  };
+};
+
+/**
+ * Creates a conversation logger.
+ *
+ * Options (defaults come from `chatConfig.logging`):
+ * - enabled:        when false, `record` does nothing
+ * - retentionDays:  records older than this are pruned
+ * - redact:         redaction rules for lib/redact.js
+ * - store:          log store, defaults to the JSONL file store
+ *
+ * `record(entry)` redacts the prompt and reply, stamps the time and appends
+ * it. It never throws: a broken log must not break the chat.
+ */
+export const createConversationLogger = ({
+  enabled = chatConfig.logging.enabled,
+  retentionDays = chatConfig.logging.retentionDays,
+  redact = chatConfig.logging.redact,
+  store = createFileLogStore(),
+} = {}) => {
+  let lastPrunedAt = 0;
+
+  const record = async (entry) => {
+    if (!enabled) return;
+    try {
+      await store.append({
+        timestamp: new Date().toISOString(),
+        flow: entry.flow,
+        user_id: entry.user_id || null,
+        session_id: entry.session_id || null,
+        prompt: redactText(entry.prompt, redact),
+        reply: redactText(entry.reply, redact) || null,
+        latencyMs: entry.latencyMs,
+        upstreamStatus: entry.upstreamStatus || null,
+        provider: entry.provider || null,
+        error: entry.error || null,
+      });
+
+      const now = Date.now();
+      if (retentionDays && now - lastPrunedAt > PRUNE_INTERVAL_MS) {
+        lastPrunedAt = now;
+        await store.prune(now - retentionDays * DAY_MS);
+      }
+    } catch (err) {
+      console.error("Failed to write conversation log:", err);
+    }
+  };
+
+  return { enabled, store, record };
+};
+
+/**
+ * The value below which `ratio` of the sorted `values` fall.
+ */
+const percentile = (sortedValues, ratio) => {
+  if (sortedValues.length === 0) return null;
+  const index = Math.ceil(ratio * sortedValues.length) - 1;
+  return sortedValues[Math.max(0, index)];
+};
+
+
+/**
+ * A record counts as an error when it has an `error` code or an upstream
+ * status other than 2xx.
+ */
+export const isErrorRecord = (record) =>
+  Boolean(record.error) ||
+  Boolean(record.upstreamStatus && (record.upstreamStatus < 200 || record.upstreamStatus >= 300));
+
+/**
+ * Sorted latencies (ms) of the records that have one.
+ */
+const sortedLatencies = (records) =>
+  records
+    .map((record) => record.latencyMs)
+    .filter((latency) => typeof latency === "number")
+    .sort((a, b) => a - b);
+
+/**
+ * Narrows records down for the admin page.
+ *
+ * Filters (all optional):
+ * - from / to:  ISO dates (YYYY-MM-DD, UTC), both days included
+ * - flow:       only this flow
+ */
+export const filterRecords = (records, { from, to, flow } = {}) =>
+  records.filter((record) => {
+    const date = record.timestamp.slice(0, 10);
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+    if (flow && record.flow !== flow) return false;
+    return true;
+  });
+
+/**
+ * Groups records by session_id, newest session first. Each session lists
+ * its records oldest first, so they read as a transcript.
+ */
+export const groupSessions = (records) => {
+  const sessions = new Map();
+  records.forEach((record) => {
+    const id = record.session_id || "unknown";
+    const session = sessions.get(id) || {
+      session_id: id,
+      user_id: record.user_id,
+      flow: record.flow,
+      startedAt: record.timestamp,
+      lastAt: record.timestamp,
+      exchanges: 0,
+      errors: 0,
+      records: [],
+    };
+    session.exchanges += 1;
+    if (isErrorRecord(record)) session.errors += 1;
+    if (record.timestamp < session.startedAt) session.startedAt = record.timestamp;
+    if (record.timestamp > session.lastAt) session.lastAt = record.timestamp;
+    session.records.push(record);
+    sessions.set(id, session);
+  });
+  return [...sessions.values()]
+    .map((session) => ({
+      ...session,
+      records: session.records.sort((a, b) => a.timestamp.localeCompare(b.timestamp)),
+    }))
+    .sort((a, b) => b.lastAt.localeCompare(a.lastAt));
+};
+
+/**
+ * Sums up log records for the analytics route and the admin page.
+ *
+ * Returns totals, the error rate (0-1), p95 latency in ms, one entry per day
+ * (UTC, with that day's own p95 latency) and the most asked questions.
+ */
+export const computeAggregates = (records, { topQuestions = 10 } = {}) => {
+  const days = new Map();
+  const questions = new Map();
+  records.forEach((record) => {
+    const date = record.timestamp.slice(0, 10);
+    const day = days.get(date) || { date, requests: 0, errors: 0, records: [] };
+    day.requests += 1;
+    if (isErrorRecord(record)) day.errors += 1;
+    day.records.push(record);
+    days.set(date, day);
+
+    // Prompts that differ only in case, spacing or trailing punctuation are
+    // counted together, the same way the response cache matches them.
+    const key = normalizePrompt(String(record.prompt || ""));
+    if (!key) return;
+    const question = questions.get(key) || { prompt: record.prompt, count: 0 };
+    question.count += 1;
+    questions.set(key, question);
+  });
+
+  const errors = records.filter(isErrorRecord).length;
+
+  return {
+    totalRequests: records.length,
+    errorRate: records.length ? errors / records.length : 0,
+    p95LatencyMs: percentile(sortedLatencies(records), 0.95),
+    daily: [...days.values()]
+      .map(({ records: dayRecords, ...day }) => ({
+        ...day,
+        p95LatencyMs: percentile(sortedLatencies(dayRecords), 0.95),
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date)),
+    topQuestions: [...questions.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, topQuestions),
+  };
+};
+
+// The logger used by the proxy and the analytics route. Pass a different
+// `store` here to keep logs somewhere else.
+export const conversationLogger = createConversationLogger();
@@ -0,0 +1,59 @@
+// embedBridge.js
+// =============================================================================
+// postMessage bridge between the widget and the page embedding it
+// =============================================================================
+// When the widget is loaded through public/embed.js, the host page can drive
+// it (open, close, send a prompt, set user context) and listen for what
+// happens inside it. Both directions use window.postMessage with a small
+// envelope:
+//
+//   widget -> host:  { source: "zerowidth-agent", type, ...data }
+//   host -> widget:  { source: "zerowidth-agent-host", type, ...data }
+//
+// The loader passes the host page's origin in the `?origin=` query parameter.
+// Messages are only exchanged with that origin, and only if it is on the
+// allowlist (when one is configured).
+// =============================================================================
+
+import { isOriginInList } from "./origin";
+
+export const WIDGET_SOURCE = "zerowidth-agent";
+export const HOST_SOURCE = "zerowidth-agent-host";
+
+/**
+ * Creates the bridge. Returns null when the widget isn't embedded in an
+ * allowed host page, so callers can simply skip host messaging.
+ */
+export const createHostBridge = (allowedOrigins = []) => {
+  if (typeof window === "undefined" || window.parent === window) return null;
+
+  const params = new URLSearchParams(window.location.search);
+  const hostOrigin = params.get("origin");
+  if (!hostOrigin) return null;
+  if (allowedOrigins.length > 0 && !isOriginInList(hostOrigin, allowedOrigins)) {
+    return null;
+  }
+
+  return {
+    // True when the widget was loaded by the embed.js loader.
+    isEmbedded: params.get("embed") === "1",
+
+    // Sends an event to the host page.
+    post(type, data = {}) {
+      window.parent.postMessage({ source: WIDGET_SOURCE, type, ...data }, hostOrigin);
+    },
+
+    // Calls `handler(message)` for every command from the host page.
+    // Returns a function that stops listening.
+    listen(handler) {
+      const onMessage = (event) => {
+        if (event.origin !== hostOrigin || event.source !== window.parent) return;
+        const message = event.data;
+        if (!message || message.source !== HOST_SOURCE) return;
+        handler(message);
+      };
+      window.addEventListener("message", onMessage);
+      return () => window.removeEventListener("message", onMessage);
+    },
+  };
+};
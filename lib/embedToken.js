@@ -0,0 +1,98 @@
+// embedToken.js
+// =============================================================================
+// Signed embed tokens
+// =============================================================================
+// An origin allowlist stops other websites from embedding the widget, but a
+// script can still call the proxy directly with a fake Origin header. Embed
+// tokens close that gap: the host site's server signs a short-lived token
+// with a secret shared with this deployment and passes it to the iframe
+// (?token=...). The widget sends it along with every message and the proxy
+// refuses requests without a valid one.
+//
+// A token is `<payload>.<signature>`, both base64url encoded. The payload is
+// JSON with:
+// - exp:  expiry time in seconds since epoch (required)
+// - flow: the flow it may be used with (optional)
+//
+// The signature is an HMAC-SHA256 of the encoded payload. Server-side only:
+// never import this file from the widget.
+// =============================================================================
+
+import { createHmac, timingSafeEqual } from "crypto";
+import chatConfig from "../config/config";
+
+const sign = (encodedPayload, secret) =>
+  createHmac("sha256", secret).update(encodedPayload).digest("base64url");
+
+/**
+ * Creates a token valid for `ttl` seconds. Host sites running Node can use
+ * this directly; others can port the few lines it takes.
+ */
+export const createEmbedToken = ({ secret, ttl = 300, flow }) => {
+  const payload = { exp: Math.floor(Date.now() / 1000) + ttl };
+  if (flow) payload.flow = flow;
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${encodedPayload}.${sign(encodedPayload, secret)}`;
+};
+
+/**
+ * Checks a token's signature, expiry and optional flow claim.
+ * Returns `{ valid: true, payload }` or `{ valid: false, reason }`.
+ */
+export const verifyEmbedToken = (token, { secret, flow }) => {
+  if (typeof token !== "string" || !token.includes(".")) {
+    return { valid: false, reason: "Missing or malformed token" };
+  }
+
+  const [encodedPayload, signature] = token.split(".");
+  const expected = Buffer.from(sign(encodedPayload, secret));
+  const actual = Buffer.from(signature || "");
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: "Bad signature" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+  } catch (err) {
+    return { valid: false, reason: "Malformed payload" };
+  }
+
+  if (typeof payload.exp !== "number" || payload.exp * 1000 < Date.now()) {
+    return { valid: false, reason: "Token expired" };
+  }
+  if (payload.flow && payload.flow !== flow) {
+    return { valid: false, reason: "Token was issued for another flow" };
+  }
+  return { valid: true, payload };
+};
+
+/**
+ * Checks the X-Embed-Token header of a widget request for `flow` when
+ * `chatConfig.security.requireEmbedToken` is on. Returns true if the request
+ * may go on; otherwise the error response has been sent.
+ */
+export const checkEmbedToken = (req, res, flow) => {
+  if (!chatConfig.security.requireEmbedToken) return true;
+
+  const secret = process.env.EMBED_TOKEN_SECRET;
+  if (!secret) {
+    console.error("requireEmbedToken is on but EMBED_TOKEN_SECRET is not set");
+    res.status(500).json({ error: "Internal Server Error" });
+    return false;
+  }
+  const check = verifyEmbedToken(req.headers["x-embed-token"], {
+    secret,
+    flow: flow.name,
+  });
+  if (!check.valid) {
+    res.status(401).json({
+      error: "Invalid embed token",
+      code: "invalid_embed_token",
+      details: check.reason,
+    });
+    return false;
+  }
+  return true;
+};
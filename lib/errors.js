@@ -0,0 +1,30 @@
+// errors.js
+// =============================================================================
+// Proxy error types
+// =============================================================================
+// Errors thrown inside the proxy that should reach the widget with a specific
+// HTTP status and machine-readable `code`, rather than a generic 500.
+// =============================================================================
+
+/**
+ * Base class: carries the HTTP status and `code` sent back to the widget.
+ */
+export class ProxyError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "ProxyError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * ZeroWidth answered, but not with a usable `output_data.content`.
+ */
+export class UpstreamResponseError extends ProxyError {
+  constructor(details) {
+    super(502, "invalid_upstream_response", "Invalid response from agent", details);
+    this.name = "UpstreamResponseError";
+  }
+}
@@ -0,0 +1,40 @@
+// feedback.js
+// =============================================================================
+// Storage for reply ratings
+// =============================================================================
+// Thumbs up/down ratings sent by the widget to /api/feedback. They use the
+// same pluggable store as the conversation log (see lib/conversationLog.js),
+// in a file of their own.
+//
+// A visitor can change a rating or add a reason later, so a message may have
+// several records; the latest one wins when feedback is read back.
+// Server-side only: never import this file from the widget.
+// =============================================================================
+
+import os from "os";
+import path from "path";
+import { createFileLogStore } from "./conversationLog";
+
+// The store used by /api/feedback. Replace it here to keep ratings elsewhere.
+export const feedbackStore = createFileLogStore(
+  process.env.FEEDBACK_STORE_PATH || path.join(os.tmpdir(), "agent-feedback.jsonl")
+);
+
+/**
+ * Keeps only the latest record for each message, oldest first.
+ */
+export const latestFeedback = (records) => {
+  const byMessage = new Map();
+  records.forEach((record) => {
+    // Re-inserting moves the message to the end, keeping the order by time.
+    byMessage.delete(record.messageId);
+    byMessage.set(record.messageId, record);
+  });
+  return [...byMessage.values()];
+};
+
+/**
+ * One JSON object per line, ready to use as an eval set.
+ */
+export const toJSONL = (records) =>
+  records.map((record) => `${JSON.stringify(record)}\n`).join("");
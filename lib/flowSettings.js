@@ -0,0 +1,77 @@
+// flowSettings.js
+// =============================================================================
+// Flow settings edited from the admin page
+// =============================================================================
+// The /admin page can change each flow's header text and suggested prompts
+// without a redeploy. The edits are kept in a settings store and merged over
+// `chatConfig.flows` by `getFlow` (lib/flows.js); the widget page reads them
+// on every request, so changes show up on the next page load.
+//
+// A settings store is any object with
+//
+//   load()          -> Promise<{ [flowName]: { header, suggestedPrompts } }>
+//   save(settings)  -> Promise<void>
+//   shared          -> true if every server instance sees the same settings
+//
+// The file store below keeps everything in one JSON file on this server's
+// disk, so it isn't shared: with several instances (any serverless host)
+// each one keeps its own edits, and they're lost when the instance goes
+// away. Use a database-backed store with `shared: true` there; /admin warns
+// about edits that only reach one instance until you do.
+// Server-side only: never import this file from the widget.
+// =============================================================================
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Stores all flow settings in a single JSON file.
+ */
+export const createFileSettingsStore = (
+  filePath = process.env.FLOW_SETTINGS_PATH || path.join(os.tmpdir(), "agent-flow-settings.json")
+) => ({
+  shared: false,
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+  },
+  async save(settings) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(settings, null, 2));
+  },
+});
+
+// The store used by the widget page and the admin API. Replace it here to
+// keep settings somewhere else.
+export const flowSettingsStore = createFileSettingsStore();
+
+/**
+ * Returns true if edits saved from /admin reach every server instance.
+ */
+export const areFlowSettingsShared = () => Boolean(flowSettingsStore.shared);
+
+/**
+ * Loads the saved settings. A broken store falls back to the config values
+ * rather than taking the widget down.
+ */
+export const loadFlowSettings = async () => {
+  try {
+    return await flowSettingsStore.load();
+  } catch (err) {
+    console.error("Failed to load flow settings:", err);
+    return {};
+  }
+};
+
+/**
+ * Saves the edits for one flow, replacing any earlier edits to it.
+ */
+export const saveFlowSettings = async (flowName, edits) => {
+  const settings = await flowSettingsStore.load();
+  await flowSettingsStore.save({ ...settings, [flowName]: edits });
+};
@@ -0,0 +1,39 @@
+// flows.js
+// =============================================================================
+// Flow registry lookup
+// =============================================================================
+// Resolves a flow name (from the embed URL, proxy route or request body) to
+// its entry in `chatConfig.flows`. Used by both the widget and the proxy.
+//
+// The header text and suggested prompts can be changed from the /admin page
+// without redeploying. Those edits are passed in as `settings` (see
+// lib/flowSettings.js) and take precedence over the config.
+// =============================================================================
+
+import chatConfig from "../config/config";
+
+/**
+ * Returns true if `name` is a flow defined in the config.
+ */
+export const isKnownFlow = (name) =>
+  typeof name === "string" &&
+  Object.prototype.hasOwnProperty.call(chatConfig.flows, name);
+
+/**
+ * Looks up a flow by name. Falls back to the default flow when no name is
+ * given, and returns null for names that are not in the registry.
+ *
+ * `settings` maps flow names to edited `{ header, suggestedPrompts }`.
+ */
+export const getFlow = (name, settings = {}) => {
+  const flowName = name || chatConfig.defaultFlow;
+  if (!isKnownFlow(flowName)) return null;
+  const flow = chatConfig.flows[flowName];
+  const edits = settings[flowName] || {};
+  return {
+    name: flowName,
+    ...flow,
+    header: { ...flow.header, ...edits.header },
+    suggestedPrompts: edits.suggestedPrompts || flow.suggestedPrompts,
+  };
+};
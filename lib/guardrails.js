@@ -0,0 +1,151 @@
+// guardrails.js
+// =============================================================================
+// Guardrails: screening what visitors ask and what the agent says
+// =============================================================================
+// The proxy runs every message through these checks twice:
+//
+// - "input":  the visitor's message, before it's forwarded to the agent
+// - "output": the agent's reply, before it reaches the visitor
+//
+// Rules come from config/guardrails.json:
+//
+//   topics        blocked topics, each with `keywords` (plain text, any case)
+//                 and/or `patterns` (regular expressions), the `stages` it
+//                 applies to and the `refusal` to answer with
+//   personalData  per stage, which PII detectors to look for (see
+//                 lib/redact.js) and whether to "redact" or "block" on a match
+//   refusals      canned answers by name; "default" is used when a topic
+//                 names none. Each flow can override them with
+//                 `guardrails.refusals` in config/config.js.
+//   tests         sample messages with the expected outcome, run by
+//                 runGuardrailTests (GET /api/admin/guardrails) without
+//                 calling any agent
+//
+// A check returns one of three outcomes:
+//   { action: "allow", text }
+//   { action: "redact", text, detectors }   text with the PII masked
+//   { action: "block", rule, refusal }      don't pass the text on
+//
+// Server-side only: never import this file from the widget.
+// =============================================================================
+
+import chatConfig from "../config/config";
+import guardrailRules from "../config/guardrails.json";
+import { detectPersonalData, redactText } from "./redact";
+
+/**
+ * Lowercases text and straightens curly apostrophes and extra spaces so
+ * keywords match however the visitor typed them.
+ */
+const normalizeText = (text) =>
+  text.toLowerCase().replace(/[‘’`]/g, "'").replace(/\s+/g, " ");
+
+/**
+ * Returns true if `topic` is mentioned in `text` by keyword or pattern.
+ */
+const matchesTopic = (topic, text) => {
+  const normalized = normalizeText(text);
+  return (
+    (topic.keywords || []).some((keyword) => normalized.includes(normalizeText(keyword))) ||
+    (topic.patterns || []).some((source) => new RegExp(source, "i").test(normalized))
+  );
+};
+
+/**
+ * The refusal message `name` for a flow: the flow's own wording if it has
+ * one, then the rules file's, then the default.
+ */
+const getRefusal = (name, rules, flow) => {
+  const refusals = { ...rules.refusals, ...flow?.guardrails?.refusals };
+  return refusals[name] || refusals.default || "Sorry, I can't help with that.";
+};
+
+/**
+ * True unless guardrails are turned off globally or for this flow.
+ */
+export const areGuardrailsEnabled = (flow) =>
+  chatConfig.guardrails.enabled && flow?.guardrails?.enabled !== false;
+
+/**
+ * Runs the checks for one `stage` ("input" or "output") on `text`.
+ */
+export const checkText = (text, stage, { rules = guardrailRules, flow } = {}) => {
+  if (typeof text !== "string" || !text) return { action: "allow", text };
+
+  const topic = (rules.topics || []).find(
+    (candidate) => (candidate.stages || ["input"]).includes(stage) && matchesTopic(candidate, text)
+  );
+  if (topic) {
+    return { action: "block", rule: topic.id, refusal: getRefusal(topic.refusal, rules, flow) };
+  }
+
+  const settings = rules.personalData?.[stage];
+  const detectors = detectPersonalData(text, settings?.detectors);
+  if (detectors.length === 0) return { action: "allow", text };
+  if (settings.action === "block") {
+    return {
+      action: "block",
+      rule: `personal_data:${detectors.join(",")}`,
+      refusal: getRefusal("personal_data", rules, flow),
+    };
+  }
+  const redactRules = Object.fromEntries(detectors.map((name) => [name, true]));
+  return { action: "redact", text: redactText(text, redactRules), detectors };
+};
+
+/**
+ * Screens a reply as it streams. Text is let through a sentence at a time,
+ * so each sentence can be checked (and masked) whole before the visitor sees
+ * it.
+ *
+ * `push(delta)` and `flush()` return `{ text }` with the checked text that's
+ * safe to send now (possibly ""), or `{ blocked }` with the block outcome
+ * once a sentence breaks a rule; stop streaming then.
+ */
+export const createStreamGuard = (options) => {
+  let pending = "";
+  let checked = "";
+
+  const release = (segment) => {
+    // Topics are checked against everything so far, in case one spans
+    // sentences; PII is masked per sentence.
+    const topicCheck = checkText(checked + segment, "output", options);
+    if (topicCheck.action === "block") return { blocked: topicCheck };
+    checked += segment;
+    return { text: checkText(segment, "output", options).text };
+  };
+
+  return {
+    push(delta) {
+      pending += delta;
+      // Hold text back until a sentence or line ends (or it gets long).
+      const boundary = Math.max(...[". ", "! ", "? ", "\n"].map((end) => pending.lastIndexOf(end)));
+      if (boundary === -1 && pending.length < 500) return { text: "" };
+      const cut = boundary === -1 ? pending.length : boundary + 1;
+      const segment = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      return release(segment);
+    },
+    flush() {
+      const segment = pending;
+      pending = "";
+      return segment ? release(segment) : { text: "" };
+    },
+  };
+};
+
+/**
+ * Runs the `tests` in a rules file and reports each one's outcome:
+ * `[{ stage, text, expect, action, rule, passed }]`.
+ */
+export const runGuardrailTests = (rules = guardrailRules) =>
+  (rules.tests || []).map((test) => {
+    const result = checkText(test.text, test.stage, { rules });
+    return {
+      ...test,
+      action: result.action,
+      rule: result.rule || null,
+      ...(result.action === "redact" && { output: result.text }),
+      passed: result.action === test.expect,
+    };
+  });
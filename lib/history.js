@@ -0,0 +1,120 @@
+// history.js
+// =============================================================================
+// Conversation history in the browser
+// =============================================================================
+// Saves each session's transcript in localStorage so a page reload or an
+// iframe remount doesn't wipe the chat. Transcripts are stored under
+// "chatHistory:<sessionId>", capped to the most recent messages and dropped
+// once they haven't been touched for a while.
+//
+// The unsent text in the composer is kept the same way, under
+// "chatDraft:<sessionId>".
+// =============================================================================
+
+import chatConfig from "../config/config";
+
+const KEY_PREFIX = "chatHistory:";
+const DRAFT_PREFIX = "chatDraft:";
+
+const storageKey = (sessionId) => `${KEY_PREFIX}${sessionId}`;
+
+const isExpired = (entry) =>
+  !entry ||
+  typeof entry.updatedAt !== "number" ||
+  Date.now() - entry.updatedAt > chatConfig.history.ttlHours * 60 * 60 * 1000;
+
+/**
+ * Removes every saved transcript that has expired, whichever session it
+ * belongs to. Broken entries are removed too.
+ */
+const pruneExpired = () => {
+  for (let i = localStorage.length - 1; i >= 0; i--) {
+    const key = localStorage.key(i);
+    if (!key || !(key.startsWith(KEY_PREFIX) || key.startsWith(DRAFT_PREFIX))) continue;
+    try {
+      if (isExpired(JSON.parse(localStorage.getItem(key)))) {
+        localStorage.removeItem(key);
+      }
+    } catch (err) {
+      localStorage.removeItem(key);
+    }
+  }
+};
+
+/**
+ * Returns the saved messages for `sessionId`, or an empty array.
+ */
+export const loadHistory = (sessionId) => {
+  if (typeof window === "undefined" || !chatConfig.history.enabled) return [];
+
+  try {
+    pruneExpired();
+    const entry = JSON.parse(localStorage.getItem(storageKey(sessionId)));
+    return entry && Array.isArray(entry.messages) ? entry.messages : [];
+  } catch (err) {
+    // Storage can be blocked (e.g. third-party iframes in private mode).
+    return [];
+  }
+};
+
+/**
+ * Saves the most recent messages for `sessionId`.
+ */
+export const saveHistory = (sessionId, messages) => {
+  if (typeof window === "undefined" || !chatConfig.history.enabled) return;
+
+  try {
+    const entry = {
+      updatedAt: Date.now(),
+      messages: messages.slice(-chatConfig.history.maxMessages),
+    };
+    localStorage.setItem(storageKey(sessionId), JSON.stringify(entry));
+  } catch (err) {
+    // Out of space or storage blocked; the chat still works without it.
+  }
+};
+
+/**
+ * Deletes the saved transcript for `sessionId`.
+ */
+export const clearHistory = (sessionId) => {
+  if (typeof window === "undefined") return;
+
+  try {
+    localStorage.removeItem(storageKey(sessionId));
+  } catch (err) {
+    // Nothing to clean up if storage is unavailable.
+  }
+};
+
+/**
+ * Returns the unsent composer text saved for `sessionId`, or "".
+ */
+export const loadDraft = (sessionId) => {
+  if (typeof window === "undefined") return "";
+
+  try {
+    const entry = JSON.parse(localStorage.getItem(`${DRAFT_PREFIX}${sessionId}`));
+    return entry && !isExpired(entry) && typeof entry.text === "string" ? entry.text : "";
+  } catch (err) {
+    return "";
+  }
+};
+
+/**
+ * Saves the composer text for `sessionId`; an empty draft is removed.
+ */
+export const saveDraft = (sessionId, text) => {
+  if (typeof window === "undefined") return;
+
+  try {
+    const key = `${DRAFT_PREFIX}${sessionId}`;
+    if (!text) {
+      localStorage.removeItem(key);
+      return;
+    }
+    localStorage.setItem(key, JSON.stringify({ updatedAt: Date.now(), text }));
+  } catch (err) {
+    // Drafts are a convenience; ignore storage failures.
+  }
+};
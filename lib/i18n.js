@@ -0,0 +1,111 @@
+// i18n.js
+// =============================================================================
+// Widget translations and text direction
+// =============================================================================
+// Every piece of text the widget shows comes from a string bundle in
+// config/locales, one JSON file per locale. A flow's header and suggested
+// prompts can be translated too, under `locales` in its config entry.
+//
+// The visitor's locale is picked, in order, from:
+// 1. the `?locale=` parameter of the page URL (data-locale in public/embed.js)
+// 2. the browser's preferred languages (navigator.languages)
+// 3. `chatConfig.i18n.defaultLocale`
+//
+// Only locales with a bundle are used; "pt-BR" falls back to "pt" when only
+// that one exists. Right-to-left languages such as Arabic and Hebrew get
+// `dir="rtl"`, which mirrors the widget's layout.
+// =============================================================================
+
+import { useEffect, useMemo, useState } from "react";
+import chatConfig from "../config/config";
+import bundles from "../config/locales";
+
+// Languages written right to left.
+const RTL_LANGUAGES = ["ar", "fa", "he", "ps", "ur", "yi"];
+
+/**
+ * Returns the locale with a bundle that best matches `requested` (e.g.
+ * "es-MX" -> "es"), or null if there is none.
+ */
+export const matchLocale = (requested) => {
+  if (typeof requested !== "string" || !requested) return null;
+  const available = Object.keys(bundles);
+  const wanted = requested.replace(/_/g, "-").toLowerCase();
+  const language = wanted.split("-")[0];
+  return (
+    available.find((locale) => locale.toLowerCase() === wanted) ||
+    available.find((locale) => locale.toLowerCase() === language) ||
+    null
+  );
+};
+
+/**
+ * Picks the visitor's locale from the page URL, then the browser's
+ * languages, then the configured default.
+ */
+export const detectLocale = () => {
+  const fallback = chatConfig.i18n.defaultLocale;
+  if (typeof window === "undefined") return fallback; // Prevent SSR issues
+
+  const candidates = [
+    new URLSearchParams(window.location.search).get("locale"),
+    ...(navigator.languages || [navigator.language]),
+  ];
+  for (const candidate of candidates) {
+    const locale = matchLocale(candidate);
+    if (locale) return locale;
+  }
+  return fallback;
+};
+
+/**
+ * "rtl" for right-to-left languages, otherwise "ltr".
+ */
+export const getTextDirection = (locale) =>
+  RTL_LANGUAGES.includes(locale.split("-")[0].toLowerCase()) ? "rtl" : "ltr";
+
+/**
+ * Creates `t(key, values)` for a locale. `{{name}}` placeholders are filled
+ * from `values`; strings missing from the bundle come from the default
+ * locale, and unknown keys are returned as is.
+ */
+export const createTranslator = (locale) => {
+  const strings = { ...bundles[chatConfig.i18n.defaultLocale], ...bundles[locale] };
+  return (key, values = {}) =>
+    (strings[key] ?? key).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => values[name] ?? "");
+};
+
+// For components rendered outside the widget, e.g. on shared transcripts.
+export const defaultTranslate = createTranslator(chatConfig.i18n.defaultLocale);
+
+/**
+ * Applies a flow's translated header and suggested prompts for `locale`, if
+ * it has any. Untranslated parts keep the flow's own (default locale) text.
+ */
+export const localizeFlow = (flow, locale) => {
+  const translation = flow.locales?.[locale];
+  if (!translation) return flow;
+  return {
+    ...flow,
+    header: { ...flow.header, ...translation.header },
+    suggestedPrompts: translation.suggestedPrompts || flow.suggestedPrompts,
+  };
+};
+
+/**
+ * React hook returning `{ locale, dir, t }` for the visitor. Starts with the
+ * default locale so the server render matches, then switches once the
+ * visitor's locale is known.
+ */
+export const useLocale = () => {
+  const [locale, setLocale] = useState(chatConfig.i18n.defaultLocale);
+
+  useEffect(() => {
+    setLocale(detectLocale());
+  }, []);
+
+  return useMemo(
+    () => ({ locale, dir: getTextDirection(locale), t: createTranslator(locale) }),
+    [locale]
+  );
+};
@@ -0,0 +1,69 @@
+// markdownPolicy.js
+// =============================================================================
+// What agent replies are allowed to render
+// =============================================================================
+// Agent replies are markdown written by a language model, so they are treated
+// as untrusted. Raw HTML in a reply is never rendered (it is dropped), only
+// the elements listed here may appear, and links and images may only use the
+// URL schemes listed here. Anything else, such as `javascript:` links,
+// is removed. Images are only loaded from the sites in
+// `chatConfig.security.replyImageOrigins`.
+// =============================================================================
+
+import chatConfig from "../config/config";
+import { isOriginInList } from "./origin";
+
+/**
+ * Elements markdown (including GitHub-flavored tables and task lists) may
+ * produce. Unlisted elements are unwrapped: their text is kept, the tag isn't.
+ */
+export const ALLOWED_ELEMENTS = [
+  "p", "br", "hr", "blockquote",
+  "h1", "h2", "h3", "h4", "h5", "h6",
+  "strong", "em", "del", "code", "pre",
+  "ul", "ol", "li", "input", // input = task list checkbox
+  "table", "thead", "tbody", "tr", "th", "td",
+  "a", "img",
+  "span", "sup", "section", // span = highlighted code, sup/section = footnotes
+];
+
+/**
+ * URL schemes links and images may use. Relative URLs and #anchors are
+ * always fine.
+ */
+export const SAFE_PROTOCOLS = ["http:", "https:", "mailto:", "tel:"];
+
+/**
+ * Returns the URL if it is allowed, or "" to drop it. Used as
+ * react-markdown's `urlTransform`.
+ */
+export const sanitizeUrl = (url) => {
+  if (typeof url !== "string") return "";
+  // Browsers ignore whitespace and control characters inside schemes
+  // ("java\tscript:"), so strip them before looking at the scheme.
+  const compact = url.replace(/[\u0000-\u0020\u007F]+/g, "");
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return url; // Relative URL or anchor.
+  return SAFE_PROTOCOLS.includes(`${scheme[1].toLowerCase()}:`) ? url : "";
+};
+
+/**
+ * Returns true if a reply may load an image from `src`: relative URLs (this
+ * site) and absolute URLs from the configured origins.
+ */
+export const isAllowedImageSource = (src, allowedOrigins = chatConfig.security.replyImageOrigins) => {
+  if (!src) return false;
+  let url;
+  try {
+    url = new URL(src);
+  } catch (err) {
+    return true; // Relative URL.
+  }
+  return isOriginInList(url.origin, allowedOrigins);
+};
+
+/**
+ * Only task-list checkboxes are allowed through as <input> elements.
+ */
+export const isAllowedElement = (element) =>
+  element.tagName !== "input" || element.properties?.type === "checkbox";
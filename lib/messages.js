@@ -0,0 +1,149 @@
+// messages.js
+// =============================================================================
+// Conversation message model
+// =============================================================================
+// Every message in the widget has the same shape:
+//
+//   {
+//     id:        client-generated UUID, stable for the message's lifetime
+//     role:      "user" | "agent"
+//     content:   the text (markdown for agent replies)
+//     status:    "pending" | "sent" | "failed" | "streaming" (see MESSAGE_STATUS)
+//     createdAt: ISO timestamp of when the message was created
+//     updatedAt: ISO timestamp of the last status or content change
+//     upstream:  (agent) extra fields ZeroWidth returned in output_data,
+//                such as citations and usage
+//     stopped:   (agent) true if the visitor stopped the reply part way
+//     feedback:  (agent) the visitor's `{ rating, reason }`, if any
+//     attachments: (user) files sent with the message, as
+//                `{ name, type, size, preview }` (preview: thumbnail data URL
+//                for images)
+//   }
+//
+// The conversation is an array of these, managed by `conversationReducer`
+// with React's useReducer.
+// =============================================================================
+
+import { v4 as uuidv4 } from "uuid";
+
+export const MESSAGE_STATUS = {
+  // User message on its way to the agent.
+  PENDING: "pending",
+  // Delivered (user) or complete (agent).
+  SENT: "sent",
+  // Couldn't be delivered; can be retried.
+  FAILED: "failed",
+  // Agent reply still arriving.
+  STREAMING: "streaming",
+};
+
+const now = () => new Date().toISOString();
+
+/**
+ * A new user message, pending until the proxy accepts it.
+ */
+export const createUserMessage = (content, attachments = []) => {
+  const createdAt = now();
+  return {
+    id: uuidv4(),
+    role: "user",
+    content,
+    status: MESSAGE_STATUS.PENDING,
+    createdAt,
+    updatedAt: createdAt,
+    ...(attachments.length > 0 && { attachments }),
+  };
+};
+
+/**
+ * A new agent message. Pass `id` to keep the ID picked when a streamed reply
+ * started.
+ */
+export const createAgentMessage = ({
+  id = uuidv4(),
+  content,
+  status = MESSAGE_STATUS.SENT,
+  upstream,
+}) => {
+  const createdAt = now();
+  return {
+    id,
+    role: "agent",
+    content,
+    status,
+    createdAt,
+    updatedAt: createdAt,
+    ...(upstream && { upstream }),
+  };
+};
+
+/**
+ * The fields of an upstream `output_data` other than the reply text, e.g.
+ * `citations` or `usage`. Returns undefined when there are none.
+ */
+export const getUpstreamFields = (outputData) => {
+  const { content, ...rest } = outputData || {};
+  return Object.keys(rest).length > 0 ? rest : undefined;
+};
+
+/**
+ * Brings a saved message (possibly from an older version of the widget) up
+ * to the current shape. Replies that were still streaming when saved are
+ * complete as far as they'll ever get, and messages still pending never got
+ * an answer, so they count as failed.
+ */
+export const normalizeMessage = (message) => {
+  let status = message.status || (message.failed ? MESSAGE_STATUS.FAILED : MESSAGE_STATUS.SENT);
+  if (status === MESSAGE_STATUS.STREAMING || message.streaming) status = MESSAGE_STATUS.SENT;
+  if (status === MESSAGE_STATUS.PENDING) status = MESSAGE_STATUS.FAILED;
+  const { streaming, failed, ...rest } = message;
+  return {
+    ...rest,
+    id: message.id || uuidv4(),
+    status,
+    createdAt: message.createdAt || null,
+    updatedAt: message.updatedAt || message.createdAt || null,
+  };
+};
+
+/**
+ * Reducer for the conversation. Actions:
+ *
+ * - { type: "load", messages }        replace everything (e.g. from history)
+ * - { type: "add", message }          append a message
+ * - { type: "update", id, changes }   merge `changes` into a message
+ * - { type: "appendContent", id, delta }  add streamed text to a message
+ * - { type: "truncate", id }          drop a message and everything after it
+ * - { type: "clear" }                 remove every message
+ *
+ * Updates to IDs that are no longer in the conversation (e.g. after "New
+ * chat") are ignored.
+ */
+export const conversationReducer = (state, action) => {
+  switch (action.type) {
+    case "load":
+      return action.messages.map(normalizeMessage);
+    case "add":
+      return [...state, action.message];
+    case "update":
+      return state.map((message) =>
+        message.id === action.id
+          ? { ...message, ...action.changes, updatedAt: now() }
+          : message
+      );
+    case "appendContent":
+      return state.map((message) =>
+        message.id === action.id
+          ? { ...message, content: message.content + action.delta, updatedAt: now() }
+          : message
+      );
+    case "truncate": {
+      const index = state.findIndex((message) => message.id === action.id);
+      return index === -1 ? state : state.slice(0, index);
+    }
+    case "clear":
+      return [];
+    default:
+      throw new Error(`Unknown conversation action: ${action.type}`);
+  }
+};
@@ -0,0 +1,104 @@
+// multipart.js
+// =============================================================================
+// Reading request bodies in the proxy
+// =============================================================================
+// The proxy turns off Next.js's body parser so it can take both JSON and
+// multipart/form-data uploads (messages with attachments). This file reads
+// the raw body, with a size cap, and splits multipart bodies into fields and
+// files. Server-side only: never import this file from the widget.
+//
+// A multipart chat request has a `payload` field holding the usual JSON
+// request and one `files` part per attachment.
+// =============================================================================
+
+import { ProxyError } from "./errors";
+
+/**
+ * Reads the whole request body into a Buffer. Stops reading and rejects with
+ * a 413 ProxyError once it grows past `maxBytes`.
+ */
+export const readRawBody = (req, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on("data", (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+        reject(new ProxyError(413, "payload_too_large", "Request too large", { maxBytes }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (!tooLarge) resolve(Buffer.concat(chunks));
+    });
+    req.on("error", reject);
+  });
+
+/**
+ * Reads the `key="value"` pairs of a Content-Disposition header.
+ */
+const parseDisposition = (header) => {
+  const params = {};
+  for (const match of header.matchAll(/;\s*([\w*-]+)="([^"]*)"/g)) {
+    params[match[1].toLowerCase()] = match[2];
+  }
+  return params;
+};
+
+/**
+ * Splits a multipart/form-data `body` (a Buffer) into
+ * `{ fields: { name: value }, files: [{ field, filename, type, data }] }`.
+ * Throws a 400 ProxyError if the body isn't valid multipart.
+ */
+export const parseMultipart = (body, contentType) => {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!boundaryMatch) {
+    throw new ProxyError(400, "invalid_request", "Invalid request", "Missing multipart boundary");
+  }
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    start += delimiter.length;
+    // "--" after the boundary marks the end of the body.
+    if (body.slice(start, start + 2).toString() === "--") break;
+    const end = body.indexOf(delimiter, start);
+    if (end === -1) break;
+
+    // Each part is: CRLF, headers, blank line, content, CRLF.
+    const part = body.slice(start + 2, end - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = {};
+      part
+        .slice(0, headerEnd)
+        .toString("utf8")
+        .split("\r\n")
+        .forEach((line) => {
+          const colon = line.indexOf(":");
+          if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        });
+      const disposition = parseDisposition(headers["content-disposition"] || "");
+      const data = part.slice(headerEnd + 4);
+      if (disposition.filename !== undefined) {
+        files.push({
+          field: disposition.name,
+          filename: disposition.filename,
+          type: (headers["content-type"] || "application/octet-stream").toLowerCase(),
+          data,
+        });
+      } else if (disposition.name) {
+        fields[disposition.name] = data.toString("utf8");
+      }
+    }
+    start = end;
+  }
+
+  return { fields, files };
+};
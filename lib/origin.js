@@ -0,0 +1,84 @@
+// origin.js
+// =============================================================================
+// Origin allowlist
+// =============================================================================
+// Decides which websites may embed the widget and call the proxy. The list
+// comes from the ALLOWED_ORIGINS environment variable (comma separated) or,
+// if that isn't set, from `chatConfig.security.allowedOrigins`.
+//
+// Entries are full origins such as "https://example.com". A leading "*." in
+// the host ("https://*.example.com") matches any subdomain. An empty list
+// means any site is allowed, which is how the widget behaved originally.
+// =============================================================================
+
+import chatConfig from "../config/config";
+
+/**
+ * Returns the configured list of allowed origins.
+ */
+export const getAllowedOrigins = () => {
+  const fromEnv = process.env.ALLOWED_ORIGINS;
+  const origins = fromEnv
+    ? fromEnv.split(",")
+    : chatConfig.security.allowedOrigins || [];
+  return origins.map((origin) => origin.trim().replace(/\/$/, "")).filter(Boolean);
+};
+
+/**
+ * Works out which site a request came from, using the Origin header and
+ * falling back to the Referer header. Returns null if neither is usable.
+ */
+export const getRequestOrigin = (req) => {
+  if (req.headers.origin && req.headers.origin !== "null") {
+    return req.headers.origin;
+  }
+  try {
+    return new URL(req.headers.referer).origin;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Returns true if `origin` matches one allowlist entry.
+ */
+const matchesEntry = (origin, entry) => {
+  if (entry === origin) return true;
+  const wildcard = entry.match(/^(\w+:\/\/)\*\.(.+)$/);
+  if (!wildcard) return false;
+  const [, scheme, domain] = wildcard;
+  return origin.startsWith(scheme) && origin.endsWith(`.${domain}`);
+};
+
+/**
+ * Returns true if `origin` matches any entry in `allowedOrigins`.
+ */
+export const isOriginInList = (origin, allowedOrigins) =>
+  allowedOrigins.some((entry) => matchesEntry(origin, entry));
+
+/**
+ * Returns true if a request from `origin` may use the proxy. Requests from
+ * the deployment's own pages are always allowed.
+ */
+export const isOriginAllowed = (origin, req) => {
+  const allowed = getAllowedOrigins();
+  if (allowed.length === 0) return true;
+  if (!origin) return false;
+
+  try {
+    if (new URL(origin).host === req.headers.host) return true;
+  } catch (err) {
+    return false;
+  }
+  return isOriginInList(origin, allowed);
+};
+
+/**
+ * Builds the Content-Security-Policy `frame-ancestors` value for the widget
+ * page, or null when any site may embed it.
+ */
+export const getFrameAncestors = () => {
+  const allowed = getAllowedOrigins();
+  if (allowed.length === 0) return null;
+  return `frame-ancestors 'self' ${allowed.join(" ")}`;
+};
@@ -0,0 +1,47 @@
+// promptEvents.js
+// =============================================================================
+// Suggestion impressions and clicks
+// =============================================================================
+// The widget reports when a starter prompt or follow-up suggestion is shown
+// ("impression") and when it's clicked ("click"), so the admin page can show
+// click-through rates per prompt and per A/B variant. Events use the same
+// pluggable store as the conversation log (see lib/conversationLog.js), in a
+// file of their own.
+// Server-side only: never import this file from the widget.
+// =============================================================================
+
+import os from "os";
+import path from "path";
+import { createFileLogStore } from "./conversationLog";
+
+// The store used by /api/events. Replace it here to keep events elsewhere.
+export const promptEventStore = createFileLogStore(
+  process.env.EVENTS_STORE_PATH || path.join(os.tmpdir(), "agent-prompt-events.jsonl")
+);
+
+/**
+ * Counts impressions and clicks per prompt, source ("starter" or
+ * "follow_up") and variant, most clicked first.
+ */
+export const computePromptStats = (records) => {
+  const stats = new Map();
+  records.forEach((record) => {
+    const key = JSON.stringify([record.source, record.variant, record.prompt]);
+    const entry = stats.get(key) || {
+      source: record.source,
+      variant: record.variant || null,
+      prompt: record.prompt,
+      impressions: 0,
+      clicks: 0,
+    };
+    if (record.type === "impression") entry.impressions += 1;
+    if (record.type === "click") entry.clicks += 1;
+    stats.set(key, entry);
+  });
+  return [...stats.values()]
+    .map((entry) => ({
+      ...entry,
+      clickThroughRate: entry.impressions ? entry.clicks / entry.impressions : null,
+    }))
+    .sort((a, b) => b.clicks - a.clicks || b.impressions - a.impressions);
+};
@@ -0,0 +1,86 @@
+// prompts.js
+// =============================================================================
+// Starter prompts and follow-up suggestions
+// =============================================================================
+// Starter prompts are the rotating "Try: ..." suggestions shown before the
+// chat starts. Each flow lists them in `suggestedPrompts` (config/config.js),
+// the admin page, or an API (`promptsURL`). An entry is either a string or
+//
+//   { text: "Favorite project?", weight: 2, variant: "A" }
+//
+// - weight:  how often the prompt comes up early in the rotation (default 1)
+// - variant: A/B test group. Each visitor is assigned one variant for good
+//            (from their user ID) and sees only prompts of that variant plus
+//            prompts without one.
+//
+// Follow-up suggestions are questions the flow proposes after each reply.
+// The proxy reads them from the upstream output_data (see readFollowUps) and
+// passes them on as `output_data.suggestions`.
+// Used by both the widget and the proxy.
+// =============================================================================
+
+/**
+ * Turns a prompt list from any source into `{ text, weight, variant }`
+ * objects, dropping entries without text.
+ */
+export const normalizePrompts = (list) =>
+  (Array.isArray(list) ? list : [])
+    .map((entry) => (typeof entry === "string" ? { text: entry } : entry))
+    .filter((entry) => entry && typeof entry.text === "string" && entry.text.trim())
+    .map((entry) => ({
+      text: entry.text.trim(),
+      weight: Number(entry.weight) > 0 ? Number(entry.weight) : 1,
+      variant: entry.variant ? String(entry.variant) : null,
+    }));
+
+/**
+ * A small, stable hash of a string (FNV-1a), used to split visitors into
+ * variants.
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Picks the prompts one visitor sees, in rotation order.
+ *
+ * Returns `{ prompts, variant }`, where `variant` is the visitor's A/B group
+ * (null when the list has no variants). The order is a weighted shuffle:
+ * heavier prompts tend to come first.
+ */
+export const selectStarterPrompts = (list, { userId = "", random = Math.random } = {}) => {
+  const prompts = normalizePrompts(list);
+  const variants = [...new Set(prompts.map((prompt) => prompt.variant).filter(Boolean))].sort();
+  const variant = variants.length > 0 ? variants[hashString(userId) % variants.length] : null;
+
+  const shuffled = prompts
+    .filter((prompt) => !prompt.variant || prompt.variant === variant)
+    // Weighted random order (Efraimidis-Spirakis): sort by random^(1/weight).
+    .map((prompt) => ({ prompt, key: Math.pow(random(), 1 / prompt.weight) }))
+    .sort((a, b) => b.key - a.key)
+    .map(({ prompt }) => prompt);
+
+  return { prompts: shuffled, variant };
+};
+
+// Upstream fields that may hold follow-up questions, in order of preference.
+const FOLLOW_UP_FIELDS = ["suggestions", "follow_ups", "followUps", "suggested_questions"];
+
+/**
+ * Reads follow-up questions from an upstream output_data. Accepts a list of
+ * strings or of `{ text }` objects under any of FOLLOW_UP_FIELDS, and
+ * returns at most `max` unique, non-empty questions.
+ */
+export const readFollowUps = (outputData, max = 3) => {
+  const field = FOLLOW_UP_FIELDS.find((name) => Array.isArray(outputData?.[name]));
+  if (!field) return [];
+  const texts = normalizePrompts(outputData[field])
+    .map((prompt) => prompt.text)
+    .filter((text) => text.length <= 200);
+  return [...new Set(texts)].slice(0, max);
+};
@@ -0,0 +1,42 @@
+// http.js
+// =============================================================================
+// Shared HTTP call for providers
+// =============================================================================
+// Every HTTP provider POSTs JSON to its backend with the same timeout and
+// retry settings (`chatConfig.requests`). Server-side only.
+// =============================================================================
+
+import chatConfig from "../../config/config";
+import { fetchWithRetry } from "../upstream";
+
+/**
+ * POSTs `body` as JSON to `url` with a bearer `apiKey`, asking for an event
+ * stream when `stream` is true. Resolves with the fetch Response.
+ */
+export const postJSON = (url, { apiKey, body, stream, signal, headers = {} }) =>
+  fetchWithRetry(url, {
+    timeoutMs: chatConfig.requests.upstreamTimeoutMs,
+    retries: chatConfig.requests.upstreamRetries,
+    baseDelayMs: chatConfig.requests.retryBaseDelayMs,
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: stream ? "text/event-stream" : "application/json",
+      Authorization: `Bearer ${apiKey}`,
+      ...headers,
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+/**
+ * The text of a message's content: the string itself, or the text parts of
+ * a multimodal content list (see lib/attachments.js).
+ */
+export const getMessageText = (content) =>
+  typeof content === "string"
+    ? content
+    : content
+        .filter((part) => part.type === "text")
+        .map((part) => part.text)
+        .join("\n");
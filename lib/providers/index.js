@@ -0,0 +1,87 @@
+// index.js
+// =============================================================================
+// Chat providers
+// =============================================================================
+// A provider connects the proxy to one kind of backend. The proxy always
+// works with the same normalized request and response, and each provider
+// maps them to and from its backend's format:
+//
+//   request:  { message: { role, content }, variables, stream, stateful,
+//               user_id, session_id, verbose, debug }
+//   response: output_data, i.e. { content, ...extra fields }
+//
+// A provider is an object with:
+//
+//   name, label
+//   send(request, { settings, signal })  -> Promise<Response>
+//   readResponse(json)                   -> output_data (non-streamed reply)
+//   readStreamEvent(payload)             -> { delta } | { final } | null
+//   onReply(request, output, { settings })  (optional) called after a reply
+//
+// Each flow in config/config.js picks its provider with `provider` (default
+// "zerowidth"), and may list `fallbacks`: other provider settings tried in
+// order when the one before fails. Server-side only: never import this file
+// from the widget.
+// =============================================================================
+
+import zerowidthProvider from "./zerowidth";
+import openaiProvider from "./openai";
+import mockProvider from "./mock";
+
+export const providers = {
+  [zerowidthProvider.name]: zerowidthProvider,
+  [openaiProvider.name]: openaiProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+/**
+ * Looks up a provider by name. Throws for unknown names, which are a
+ * mistake in the config.
+ */
+export const getProvider = (name = "zerowidth") => {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown provider "${name}"`);
+  return provider;
+};
+
+/**
+ * The backends to try for a flow, in order: the flow's own provider, then
+ * each of its `fallbacks`. Returns `[{ provider, settings }]`.
+ */
+export const getProviderTargets = (flow) =>
+  [flow, ...(flow.fallbacks || [])].map((settings) => ({
+    provider: getProvider(settings.provider),
+    settings,
+  }));
+
+/**
+ * Rate limits and server errors are worth trying elsewhere; other errors
+ * (e.g. a bad request) would fail the same way on every backend.
+ */
+const shouldFailOver = (status) => status === 429 || status >= 500;
+
+/**
+ * Sends `request` to the flow's provider, failing over to its `fallbacks`
+ * on network errors, timeouts, 429s and 5xx responses. Resolves with
+ * `{ provider, settings, response }` for the backend that answered; the
+ * last backend's response is returned even if it's an error.
+ */
+export const sendWithFailover = async (flow, request, { signal } = {}) => {
+  const targets = getProviderTargets(flow);
+  for (let index = 0; ; index++) {
+    const { provider, settings } = targets[index];
+    const isLast = index === targets.length - 1;
+    try {
+      const response = await provider.send(request, { settings, signal });
+      if (response.ok || isLast || !shouldFailOver(response.status)) {
+        return { provider, settings, response };
+      }
+      await response.text().catch(() => {});
+      console.warn(`${provider.label} returned ${response.status}, failing over`);
+    } catch (error) {
+      // The visitor went away: there is no point trying elsewhere.
+      if (signal?.aborted || isLast) throw error;
+      console.warn(`${provider.label} failed, failing over:`, error.message);
+    }
+  }
+};
@@ -0,0 +1,100 @@
+// mock.js
+// =============================================================================
+// Mock provider
+// =============================================================================
+// Answers locally without calling any backend, so the widget can be run and
+// demoed offline. Replies stream word by word like a real agent, and come
+// with follow-up suggestions so every part of the widget can be tried.
+//
+// Flow settings (all optional):
+// - reply:   fixed reply text; by default the visitor's message is echoed
+// - delayMs: pause between streamed words (default 30)
+// - status:  answer with this HTTP error status instead, e.g. 503 to try
+//            out failover
+// =============================================================================
+
+import { getMessageText } from "./http";
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+const FOLLOW_UPS = ["Tell me more", "Can you give an example?", "What else should I know?"];
+
+/**
+ * The reply's output_data: the configured text or an echo of the message.
+ */
+const buildOutput = (request, settings) => {
+  const text = getMessageText(request.message.content);
+  const count = Number(request.variables?.follow_up_count) || 0;
+  return {
+    content: settings.reply || `You said: "${text}". This is a mock reply; no agent was called.`,
+    ...(count > 0 && { suggestions: FOLLOW_UPS.slice(0, count) }),
+  };
+};
+
+const mockProvider = {
+  name: "mock",
+  label: "Mock provider",
+
+  async send(request, { settings, signal }) {
+    if (settings.status) {
+      return new Response(JSON.stringify({ error: "Mock failure" }), {
+        status: settings.status,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    const output = buildOutput(request, settings);
+    if (!request.stream) {
+      return new Response(JSON.stringify({ output_data: output }), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    // Stream the reply a word at a time, then the complete output_data.
+    const encoder = new TextEncoder();
+    const words = output.content.split(/(?<=\s)/);
+    const delayMs = settings.delayMs ?? 30;
+    const body = new ReadableStream({
+      async start(controller) {
+        try {
+          for (const word of words) {
+            await sleep(delayMs, signal);
+            controller.enqueue(encoder.encode(`data: ${JSON.stringify({ delta: word })}\n\n`));
+          }
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ output_data: output })}\n\n`));
+          controller.close();
+        } catch (error) {
+          controller.error(error);
+        }
+      },
+    });
+    return new Response(body, {
+      status: 200,
+      headers: { "Content-Type": "text/event-stream" },
+    });
+  },
+
+  readResponse(data) {
+    return data?.output_data;
+  },
+
+  readStreamEvent(payload) {
+    if (!payload || typeof payload !== "object") return null;
+    if (payload.output_data) return { final: payload.output_data };
+    return typeof payload.delta === "string" ? { delta: payload.delta } : null;
+  },
+};
+
+export default mockProvider;
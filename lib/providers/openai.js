@@ -0,0 +1,115 @@
+// openai.js
+// =============================================================================
+// OpenAI-compatible provider
+// =============================================================================
+// Calls any chat-completions endpoint that speaks the OpenAI format (OpenAI,
+// Azure OpenAI, Groq, Together, a local Ollama or vLLM server, ...):
+//
+//   POST <baseURL>/chat/completions
+//   { model, messages: [...], stream }
+//
+// These endpoints don't remember conversations, so for stateful requests the
+// last `historyMessages` turns of each session are kept in this server's
+// memory and sent along. (On serverless hosts that memory doesn't last
+// between instances, so the agent may forget earlier turns.)
+//
+// Flow settings:
+// - baseURL:         default "https://api.openai.com/v1"
+// - model:           required, e.g. "gpt-4o-mini"
+// - apiKeyEnv:       default "OPENAI_API_KEY"
+// - systemPrompt:    optional; `{{name}}` is replaced with the request's
+//                    variables, e.g. {{follow_up_count}}
+// - historyMessages: default 20
+// =============================================================================
+
+import { getMessageText, postJSON } from "./http";
+
+// Sessions idle for longer than this are forgotten.
+const SESSION_TTL_MS = 60 * 60 * 1000;
+// Most sessions kept at once; the least recently used are dropped first.
+const MAX_SESSIONS = 1000;
+
+// session_id -> { messages, updatedAt }
+const sessions = new Map();
+
+const getHistory = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session || Date.now() - session.updatedAt > SESSION_TTL_MS) return [];
+  return session.messages;
+};
+
+const saveHistory = (sessionId, messages) => {
+  // Re-inserting keeps the Map ordered from least to most recently used.
+  sessions.delete(sessionId);
+  sessions.set(sessionId, { messages, updatedAt: Date.now() });
+  while (sessions.size > MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+};
+
+/**
+ * Fills `{{name}}` placeholders from `variables`; unknown names become "".
+ */
+const fillTemplate = (template, variables = {}) =>
+  template.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (_, name) => variables[name] ?? "");
+
+const openaiProvider = {
+  name: "openai",
+  label: "OpenAI-compatible API",
+
+  send(request, { settings, signal }) {
+    const baseURL = (settings.baseURL || "https://api.openai.com/v1").replace(/\/+$/, "");
+    const history = request.stateful && request.session_id ? getHistory(request.session_id) : [];
+    const messages = [
+      ...(settings.systemPrompt
+        ? [{ role: "system", content: fillTemplate(settings.systemPrompt, request.variables) }]
+        : []),
+      ...history,
+      request.message,
+    ];
+
+    return postJSON(`${baseURL}/chat/completions`, {
+      apiKey: process.env[settings.apiKeyEnv || "OPENAI_API_KEY"],
+      stream: request.stream,
+      signal,
+      body: {
+        model: settings.model,
+        messages,
+        stream: Boolean(request.stream),
+        ...(request.user_id && { user: request.user_id }),
+      },
+    });
+  },
+
+  readResponse(data) {
+    const content = data?.choices?.[0]?.message?.content;
+    return {
+      content,
+      ...(data?.model && { model: data.model }),
+      ...(data?.usage && { usage: data.usage }),
+    };
+  },
+
+  readStreamEvent(payload) {
+    if (!payload || typeof payload !== "object") return null;
+    const delta = payload.choices?.[0]?.delta?.content;
+    return typeof delta === "string" && delta ? { delta } : null;
+  },
+
+  // Remembers the exchange for the session's next request. Only the text of
+  // the visitor's message is kept, not their attachments.
+  onReply(request, output, { settings }) {
+    if (!request.stateful || !request.session_id) return;
+    const limit = settings.historyMessages ?? 20;
+    saveHistory(
+      request.session_id,
+      [
+        ...getHistory(request.session_id),
+        { role: "user", content: getMessageText(request.message.content) },
+        { role: "assistant", content: output.content },
+      ].slice(-limit)
+    );
+  },
+};
+
+export default openaiProvider;
@@ -0,0 +1,62 @@
+// zerowidth.js
+// =============================================================================
+// ZeroWidth provider
+// =============================================================================
+// Calls a ZeroWidth flow's process endpoint:
+//
+//   POST <flowURL>
+//   { data: { message, variables }, stateful, stream, user_id, session_id }
+//
+// and reads the reply from `output_data`. ZeroWidth keeps the conversation
+// itself (per session_id) when `stateful` is true.
+//
+// Flow settings: flowURL, apiKeyEnv (default "ZEROWIDTH_API_KEY").
+// =============================================================================
+
+import { postJSON } from "./http";
+
+const zerowidthProvider = {
+  name: "zerowidth",
+  label: "ZeroWidth",
+
+  send(request, { settings, signal }) {
+    const { message, variables, ...options } = request;
+    return postJSON(settings.flowURL, {
+      apiKey: process.env[settings.apiKeyEnv || "ZEROWIDTH_API_KEY"],
+      stream: request.stream,
+      signal,
+      body: {
+        ...options,
+        data: {
+          message,
+          ...(variables && Object.keys(variables).length > 0 && { variables }),
+        },
+      },
+    });
+  },
+
+  readResponse(data) {
+    return data?.output_data;
+  },
+
+  // Different flows emit slightly different stream events, so a few common
+  // shapes are accepted.
+  readStreamEvent(payload) {
+    if (typeof payload === "string") {
+      return payload === "[DONE]" ? null : { delta: payload };
+    }
+    if (!payload || typeof payload !== "object") return null;
+
+    if (payload.output_data) return { final: payload.output_data };
+    if (typeof payload.delta === "string") return { delta: payload.delta };
+    if (payload.delta && typeof payload.delta.content === "string") {
+      return { delta: payload.delta.content };
+    }
+    const choiceDelta = payload.choices?.[0]?.delta?.content;
+    if (typeof choiceDelta === "string") return { delta: choiceDelta };
+    if (typeof payload.content === "string") return { delta: payload.content };
+    return null;
+  },
+};
+
+export default zerowidthProvider;
@@ -0,0 +1,134 @@
+// rateLimit.js
+// =============================================================================
+// Rate limiting for the proxy
+// =============================================================================
+// Every call to the proxy costs ZeroWidth quota, so visitors are limited to a
+// number of requests per minute and per day. Counters are kept per IP address
+// and per user_id / session_id, and a request is refused as soon as any one
+// of them is over its limit.
+//
+// Counters live in a "store". The in-memory store below works for a single
+// server instance; on serverless platforms each instance has its own memory,
+// so swap in a shared store (Redis, Upstash, a database...) for strict limits.
+//
+// A store is any object with one method:
+//
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//
+// It adds 1 to the counter for `key` and returns the new count plus the time
+// (in ms since epoch) at which the counter's window ends and it resets to 0.
+// =============================================================================
+
+import chatConfig from "../config/config";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Creates a store that keeps fixed-window counters in this process's memory.
+ */
+export const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Drops counters whose window has already ended so memory doesn't grow forever.
+  const sweep = (now) => {
+    counters.forEach((entry, key) => {
+      if (entry.resetAt <= now) counters.delete(key);
+    });
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (counters.size > 10000) sweep(now);
+
+      let entry = counters.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+};
+
+/**
+ * Returns the caller's IP address. Behind `trustedProxies` reverse proxies,
+ * that's the address the outermost one added to `x-forwarded-for`, counted
+ * from the right: entries further left come from the caller, who could
+ * change them on every request to dodge the limits. Without trusted proxies
+ * the header is ignored.
+ */
+export const getClientIp = (req, trustedProxies = chatConfig.rateLimit.trustedProxies) => {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (trustedProxies > 0 && forwarded) {
+    const hops = String(forwarded)
+      .split(",")
+      .map((hop) => hop.trim())
+      .filter(Boolean);
+    if (hops.length > 0) return hops[Math.max(0, hops.length - trustedProxies)];
+  }
+  return req.socket?.remoteAddress || "unknown";
+};
+
+/**
+ * Refuses a throttled request with a 429 saying when to try again. `limit`
+ * is a limited result from `check()` below.
+ */
+export const sendRateLimited = (res, limit) => {
+  res.setHeader("Retry-After", String(limit.retryAfter));
+  return res.status(429).json({
+    error: "Too many requests",
+    code: "rate_limited",
+    scope: limit.scope,
+    retryAfter: limit.retryAfter,
+  });
+};
+
+/**
+ * Creates a rate limiter.
+ *
+ * Options:
+ * - perMinute: max requests per key per minute (0 or missing = no limit)
+ * - perDay:    max requests per key per day (0 or missing = no limit)
+ * - store:     counter store, defaults to an in-memory one
+ *
+ * `check(keys)` counts one request against every key (e.g. ["ip:1.2.3.4",
+ * "user:abc"]) and resolves with `{ limited: false }` or
+ * `{ limited: true, scope, retryAfter }`, where retryAfter is in seconds.
+ */
+export const createRateLimiter = ({
+  perMinute,
+  perDay,
+  store = createMemoryStore(),
+} = {}) => {
+  const windows = [
+    { scope: "minute", limit: perMinute, windowMs: MINUTE_MS },
+    { scope: "day", limit: perDay, windowMs: DAY_MS },
+  ].filter((window) => window.limit > 0);
+
+  return {
+    async check(keys) {
+      const now = Date.now();
+      let result = { limited: false };
+
+      for (const window of windows) {
+        for (const key of keys) {
+          const { count, resetAt } = await store.increment(
+            `${window.scope}:${key}`,
+            window.windowMs
+          );
+          if (count > window.limit) {
+            const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+            // Report the longest wait if several limits are exceeded.
+            if (!result.limited || retryAfter > result.retryAfter) {
+              result = { limited: true, scope: window.scope, retryAfter };
+            }
+          }
+        }
+      }
+      return result;
+    },
+  };
+};
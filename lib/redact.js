@@ -0,0 +1,69 @@
+// redact.js
+// =============================================================================
+// PII redaction
+// =============================================================================
+// Masks personal data such as email addresses and phone numbers in text
+// before it is stored. Which kinds are masked is set by
+// `chatConfig.logging.redact`; each match is replaced by a label like
+// "[email]" so the rest of the text stays readable. The guardrails
+// (lib/guardrails.js) use the same detectors on live messages.
+// =============================================================================
+
+/**
+ * Built-in detectors, keyed by their option name in the config.
+ */
+const DETECTORS = {
+  emails: { label: "[email]", pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g },
+  // Cards and IPs run before phone numbers so they aren't half-masked as phones.
+  creditCards: { label: "[card]", pattern: /\b(?:\d[ -]?){13,19}\b/g },
+  ipAddresses: { label: "[ip]", pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g },
+  phoneNumbers: {
+    label: "[phone]",
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b/g,
+  },
+  // House number, up to three words, then a street type: "12 Oak Tree Lane".
+  streetAddresses: {
+    label: "[address]",
+    pattern:
+      /\b\d{1,5}\s+(?:[a-z0-9'-]+\s+){1,3}(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|close)\b\.?/gi,
+  },
+  // The answer in "my mother's maiden name is Smith", "first pet was Rex"...
+  securityAnswers: {
+    label: "[security answer]",
+    pattern:
+      /(?<=\b(?:maiden name|first pet(?:'s name)?|first school|elementary school|first car|childhood (?:best )?friend|street (?:i|you|he|she|they) grew up on|city (?:i|you|he|she|they) (?:was|were) born in)(?: is| was|:)\s+)[\w'-]+/gi,
+  },
+};
+
+/**
+ * Names of the built-in detectors, e.g. for listing them in settings.
+ */
+export const DETECTOR_NAMES = Object.keys(DETECTORS);
+
+/**
+ * Returns which of the detectors in `names` find something in `text`.
+ */
+export const detectPersonalData = (text, names = []) =>
+  typeof text === "string"
+    ? names.filter((name) => DETECTORS[name] && new RegExp(DETECTORS[name].pattern).test(text))
+    : [];
+
+/**
+ * Returns `text` with every enabled kind of personal data replaced.
+ *
+ * `rules` looks like `chatConfig.logging.redact`: a true/false flag per
+ * built-in detector, plus `patterns`, a list of extra regular expression
+ * strings whose matches become "[redacted]".
+ */
+export const redactText = (text, rules = {}) => {
+  if (typeof text !== "string" || !text) return text;
+
+  let result = text;
+  Object.entries(DETECTORS).forEach(([name, { label, pattern }]) => {
+    if (rules[name]) result = result.replace(pattern, label);
+  });
+  (rules.patterns || []).forEach((source) => {
+    result = result.replace(new RegExp(source, "gi"), "[redacted]");
+  });
+  return result;
+};
@@ -0,0 +1,54 @@
+// replySignature.js
+// =============================================================================
+// Signed agent replies
+// =============================================================================
+// Shared transcripts (/share/<id>) are sent by the visitor's browser, so on
+// their own nothing stops someone from sharing a page where the "agent" says
+// whatever they typed, under this site's domain. To prevent that, the proxy
+// signs every reply it sends with an HMAC-SHA256 of the session ID and the
+// reply text, and /api/share checks the signature of each agent message.
+// Messages without a valid one are shown as unverified. /api/feedback uses
+// the same check, so only real replies can be rated.
+//
+// The secret comes from the SHARE_SIGNING_SECRET env variable. Without it,
+// replies aren't signed, every shared reply is shown as unverified and
+// replies can't be rated.
+// Server-side only: never import this file from the widget.
+// =============================================================================
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+const getSecret = () => process.env.SHARE_SIGNING_SECRET || "";
+
+const sign = (sessionId, content, secret) =>
+  createHmac("sha256", secret)
+    .update(`${sessionId || ""}\n${content}`)
+    .digest("base64url");
+
+/**
+ * Adds `output_data.signature` to a reply about to be sent to `sessionId`.
+ * Returns the reply unchanged when no secret is set.
+ */
+export const signReply = (data, sessionId) => {
+  const secret = getSecret();
+  if (!secret) return data;
+  return {
+    ...data,
+    output_data: {
+      ...data.output_data,
+      signature: sign(sessionId, data.output_data.content, secret),
+    },
+  };
+};
+
+/**
+ * Returns true if `signature` was made by signReply for this reply text in
+ * this session.
+ */
+export const verifyReplySignature = ({ sessionId, content, signature }) => {
+  const secret = getSecret();
+  if (!secret || typeof signature !== "string") return false;
+  const expected = Buffer.from(sign(sessionId, content, secret));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
@@ -0,0 +1,166 @@
+// responseCache.js
+// =============================================================================
+// Response cache and request deduplication for the proxy
+// =============================================================================
+// Suggested prompts like "Tell me about yourself" are asked over and over,
+// and each time costs a full agent call. When `chatConfig.cache.enabled` is
+// true, replies to such questions are kept for `ttlSeconds` and reused.
+//
+// Only replies that don't depend on a conversation are cached: stateless
+// requests (`stateful: false`) without attachments or host page variables.
+// Stateful sessions always reach the agent, so nobody can plant a reply from
+// a steered session here. Entries are keyed by flow, locale and normalized
+// prompt, so "Favorite project?" and "favorite project" share one.
+//
+// Like the rate limiter, storage is pluggable. A cache store is any object
+// with
+//
+//   get(key)             -> Promise<value | null>
+//   set(key, value, ttlMs) -> Promise<void>
+//
+// The in-memory store below works for one server instance; swap in Redis or
+// similar to share the cache between serverless instances.
+//
+// Separately, identical requests from the same session that arrive while
+// the first is still running (e.g. a double-click) are coalesced into one
+// upstream call (see createInFlightRequests). Server-side only: never import
+// this file from the widget.
+// =============================================================================
+
+import chatConfig from "../config/config";
+
+/**
+ * Lowercases a prompt and drops extra spaces and trailing punctuation, so
+ * small differences in typing hit the same cache entry.
+ */
+export const normalizePrompt = (prompt) =>
+  prompt
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[\s?!.]+$/, "");
+
+/**
+ * The cache key for a prompt sent to a flow. Replies in different languages
+ * are kept apart.
+ */
+export const getCacheKey = (flowName, prompt, locale = "") =>
+  `reply:${flowName}:${locale}:${normalizePrompt(prompt)}`;
+
+/**
+ * Creates a store that keeps entries in this process's memory. Once it holds
+ * `maxEntries`, the least recently used entry is dropped.
+ */
+export const createMemoryCacheStore = ({ maxEntries = 500 } = {}) => {
+  // Map iteration order doubles as the recently-used order.
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+};
+
+/**
+ * Creates a response cache.
+ *
+ * Options default to `chatConfig.cache`:
+ * - enabled:    when false, get() always misses and set() does nothing
+ * - ttlSeconds: how long a reply is reused
+ * - maxEntries: size of the default in-memory store
+ * - store:      cache store, defaults to an in-memory one
+ *
+ * get() and set() never throw: a broken cache must not break the chat.
+ */
+export const createResponseCache = ({
+  enabled = chatConfig.cache.enabled,
+  ttlSeconds = chatConfig.cache.ttlSeconds,
+  maxEntries = chatConfig.cache.maxEntries,
+  store = createMemoryCacheStore({ maxEntries }),
+} = {}) => ({
+  enabled,
+  async get(key) {
+    if (!enabled) return null;
+    try {
+      return await store.get(key);
+    } catch (error) {
+      console.error("Failed to read the response cache:", error);
+      return null;
+    }
+  },
+  async set(key, value) {
+    if (!enabled) return;
+    try {
+      await store.set(key, value, ttlSeconds * 1000);
+    } catch (error) {
+      console.error("Failed to write the response cache:", error);
+    }
+  },
+});
+
+/**
+ * Tracks requests that are still running, so identical ones can wait for
+ * the same result instead of starting their own.
+ *
+ * `run(key, start, signal, context)` calls `start(sharedSignal)` unless a
+ * request with the same `key` is already running, and returns `{ promise,
+ * shared, context }`: the running request's promise, whether it was started
+ * by an earlier caller, and the `context` that caller passed (e.g. where to
+ * send the reply as it streams in). `signal` is the caller's own abort
+ * signal. The shared one only aborts once every caller waiting on the
+ * request has aborted, so one visitor leaving doesn't cancel the reply for
+ * the others.
+ */
+export const createInFlightRequests = () => {
+  const running = new Map();
+
+  return {
+    run(key, start, signal, context) {
+      let entry = running.get(key);
+      // A request everyone gave up on is being cancelled; start a new one.
+      const shared = Boolean(entry) && !entry.controller.signal.aborted;
+      if (!shared) {
+        const controller = new AbortController();
+        const started = { controller, context, waiting: 0, promise: start(controller.signal) };
+        running.set(key, started);
+        // Forget it once settled; the no-op catch keeps a failure from being
+        // reported as unhandled when nobody else was waiting.
+        started.promise
+          .catch(() => {})
+          .finally(() => {
+            if (running.get(key) === started) running.delete(key);
+          });
+        entry = started;
+      }
+
+      entry.waiting += 1;
+      const leave = () => {
+        entry.waiting -= 1;
+        if (entry.waiting === 0) entry.controller.abort(signal.reason);
+      };
+      if (signal?.aborted) leave();
+      else signal?.addEventListener("abort", leave, { once: true });
+
+      return { promise: entry.promise, shared, context: entry.context };
+    },
+  };
+};
+
+// Shared by every request this server instance handles.
+export const responseCache = createResponseCache();
@@ -0,0 +1,308 @@
+// schema.js
+// =============================================================================
+// Payload schemas
+// =============================================================================
+// Declares what the proxy accepts from the widget and what it expects back
+// from ZeroWidth, plus a small validator for those declarations.
+//
+// A schema is a plain object describing one value:
+// - type:      "object" | "record" | "array" | "string" | "boolean"
+// - required:  the value must be present
+// - fields:    (objects) a schema for each allowed key; other keys are dropped
+// - values:    (records) a schema applied to every value of a free-form map
+// - maxKeys:   (records) the most keys the map may have
+// - items:     (arrays) a schema applied to every item
+// - minItems / maxItems: (arrays) how many items the list may have
+// - enum:      (strings) the allowed values
+// - minLength / maxLength / pattern: (strings) extra checks
+// - internal:  only trusted callers may set it; public callers get an error
+// =============================================================================
+
+/**
+ * IDs generated by `getSessionId`/`getUserId` in the widget: at most 32
+ * letters, digits, dashes or underscores.
+ */
+const idSchema = { type: "string", minLength: 1, maxLength: 32, pattern: /^[\w-]+$/ };
+
+/**
+ * The visitor's language, e.g. "es" or "pt-BR" (see lib/i18n.js).
+ */
+const localeSchema = { type: "string", maxLength: 35, pattern: /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/ };
+
+/**
+ * What the widget sends to /api/proxy.
+ */
+export const chatRequestSchema = {
+  type: "object",
+  required: true,
+  fields: {
+    data: {
+      type: "object",
+      required: true,
+      fields: {
+        message: {
+          type: "object",
+          required: true,
+          fields: {
+            role: { type: "string", required: true, enum: ["user"] },
+            content: { type: "string", required: true, minLength: 1 },
+          },
+        },
+        // Context about the visitor set by the host page (see lib/embedBridge.js).
+        variables: {
+          type: "record",
+          maxKeys: 20,
+          values: { type: "string", maxLength: 500 },
+        },
+      },
+    },
+    stateful: { type: "boolean" },
+    stream: { type: "boolean" },
+    locale: localeSchema,
+    user_id: idSchema,
+    session_id: idSchema,
+    flow: { type: "string" },
+    // Debug output can leak the flow's prompts and settings.
+    verbose: { type: "boolean", internal: true },
+    debug: { type: "boolean", internal: true },
+  },
+};
+
+/**
+ * What ZeroWidth must send back. Extra upstream fields are kept.
+ */
+export const chatResponseSchema = {
+  type: "object",
+  required: true,
+  fields: {
+    output_data: {
+      type: "object",
+      required: true,
+      fields: {
+        content: { type: "string", required: true, minLength: 1 },
+      },
+    },
+  },
+};
+
+/**
+ * What the widget sends to /api/share: the transcript built by
+ * lib/transcript.js. `maxItems` is filled in from `chatConfig.sharing`.
+ */
+export const shareRequestSchema = {
+  type: "object",
+  required: true,
+  fields: {
+    title: { type: "string", maxLength: 200 },
+    description: { type: "string", maxLength: 500 },
+    flow: { type: "string", maxLength: 64 },
+    sessionId: idSchema,
+    // The visitor's language, used for the shared page's labels.
+    locale: localeSchema,
+    messages: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      items: {
+        type: "object",
+        required: true,
+        fields: {
+          role: { type: "string", required: true, enum: ["user", "agent"] },
+          content: { type: "string", required: true, maxLength: 20000 },
+          createdAt: { type: "string", maxLength: 40 },
+          signature: { type: "string", maxLength: 100 },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * What the admin page sends to /api/admin/flows to edit a flow's header and
+ * suggested prompts.
+ */
+export const flowSettingsSchema = {
+  type: "object",
+  required: true,
+  fields: {
+    flow: { type: "string", required: true, minLength: 1 },
+    header: {
+      type: "object",
+      required: true,
+      fields: {
+        title: { type: "string", required: true, minLength: 1, maxLength: 100 },
+        description: { type: "string", maxLength: 500 },
+      },
+    },
+    suggestedPrompts: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      maxItems: 20,
+      items: { type: "string", required: true, minLength: 1, maxLength: 200 },
+    },
+  },
+};
+
+/**
+ * What the widget sends to /api/feedback when a reply is rated.
+ */
+export const feedbackSchema = {
+  type: "object",
+  required: true,
+  fields: {
+    // Message IDs are UUIDs.
+    messageId: { type: "string", required: true, maxLength: 64, pattern: /^[\w-]+$/ },
+    rating: { type: "string", required: true, enum: ["up", "down"] },
+    reason: { type: "string", maxLength: 1000 },
+    prompt: { type: "string", maxLength: 20000 },
+    reply: { type: "string", required: true, maxLength: 20000 },
+    // The proxy's signature of the reply (see lib/replySignature.js).
+    signature: { type: "string", required: true, maxLength: 100 },
+    flow: { type: "string", maxLength: 64 },
+    user_id: idSchema,
+    session_id: idSchema,
+  },
+};
+
+/**
+ * What the widget sends to /api/events when a suggestion is shown or clicked.
+ */
+export const promptEventSchema = {
+  type: "object",
+  required: true,
+  fields: {
+    type: { type: "string", required: true, enum: ["impression", "click"] },
+    source: { type: "string", required: true, enum: ["starter", "follow_up"] },
+    prompt: { type: "string", required: true, minLength: 1, maxLength: 200 },
+    variant: { type: "string", maxLength: 32 },
+    flow: { type: "string", maxLength: 64 },
+    user_id: idSchema,
+    session_id: idSchema,
+  },
+};
+
+/**
+ * The form fields the widget sends to /api/transcribe with a recording.
+ */
+export const transcriptionRequestSchema = {
+  type: "object",
+  required: true,
+  fields: {
+    flow: { type: "string", maxLength: 64 },
+    locale: localeSchema,
+  },
+};
+
+/**
+ * What the admin sends to /api/admin/guardrails to try the rules on a message.
+ */
+export const guardrailCheckSchema = {
+  type: "object",
+  required: true,
+  fields: {
+    text: { type: "string", required: true, minLength: 1, maxLength: 20000 },
+    stage: { type: "string", required: true, enum: ["input", "output"] },
+    flow: { type: "string", maxLength: 64 },
+  },
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Checks `value` against `schema`.
+ *
+ * Options:
+ * - strip:          drop keys that the schema doesn't declare (default true)
+ * - allowInternal:  let the caller set `internal` fields (default false)
+ *
+ * Returns `{ value, errors }`, where `value` is the cleaned copy and `errors`
+ * maps field paths such as "data.message.role" to a message. `errors` is
+ * empty when the value is valid.
+ */
+export const validate = (schema, value, { strip = true, allowInternal = false } = {}) => {
+  const errors = {};
+
+  const check = (rule, current, path) => {
+    const label = path || "body";
+
+    if (current === undefined || current === null) {
+      if (rule.required) errors[label] = "is required";
+      return current;
+    }
+
+    if (rule.type === "record") {
+      if (!isPlainObject(current)) {
+        errors[label] = "must be an object";
+        return current;
+      }
+      const entries = Object.entries(current);
+      if (rule.maxKeys && entries.length > rule.maxKeys) {
+        errors[label] = `must have at most ${rule.maxKeys} keys`;
+        return current;
+      }
+      const cleaned = {};
+      entries.forEach(([key, entryValue]) => {
+        cleaned[key] = check(rule.values, entryValue, `${label}.${key}`);
+      });
+      return cleaned;
+    }
+
+    if (rule.type === "array") {
+      if (!Array.isArray(current)) {
+        errors[label] = "must be a list";
+        return current;
+      }
+      if (rule.minItems && current.length < rule.minItems) {
+        errors[label] = `must have at least ${rule.minItems} items`;
+        return current;
+      }
+      if (rule.maxItems && current.length > rule.maxItems) {
+        errors[label] = `must have at most ${rule.maxItems} items`;
+        return current;
+      }
+      return current.map((item, index) => check(rule.items, item, `${label}.${index}`));
+    }
+
+    if (rule.type === "object") {
+      if (!isPlainObject(current)) {
+        errors[label] = "must be an object";
+        return current;
+      }
+      const cleaned = strip ? {} : { ...current };
+      Object.entries(rule.fields || {}).forEach(([key, fieldRule]) => {
+        const fieldPath = path ? `${path}.${key}` : key;
+        const fieldValue = current[key];
+        if (fieldRule.internal && !allowInternal && fieldValue) {
+          errors[fieldPath] = "is not allowed";
+          return;
+        }
+        const checked = check(fieldRule, fieldValue, fieldPath);
+        if (checked !== undefined) cleaned[key] = checked;
+      });
+      return cleaned;
+    }
+
+    if (typeof current !== rule.type) {
+      errors[label] = `must be a ${rule.type}`;
+      return current;
+    }
+
+    if (rule.type === "string") {
+      if (rule.enum && !rule.enum.includes(current)) {
+        errors[label] = `must be one of: ${rule.enum.join(", ")}`;
+      } else if (rule.minLength && current.trim().length < rule.minLength) {
+        errors[label] = "must not be empty";
+      } else if (rule.maxLength && current.length > rule.maxLength) {
+        errors[label] = `must be at most ${rule.maxLength} characters`;
+      } else if (rule.pattern && !rule.pattern.test(current)) {
+        errors[label] = "has an invalid format";
+      }
+    }
+    return current;
+  };
+
+  const cleaned = check(schema, value, "");
+  return { value: cleaned, errors };
+};
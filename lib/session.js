@@ -0,0 +1,53 @@
+// session.js
+// =============================================================================
+// Session and visitor IDs
+// =============================================================================
+// Each conversation gets a session ID, kept in sessionStorage so it lasts as
+// long as the tab, and each visitor a user ID, kept in localStorage so it
+// survives reloads. Both go to the proxy with every message and must be at
+// most 32 letters and digits (see idSchema in lib/schema.js).
+// =============================================================================
+
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Retrieves or generates a session ID and stores it in sessionStorage.
+ */
+export const getSessionId = () => {
+  if (typeof window === "undefined") return ""; // Prevent SSR issues
+
+  let sessionId = sessionStorage.getItem("sessionId");
+  sessionId = sessionId && sessionId.length <= 32 ? sessionId : null;
+
+  if (!sessionId) {
+    sessionId = uuidv4().replace(/-/g, "").slice(0, 32); // Ensure max 32 chars
+    sessionStorage.setItem("sessionId", sessionId);
+  }
+  return sessionId;
+};
+
+/**
+ * Replaces the session ID with a fresh one, starting a new conversation
+ * with the agent.
+ */
+export const resetSessionId = () => {
+  const sessionId = uuidv4().replace(/-/g, "").slice(0, 32); // Ensure max 32 chars
+  sessionStorage.setItem("sessionId", sessionId);
+  return sessionId;
+};
+
+/**
+ * Retrieves or generates a persistent user ID and stores it in localStorage.
+ */
+export const getUserId = () => {
+  if (typeof window === "undefined") return ""; // Prevent SSR issues
+
+  let userId = localStorage.getItem("userId");
+  userId = userId && userId.length <= 32 ? userId : null;
+
+  if (!userId) {
+    userId = uuidv4().replace(/-/g, "").slice(0, 32); // Ensure max 32 chars
+    localStorage.setItem("userId", userId);
+  }
+  return userId;
+};
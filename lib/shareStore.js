@@ -0,0 +1,128 @@
+// shareStore.js
+// =============================================================================
+// Storage for shared transcripts
+// =============================================================================
+// Shared transcripts are saved server-side under a random ID and served
+// read-only at /share/<id>. Like the rate limiter, storage is pluggable: a
+// store is any object with
+//
+//   save(id, record) -> Promise<void>
+//   load(id)         -> Promise<record | null>
+//   prune(now)       -> Promise<void>   (delete records expired by `now`)
+//
+// The file store below keeps one JSON file per share. On serverless hosts
+// the local disk is temporary, so use a database-backed store there if
+// links must last.
+// Server-side only: never import this file from the widget.
+// =============================================================================
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+// Expired shares are deleted at most this often, not on every save.
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const isExpired = (record, now) => Date.parse(record.expiresAt) <= now;
+
+// Share IDs are 32 hex characters (a UUID without dashes).
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+export const isValidShareId = (id) => typeof id === "string" && ID_PATTERN.test(id);
+
+/**
+ * Stores each share as `<dir>/<id>.json`.
+ */
+export const createFileShareStore = (
+  dir = process.env.SHARE_STORE_DIR || path.join(os.tmpdir(), "agent-shares")
+) => {
+  const load = async (id) => {
+    // The ID check also keeps the path inside `dir`.
+    if (!isValidShareId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  return {
+    async save(id, record) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(record));
+    },
+    load,
+    async prune(now) {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+      }
+      for (const file of files) {
+        const id = file.replace(/\.json$/, "");
+        if (!isValidShareId(id)) continue;
+        const record = await load(id).catch(() => null);
+        if (record && isExpired(record, now)) {
+          await fs.rm(path.join(dir, file), { force: true });
+        }
+      }
+    },
+  };
+};
+
+/**
+ * Keeps shares in memory; handy for local development and tests.
+ */
+export const createMemoryShareStore = () => {
+  const records = new Map();
+  return {
+    async save(id, record) {
+      records.set(id, record);
+    },
+    async load(id) {
+      return records.get(id) || null;
+    },
+    async prune(now) {
+      records.forEach((record, id) => {
+        if (isExpired(record, now)) records.delete(id);
+      });
+    },
+  };
+};
+
+// The store used by /api/share and /share/<id>. Replace it here to keep
+// shares somewhere else.
+export const shareStore = createFileShareStore();
+
+let lastPrunedAt = 0;
+
+/**
+ * Saves a share to `shareStore`, deleting expired ones now and then.
+ */
+export const saveShare = async (id, record) => {
+  await shareStore.save(id, record);
+
+  const now = Date.now();
+  if (now - lastPrunedAt > PRUNE_INTERVAL_MS) {
+    lastPrunedAt = now;
+    try {
+      await shareStore.prune(now);
+    } catch (err) {
+      // The share itself was saved; cleanup can wait for the next one.
+      console.error("Failed to delete expired shares:", err);
+    }
+  }
+};
+
+/**
+ * Loads a share from `shareStore`, treating expired ones as missing.
+ */
+export const loadShare = async (id) => {
+  if (!isValidShareId(id)) return null;
+  const record = await shareStore.load(id);
+  if (!record || isExpired(record, Date.now())) return null;
+  return record;
+};
@@ -0,0 +1,85 @@
+// sse.js
+// =============================================================================
+// Server-Sent Events helpers
+// =============================================================================
+// Shared by the proxy (which reads the upstream stream and re-emits it) and by
+// the chat widget (which reads the proxy's stream in the browser).
+//
+// An SSE stream is plain text made of "events" separated by a blank line:
+//
+//   event: delta
+//   data: {"content":"Hel"}
+//
+//   event: delta
+//   data: {"content":"lo"}
+//
+// Only the "event" and "data" fields are used here.
+// =============================================================================
+
+/**
+ * Creates a stateful parser. Feed it text chunks as they arrive and it calls
+ * `onEvent({ event, data })` for every complete event found so far. Partial
+ * events are buffered until the rest of the text arrives.
+ */
+export const createSSEParser = (onEvent) => {
+  let buffer = "";
+
+  const dispatch = (block) => {
+    let event = "message";
+    const dataLines = [];
+
+    block.split(/\r?\n/).forEach((line) => {
+      // Lines starting with ":" are comments (often used as keep-alives).
+      if (!line || line.startsWith(":")) return;
+      const separator = line.indexOf(":");
+      const field = separator === -1 ? line : line.slice(0, separator);
+      let value = separator === -1 ? "" : line.slice(separator + 1);
+      if (value.startsWith(" ")) value = value.slice(1);
+
+      if (field === "event") event = value;
+      if (field === "data") dataLines.push(value);
+    });
+
+    if (dataLines.length > 0) {
+      onEvent({ event, data: dataLines.join("\n") });
+    }
+  };
+
+  return {
+    // Adds a chunk of text and dispatches any complete events.
+    push(chunk) {
+      buffer += chunk;
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop(); // The last piece may still be incomplete.
+      blocks.forEach(dispatch);
+    },
+    // Dispatches whatever is left once the stream has ended.
+    flush() {
+      if (buffer.trim()) dispatch(buffer);
+      buffer = "";
+    },
+  };
+};
+
+/**
+ * Formats a single SSE event. Objects are sent as JSON.
+ */
+export const formatSSE = (event, data) => {
+  const payload = typeof data === "string" ? data : JSON.stringify(data);
+  const dataLines = payload
+    .split("\n")
+    .map((line) => `data: ${line}`)
+    .join("\n");
+  return `event: ${event}\n${dataLines}\n\n`;
+};
+
+/**
+ * Parses an event's data as JSON, falling back to the raw string.
+ */
+export const parseEventData = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch (err) {
+    return data;
+  }
+};
@@ -0,0 +1,93 @@
+// theme.js
+// =============================================================================
+// Widget theming
+// =============================================================================
+// Turns `chatConfig.styling` into the theme the widget renders with:
+// 1. start from the light values in `styling`
+// 2. apply `styling.dark` on top when the dark scheme is active
+// 3. apply overrides from the page URL (?primaryColor=%23ff5500)
+//
+// `styling.colorScheme` picks the scheme: "light", "dark", or "auto" to follow
+// the visitor's prefers-color-scheme setting. It can also be overridden from
+// the URL (?colorScheme=dark), so each embedding site can match its brand
+// without forking the component.
+// =============================================================================
+
+import { useEffect, useMemo, useState } from "react";
+import chatConfig from "../config/config";
+
+// Settings in `styling` that are not theme values.
+const NON_THEME_KEYS = ["dark", "colorScheme"];
+
+/**
+ * The theme values a URL may override: every plain string in `styling`.
+ */
+const THEME_KEYS = Object.keys(chatConfig.styling).filter(
+  (key) => !NON_THEME_KEYS.includes(key) && typeof chatConfig.styling[key] === "string"
+);
+
+/**
+ * Rejects values that could break out of a CSS declaration or load scripts.
+ */
+const isSafeValue = (value) =>
+  value.length <= 200 &&
+  !/[<>;{}"\\]/.test(value) &&
+  !/(javascript|expression|url)\s*[:(]/i.test(value);
+
+/**
+ * Reads theme overrides from the page URL. Unknown keys and unsafe values
+ * are ignored.
+ */
+const getThemeOverridesFromUrl = () => {
+  if (typeof window === "undefined") return {}; // Prevent SSR issues
+
+  const params = new URLSearchParams(window.location.search);
+  const overrides = {};
+  [...THEME_KEYS, "colorScheme"].forEach((key) => {
+    const value = params.get(key);
+    if (value && isSafeValue(value)) overrides[key] = value;
+  });
+  return overrides;
+};
+
+/**
+ * Builds the theme for a color scheme ("light" or "dark") plus overrides.
+ */
+export const resolveTheme = (scheme, overrides = {}) => {
+  const { dark = {}, colorScheme, ...light } = chatConfig.styling;
+  const { colorScheme: _ignored, ...themeOverrides } = overrides;
+  return {
+    ...light,
+    ...(scheme === "dark" ? dark : {}),
+    ...themeOverrides,
+    scheme,
+  };
+};
+
+/**
+ * React hook returning the active theme. Follows the visitor's light/dark
+ * preference live when the color scheme is "auto".
+ */
+export const useTheme = () => {
+  const [scheme, setScheme] = useState("light");
+  const [overrides, setOverrides] = useState({});
+
+  useEffect(() => {
+    const urlOverrides = getThemeOverridesFromUrl();
+    setOverrides(urlOverrides);
+
+    const preference = urlOverrides.colorScheme || chatConfig.styling.colorScheme;
+    if (preference !== "auto") {
+      setScheme(preference === "dark" ? "dark" : "light");
+      return;
+    }
+
+    const media = window.matchMedia("(prefers-color-scheme: dark)");
+    const update = () => setScheme(media.matches ? "dark" : "light");
+    update();
+    media.addEventListener("change", update);
+    return () => media.removeEventListener("change", update);
+  }, []);
+
+  return useMemo(() => resolveTheme(scheme, overrides), [scheme, overrides]);
+};
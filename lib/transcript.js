@@ -0,0 +1,120 @@
+// transcript.js
+// =============================================================================
+// Transcript export
+// =============================================================================
+// Turns the widget's conversation into a transcript that visitors can
+// download (Markdown, plain text or JSON) or share as a read-only permalink.
+// Labels such as "You" and "Agent" are in the visitor's language, which is
+// kept in the transcript so shared pages use it too.
+// =============================================================================
+
+import chatConfig from "../config/config";
+import { createTranslator } from "./i18n";
+import { MESSAGE_STATUS } from "./messages";
+
+/**
+ * Builds the transcript object shared by every export format. `locale` is
+ * the visitor's (see lib/i18n.js).
+ */
+export const buildTranscript = ({
+  conversation,
+  sessionId,
+  flow,
+  locale = chatConfig.i18n.defaultLocale,
+}) => ({
+  title: flow.header.title,
+  description: flow.header.description,
+  flow: flow.name,
+  sessionId,
+  locale,
+  exportedAt: new Date().toISOString(),
+  messages: conversation
+    // Only messages that were delivered or fully received.
+    .filter((msg) => msg.status === MESSAGE_STATUS.SENT)
+    .map((msg) => ({
+      role: msg.role,
+      content: msg.content,
+      createdAt: msg.createdAt || null,
+      // Proves a reply came from the agent when it's shared (see
+      // lib/replySignature.js).
+      ...(msg.upstream?.signature && { signature: msg.upstream.signature }),
+    })),
+});
+
+/**
+ * The label and time formatting helpers for a transcript's locale.
+ */
+const getFormatters = (transcript) => {
+  const t = createTranslator(transcript.locale);
+  return {
+    t,
+    speaker: (role) => t(role === "user" ? "speakerYou" : "speakerAgent"),
+    formatTime: (iso) => (iso ? new Date(iso).toLocaleString(transcript.locale) : ""),
+  };
+};
+
+/**
+ * Markdown: a heading per message, with the reply's own markdown kept as is.
+ */
+export const toMarkdown = (transcript) => {
+  const { t, speaker, formatTime } = getFormatters(transcript);
+  const lines = [
+    `# ${transcript.title}`,
+    "",
+    `- ${t("transcriptSession")}: \`${transcript.sessionId}\``,
+    `- ${t("transcriptExported")}: ${formatTime(transcript.exportedAt)}`,
+    "",
+  ];
+  transcript.messages.forEach((msg) => {
+    const time = msg.createdAt ? ` (${formatTime(msg.createdAt)})` : "";
+    lines.push(`### ${speaker(msg.role)}${time}`, "", msg.content, "");
+  });
+  return lines.join("\n");
+};
+
+/**
+ * Plain text: one block per message.
+ */
+export const toPlainText = (transcript) => {
+  const { t, speaker, formatTime } = getFormatters(transcript);
+  const lines = [
+    transcript.title,
+    `${t("transcriptSession")}: ${transcript.sessionId}`,
+    `${t("transcriptExported")}: ${formatTime(transcript.exportedAt)}`,
+    "",
+  ];
+  transcript.messages.forEach((msg) => {
+    const time = msg.createdAt ? ` [${formatTime(msg.createdAt)}]` : "";
+    lines.push(`${speaker(msg.role)}${time}:`, msg.content, "");
+  });
+  return lines.join("\n");
+};
+
+/**
+ * JSON: the transcript object itself.
+ */
+export const toJSON = (transcript) => JSON.stringify(transcript, null, 2);
+
+/**
+ * The download formats offered by the export menu.
+ */
+export const EXPORT_FORMATS = [
+  { id: "markdown", label: "Markdown (.md)", extension: "md", mimeType: "text/markdown", format: toMarkdown },
+  { id: "text", label: "Plain text (.txt)", extension: "txt", mimeType: "text/plain", format: toPlainText },
+  { id: "json", label: "JSON (.json)", extension: "json", mimeType: "application/json", format: toJSON },
+];
+
+/**
+ * Makes the browser download `text` as a file.
+ */
+export const downloadFile = (filename, text, mimeType) => {
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
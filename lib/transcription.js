@@ -0,0 +1,99 @@
+// transcription.js
+// =============================================================================
+// Speech-to-text for voice messages
+// =============================================================================
+// Browsers without built-in speech recognition (e.g. Firefox) record the
+// visitor's voice and upload it to /api/transcribe, which turns it into text
+// here. `chatConfig.voice.transcription` picks the backend:
+//
+// - "openai": any OpenAI-compatible transcription API (OpenAI's Whisper,
+//   Groq, a local whisper server, ...):
+//     POST <baseURL>/audio/transcriptions  (multipart: file, model, language)
+//   Settings: baseURL (default "https://api.openai.com/v1"), model (default
+//   "whisper-1") and apiKeyEnv (default "OPENAI_API_KEY").
+// - "mock": returns `text` (default "Hello from the mock transcriber") without
+//   calling anything, for local development and tests.
+//
+// A transcriber is an object with
+//
+//   name, label
+//   transcribe(audio, { settings, locale, signal }) -> Promise<text>
+//
+// where `audio` is `{ filename, type, data }` as read by lib/multipart.js.
+// Server-side only: never import this file from the widget.
+// =============================================================================
+
+import chatConfig from "../config/config";
+import { ProxyError } from "./errors";
+import { fetchWithRetry } from "./upstream";
+
+const openaiTranscriber = {
+  name: "openai",
+  label: "OpenAI-compatible transcription API",
+
+  async transcribe(audio, { settings, locale, signal }) {
+    const baseURL = (settings.baseURL || "https://api.openai.com/v1").replace(/\/+$/, "");
+    const form = new FormData();
+    form.append("file", new Blob([audio.data], { type: audio.type }), audio.filename);
+    form.append("model", settings.model || "whisper-1");
+    // The API wants a bare language code, e.g. "pt" rather than "pt-BR".
+    if (locale) form.append("language", locale.split("-")[0].toLowerCase());
+
+    const response = await fetchWithRetry(`${baseURL}/audio/transcriptions`, {
+      timeoutMs: chatConfig.requests.upstreamTimeoutMs,
+      retries: chatConfig.requests.upstreamRetries,
+      baseDelayMs: chatConfig.requests.retryBaseDelayMs,
+      method: "POST",
+      headers: { Authorization: `Bearer ${process.env[settings.apiKeyEnv || "OPENAI_API_KEY"]}` },
+      body: form,
+      signal,
+    });
+    if (!response.ok) {
+      const details = await response.text().catch(() => "");
+      throw new ProxyError(
+        502,
+        "transcription_failed",
+        `${this.label} error ${response.status}`,
+        details
+      );
+    }
+    const data = await response.json();
+    if (typeof data.text !== "string") {
+      throw new ProxyError(502, "transcription_failed", "Invalid response from transcription API");
+    }
+    return data.text.trim();
+  },
+};
+
+const mockTranscriber = {
+  name: "mock",
+  label: "Mock transcriber",
+
+  async transcribe(audio, { settings }) {
+    return settings.text || "Hello from the mock transcriber";
+  },
+};
+
+export const transcribers = {
+  [openaiTranscriber.name]: openaiTranscriber,
+  [mockTranscriber.name]: mockTranscriber,
+};
+
+/**
+ * Looks up a transcriber by name. Throws for unknown names, which are a
+ * mistake in the config.
+ */
+export const getTranscriber = (name = "openai") => {
+  const transcriber = transcribers[name];
+  if (!transcriber) throw new Error(`Unknown transcriber "${name}"`);
+  return transcriber;
+};
+
+/**
+ * Turns `audio` into text with the configured backend. `locale` (e.g. "es")
+ * helps it recognize the right language.
+ */
+export const transcribeAudio = (
+  audio,
+  { settings = chatConfig.voice.transcription, locale, signal } = {}
+) => getTranscriber(settings.provider).transcribe(audio, { settings, locale, signal });
@@ -0,0 +1,105 @@
+// upstream.js
+// =============================================================================
+// Calling the agent flow with a timeout and retries
+// =============================================================================
+// Wraps `fetch` so that:
+// - each attempt is aborted if no response arrives within `timeoutMs`
+// - 5xx responses and network errors are retried with exponential backoff
+// - everything stops at once if the visitor goes away (`signal`)
+// =============================================================================
+
+import { ProxyError } from "./errors";
+
+/**
+ * Waits `ms` milliseconds, or rejects early if `signal` aborts.
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * Delay before retry number `attempt` (1, 2, ...): the base delay doubled
+ * each time, plus up to 100ms of jitter so clients don't retry in lockstep.
+ */
+const backoffDelay = (attempt, baseDelayMs) =>
+  baseDelayMs * 2 ** (attempt - 1) + Math.floor(Math.random() * 100);
+
+/**
+ * Fetches `url`, retrying on 5xx and network errors.
+ *
+ * Options (besides the usual fetch options):
+ * - timeoutMs:   per-attempt limit for the response to start arriving
+ * - retries:     extra attempts after the first one
+ * - baseDelayMs: delay before the first retry
+ * - signal:      aborts the whole thing, including pending retries
+ *
+ * Resolves with the last response (which may still be a 4xx/5xx) and throws
+ * a 504 ProxyError if every attempt timed out.
+ */
+export const fetchWithRetry = async (
+  url,
+  { timeoutMs, retries = 0, baseDelayMs = 500, signal, ...fetchOptions }
+) => {
+  for (let attempt = 0; ; attempt++) {
+    if (attempt > 0) await sleep(backoffDelay(attempt, baseDelayMs), signal);
+
+    // Each attempt gets its own controller so a timeout only cancels it.
+    const controller = new AbortController();
+    const abortAttempt = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", abortAttempt, { once: true });
+    let timedOut = false;
+    const timer = timeoutMs
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeoutMs)
+      : null;
+
+    try {
+      const response = await fetch(url, {
+        ...fetchOptions,
+        signal: controller.signal,
+      });
+      // Server errors are worth another try; drain the body to free the socket.
+      if (response.status >= 500 && attempt < retries) {
+        signal?.removeEventListener("abort", abortAttempt);
+        await response.text().catch(() => {});
+        console.warn(`Upstream returned ${response.status}, retrying (${attempt + 1}/${retries})`);
+        continue;
+      }
+      return response;
+    } catch (error) {
+      signal?.removeEventListener("abort", abortAttempt);
+      // The visitor went away: stop immediately.
+      if (signal?.aborted) throw error;
+
+      if (attempt >= retries) {
+        if (timedOut) {
+          throw new ProxyError(
+            504,
+            "upstream_timeout",
+            "Agent took too long to respond",
+            `No response within ${timeoutMs}ms`
+          );
+        }
+        throw error;
+      }
+      console.warn(
+        `Upstream request ${timedOut ? "timed out" : "failed"}, retrying (${attempt + 1}/${retries})`
+      );
+    } finally {
+      // The link to `signal` stays on the returned response so the visitor
+      // leaving still cancels reading its body.
+      if (timer) clearTimeout(timer);
+    }
+  }
+};
@@ -0,0 +1,229 @@
+// voice.js
+// =============================================================================
+// Voice input and spoken replies for the widget
+// =============================================================================
+// Two ways to turn the visitor's voice into text, picked by getVoiceInputMode:
+//
+// - "recognition": the browser's own speech recognition (Web Speech API, in
+//   Chrome, Safari and Edge). Words appear in the composer as they're spoken.
+// - "recording": records with MediaRecorder and uploads the audio to
+//   /api/transcribe (see lib/transcription.js). Only used when
+//   `chatConfig.voice.transcription` is set.
+//
+// Replies are read aloud with the browser's speech synthesis.
+//
+// When a browser has none of these APIs, the mode is null and the widget
+// hides the buttons. Every function takes an optional `env` (default: the
+// browser's `window`) holding the APIs it uses, so tests can pass fakes.
+// =============================================================================
+
+import chatConfig from "../config/config";
+
+const getDefaultEnv = () => (typeof window === "undefined" ? {} : window);
+
+// localStorage key for the read-aloud toggle.
+const READ_ALOUD_KEY = "readAloud";
+
+/**
+ * The browser's SpeechRecognition class, or null if it has none.
+ */
+export const getSpeechRecognition = (env = getDefaultEnv()) =>
+  env.SpeechRecognition || env.webkitSpeechRecognition || null;
+
+/**
+ * True if the browser can record the microphone.
+ */
+export const canRecordAudio = (env = getDefaultEnv()) =>
+  Boolean(env.navigator?.mediaDevices?.getUserMedia && env.MediaRecorder);
+
+/**
+ * True if the browser can speak text.
+ */
+export const canSpeak = (env = getDefaultEnv()) =>
+  Boolean(env.speechSynthesis && env.SpeechSynthesisUtterance);
+
+/**
+ * How voice input works in this browser: "recognition", "recording", or
+ * null when it's turned off or unsupported.
+ */
+export const getVoiceInputMode = (env = getDefaultEnv(), settings = chatConfig.voice) => {
+  if (!settings.input) return null;
+  if (getSpeechRecognition(env)) return "recognition";
+  if (settings.transcription && canRecordAudio(env)) return "recording";
+  return null;
+};
+
+/**
+ * Uploads a recording to /api/transcribe and resolves with its text.
+ * Failed uploads reject with an error carrying the route's `code`.
+ */
+export const transcribeRecording = async (
+  audio,
+  { flow, locale, embedToken, env = getDefaultEnv() } = {}
+) => {
+  const body = new FormData();
+  body.append("audio", audio, "recording");
+  if (flow) body.append("flow", flow);
+  if (locale) body.append("locale", locale);
+
+  const res = await env.fetch("/api/transcribe", {
+    method: "POST",
+    headers: embedToken ? { "X-Embed-Token": embedToken } : {},
+    body,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(data.error || `Server error: ${res.status}`);
+    error.status = res.status;
+    error.code = data.code || "transcription_failed";
+    throw error;
+  }
+  return data.text || "";
+};
+
+/**
+ * Starts listening to the visitor. Returns `{ stop() }`; stopping a
+ * recording sends it for transcription.
+ *
+ * Options:
+ * - mode:       "recognition" or "recording" (see getVoiceInputMode)
+ * - lang:       the visitor's locale, e.g. "es"
+ * - onText(text, isFinal): the words heard so far; `isFinal` once they're done
+ * - onEnd():    listening stopped (after the last onText)
+ * - onError(code): "not-allowed" (microphone blocked), "no-speech",
+ *               "transcription_failed" or another browser error code
+ * - transcribe(audio): turns a recording into text (default:
+ *               transcribeRecording)
+ * - maxSeconds: recordings stop by themselves after this long
+ */
+export const startVoiceInput = ({
+  mode,
+  lang,
+  onText,
+  onEnd,
+  onError,
+  transcribe = transcribeRecording,
+  maxSeconds = chatConfig.voice.maxRecordingSeconds,
+  env = getDefaultEnv(),
+}) => {
+  if (mode === "recognition") {
+    const SpeechRecognition = getSpeechRecognition(env);
+    const recognition = new SpeechRecognition();
+    recognition.lang = lang;
+    recognition.interimResults = true;
+    recognition.continuous = false;
+    recognition.onresult = (event) => {
+      const results = Array.from(event.results);
+      const text = results.map((result) => result[0].transcript).join("");
+      onText(text.trim(), results.every((result) => result.isFinal));
+    };
+    recognition.onerror = (event) => {
+      // "aborted" is our own stop().
+      if (event.error !== "aborted") onError(event.error);
+    };
+    recognition.onend = () => onEnd();
+    recognition.start();
+    return { stop: () => recognition.stop() };
+  }
+
+  // Recording: collect audio until stopped, then transcribe it.
+  let recorder = null;
+  let stopTimer = null;
+  let stopRequested = false;
+  const stopRecording = () => {
+    stopRequested = true;
+    clearTimeout(stopTimer);
+    if (recorder && recorder.state !== "inactive") recorder.stop();
+  };
+
+  env.navigator.mediaDevices
+    .getUserMedia({ audio: true })
+    .then((stream) => {
+      const chunks = [];
+      recorder = new env.MediaRecorder(stream);
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.onstop = async () => {
+        // Turn the microphone off as soon as we're done with it.
+        stream.getTracks().forEach((track) => track.stop());
+        try {
+          const audio = new Blob(chunks, { type: recorder.mimeType });
+          onText(await transcribe(audio), true);
+        } catch (error) {
+          console.error("Transcription failed:", error);
+          onError(error.code || "transcription_failed");
+        }
+        onEnd();
+      };
+      recorder.start();
+      stopTimer = setTimeout(stopRecording, maxSeconds * 1000);
+      // Stopped before the microphone was ready.
+      if (stopRequested) stopRecording();
+    })
+    .catch((error) => {
+      onError(error.name === "NotAllowedError" ? "not-allowed" : "audio-capture");
+      onEnd();
+    });
+
+  return { stop: stopRecording };
+};
+
+/**
+ * Turns a markdown reply into plain text worth listening to: code blocks,
+ * link URLs and formatting marks are left out.
+ */
+export const toSpeechText = (markdown) =>
+  markdown
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/https?:\/\/\S+/g, "")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "")
+    .replace(/[*_~`|]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Reads `text` (markdown) aloud in `lang`, interrupting anything still being
+ * read. Does nothing when the browser can't speak.
+ */
+export const speak = (text, { lang, env = getDefaultEnv() } = {}) => {
+  if (!canSpeak(env)) return;
+  const spoken = toSpeechText(text);
+  if (!spoken) return;
+  env.speechSynthesis.cancel();
+  const utterance = new env.SpeechSynthesisUtterance(spoken);
+  utterance.lang = lang;
+  env.speechSynthesis.speak(utterance);
+};
+
+/**
+ * Stops reading aloud.
+ */
+export const stopSpeaking = (env = getDefaultEnv()) => {
+  if (canSpeak(env)) env.speechSynthesis.cancel();
+};
+
+/**
+ * True if the visitor turned reading aloud on in an earlier visit.
+ */
+export const loadReadAloud = (env = getDefaultEnv()) => {
+  try {
+    return env.localStorage?.getItem(READ_ALOUD_KEY) === "true";
+  } catch (err) {
+    // Storage can be blocked (e.g. third-party iframes in private mode).
+    return false;
+  }
+};
+
+/**
+ * Remembers whether replies are read aloud.
+ */
+export const saveReadAloud = (on, env = getDefaultEnv()) => {
+  try {
+    env.localStorage?.setItem(READ_ALOUD_KEY, String(on));
+  } catch (err) {
+    // The toggle still works for this visit without storage.
+  }
+};
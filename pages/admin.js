@@ -0,0 +1,513 @@
+// =============================================================================
+// Admin dashboard
+//
+// Password-protected page for the site owner (see lib/adminAuth.js):
+// - browse logged sessions and read their transcripts
+// - filter by date, flow and error status
+// - chart daily volume and latency
+// - edit each flow's header text and suggested prompts without a redeploy
+// - see click-through rates of suggested prompts
+// - download reply ratings as JSONL
+//
+// Sessions and metrics come from the conversation log, so they only appear
+// once `logging.enabled` is true in config/config.js.
+// =============================================================================
+
+import Head from "next/head";
+import { useCallback, useEffect, useState } from "react"; //React hooks
+import chatConfig from "../config/config"; // Import chat settings
+import BarChart from "../components/BarChart"; //Volume and latency charts
+import MarkdownMessage from "../components/MarkdownMessage"; //Agent reply rendering
+import { resolveTheme } from "../lib/theme";
+import { isAdminEnabled, isAdminRequest } from "../lib/adminAuth";
+import { areFlowSettingsShared } from "../lib/flowSettings";
+
+// Transcripts are shown with the widget's light theme.
+const theme = resolveTheme("light");
+
+const formatTime = (iso) => new Date(iso).toLocaleString();
+const formatMs = (ms) => (ms === null || ms === undefined ? "–" : `${Math.round(ms)} ms`);
+
+const sectionStyle = {
+  marginBottom: "32px",
+  padding: "16px",
+  border: `1px solid ${theme.agentBubbleBorder}`,
+  borderRadius: theme.buttonRadius,
+};
+
+const inputStyle = {
+  padding: "6px 8px",
+  border: `1px solid ${theme.accentColor}`,
+  borderRadius: "6px",
+  fontFamily: "inherit",
+  fontSize: "inherit",
+};
+
+const buttonStyle = {
+  ...inputStyle,
+  background: theme.primaryColor,
+  color: theme.secondaryColor,
+  border: "none",
+  cursor: "pointer",
+};
+
+/**
+ * Small wrapper around fetch for the admin API. Throws with the server's
+ * error message when the response isn't OK.
+ */
+const adminFetch = async (url, options) => {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const fields = data.fields ? `: ${Object.entries(data.fields).map(([k, v]) => `${k} ${v}`).join("; ")}` : "";
+    throw new Error(`${data.error || `Server error: ${res.status}`}${fields}`);
+  }
+  return data;
+};
+
+/**
+ * Editor for one flow's header and suggested prompts.
+ */
+function FlowEditor({ flow, onSaved }) {
+  const [title, setTitle] = useState(flow.header.title);
+  const [description, setDescription] = useState(flow.header.description || "");
+  // One prompt per line. Weights and variants set in the config are shown
+  // as plain text here, and saving replaces them with plain prompts.
+  const [prompts, setPrompts] = useState(
+    flow.suggestedPrompts.map((prompt) => (typeof prompt === "string" ? prompt : prompt.text)).join("\n")
+  );
+  const [status, setStatus] = useState("");
+
+  const save = async (e) => {
+    e.preventDefault();
+    setStatus("Saving…");
+    try {
+      const data = await adminFetch("/api/admin/flows", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          flow: flow.name,
+          header: { title, description },
+          suggestedPrompts: prompts.split("\n").map((p) => p.trim()).filter(Boolean),
+        }),
+      });
+      onSaved(data.flows);
+      setStatus("Saved. Reload the widget to see the changes.");
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  const fieldId = (name) => `flow-${flow.name}-${name}`;
+
+  return (
+    <form onSubmit={save} style={{ display: "grid", gap: "8px", marginBottom: "24px" }}>
+      <h3 style={{ margin: 0 }}>
+        {flow.name} {flow.edited && <small style={{ color: theme.accentColor }}>(edited)</small>}
+      </h3>
+      <label htmlFor={fieldId("title")}>Header title</label>
+      <input id={fieldId("title")} value={title} onChange={(e) => setTitle(e.target.value)} style={inputStyle} />
+      <label htmlFor={fieldId("description")}>Description</label>
+      <textarea
+        id={fieldId("description")}
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        rows={2}
+        style={inputStyle}
+      />
+      <label htmlFor={fieldId("prompts")}>Suggested prompts (one per line)</label>
+      <textarea
+        id={fieldId("prompts")}
+        value={prompts}
+        onChange={(e) => setPrompts(e.target.value)}
+        rows={4}
+        style={inputStyle}
+      />
+      <div style={{ display: "flex", alignItems: "center", gap: "12px" }}>
+        <button type="submit" style={buttonStyle}>
+          Save
+        </button>
+        <span role="status">{status}</span>
+      </div>
+    </form>
+  );
+}
+
+export default function AdminPage({ authorized, flowNames, flowSettingsShared = false }) {
+  const [filters, setFilters] = useState({ from: "", to: "", flow: "", status: "" });
+  const [overview, setOverview] = useState(null);
+  const [selectedSession, setSelectedSession] = useState(null);
+  const [flows, setFlows] = useState([]);
+  const [promptStats, setPromptStats] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadOverview = useCallback(async () => {
+    setError(null);
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value)
+    );
+    try {
+      const [sessionData, promptData] = await Promise.all([
+        adminFetch(`/api/admin/sessions?${params}`),
+        adminFetch(`/api/admin/prompts?${params}`),
+      ]);
+      setOverview(sessionData);
+      setPromptStats(promptData.prompts);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    if (!authorized) return;
+    loadOverview();
+  }, [authorized, loadOverview]);
+
+  useEffect(() => {
+    if (!authorized) return;
+    adminFetch("/api/admin/flows")
+      .then((data) => setFlows(data.flows))
+      .catch((err) => setError(err.message));
+  }, [authorized]);
+
+  const openSession = async (sessionId) => {
+    try {
+      setSelectedSession(await adminFetch(`/api/admin/sessions/${encodeURIComponent(sessionId)}`));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateFilter = (name) => (e) =>
+    setFilters((prev) => ({ ...prev, [name]: e.target.value }));
+
+  if (!authorized) {
+    return (
+      <main style={{ fontFamily: theme.fontFamily, padding: "24px" }}>
+        <Head>
+          <title>Admin</title>
+          <meta name="robots" content="noindex" />
+        </Head>
+        <p>You need to sign in to see this page. Reload to try again.</p>
+      </main>
+    );
+  }
+
+  const metrics = overview?.metrics;
+
+  return (
+    <main
+      style={{
+        maxWidth: "960px",
+        margin: "0 auto",
+        padding: "24px 16px",
+        fontFamily: theme.fontFamily,
+        fontSize: theme.fontSize,
+        color: theme.textColor,
+      }}
+    >
+      <Head>
+        <title>Agent admin</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <h1 style={{ fontSize: "20px" }}>Agent admin</h1>
+
+      {error && (
+        <p role="alert" style={{ color: theme.errorColor }}>
+          {error}
+        </p>
+      )}
+
+      {overview && !overview.loggingEnabled && (
+        <p role="status">
+          Conversation logging is off, so there are no sessions to show. Set logging.enabled to
+          true in config/config.js.
+        </p>
+      )}
+
+      {/* Filters */}
+      <section style={sectionStyle} aria-labelledby="filters-heading">
+        <h2 id="filters-heading" style={{ fontSize: "16px", marginTop: 0 }}>
+          Filters
+        </h2>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "12px", alignItems: "end" }}>
+          <label style={{ display: "grid", gap: "4px" }}>
+            From
+            <input type="date" value={filters.from} onChange={updateFilter("from")} style={inputStyle} />
+          </label>
+          <label style={{ display: "grid", gap: "4px" }}>
+            To
+            <input type="date" value={filters.to} onChange={updateFilter("to")} style={inputStyle} />
+          </label>
+          <label style={{ display: "grid", gap: "4px" }}>
+            Flow
+            <select value={filters.flow} onChange={updateFilter("flow")} style={inputStyle}>
+              <option value="">All flows</option>
+              {flowNames.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={{ display: "grid", gap: "4px" }}>
+            Status
+            <select value={filters.status} onChange={updateFilter("status")} style={inputStyle}>
+              <option value="">All sessions</option>
+              <option value="error">With errors</option>
+              <option value="ok">Without errors</option>
+            </select>
+          </label>
+          <button type="button" onClick={loadOverview} style={buttonStyle}>
+            Refresh
+          </button>
+        </div>
+      </section>
+
+      {/* Metrics */}
+      {metrics && (
+        <section style={sectionStyle} aria-labelledby="metrics-heading">
+          <h2 id="metrics-heading" style={{ fontSize: "16px", marginTop: 0 }}>
+            Metrics
+          </h2>
+          <p>
+            {metrics.totalRequests} requests · {(metrics.errorRate * 100).toFixed(1)}% errors · p95
+            latency {formatMs(metrics.p95LatencyMs)}
+          </p>
+          <div style={{ display: "grid", gap: "24px" }}>
+            <BarChart
+              title="Requests per day"
+              data={metrics.daily.map((day) => ({ label: day.date.slice(5), value: day.requests }))}
+              color={theme.primaryColor}
+            />
+            <BarChart
+              title="p95 latency per day"
+              data={metrics.daily.map((day) => ({ label: day.date.slice(5), value: day.p95LatencyMs }))}
+              color={theme.accentColor}
+              formatValue={formatMs}
+            />
+          </div>
+          {metrics.topQuestions.length > 0 && (
+            <>
+              <h3 style={{ fontSize: "14px" }}>Top questions</h3>
+              <ol>
+                {metrics.topQuestions.map((question) => (
+                  <li key={question.prompt}>
+                    {question.prompt} ({question.count})
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+        </section>
+      )}
+
+      {/* Sessions and transcript */}
+      {overview && (
+        <section style={sectionStyle} aria-labelledby="sessions-heading">
+          <h2 id="sessions-heading" style={{ fontSize: "16px", marginTop: 0 }}>
+            Sessions ({overview.sessions.length})
+          </h2>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ textAlign: "left" }}>
+                  <th scope="col">Last active</th>
+                  <th scope="col">Flow</th>
+                  <th scope="col">Messages</th>
+                  <th scope="col">Errors</th>
+                  <th scope="col">First question</th>
+                </tr>
+              </thead>
+              <tbody>
+                {overview.sessions.map((session) => (
+                  <tr
+                    key={session.session_id}
+                    style={{
+                      borderTop: `1px solid ${theme.agentBubbleBorder}`,
+                      background:
+                        selectedSession?.session_id === session.session_id
+                          ? "rgba(127, 127, 127, 0.15)"
+                          : "transparent",
+                    }}
+                  >
+                    <td>{formatTime(session.lastAt)}</td>
+                    <td>{session.flow}</td>
+                    <td>{session.exchanges}</td>
+                    <td style={{ color: session.errors ? theme.errorColor : "inherit" }}>
+                      {session.errors}
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        onClick={() => openSession(session.session_id)}
+                        style={{
+                          background: "none",
+                          border: "none",
+                          padding: 0,
+                          color: "inherit",
+                          font: "inherit",
+                          textAlign: "left",
+                          textDecoration: "underline",
+                          cursor: "pointer",
+                        }}
+                      >
+                        {session.firstPrompt}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {selectedSession && (
+            <div aria-labelledby="transcript-heading" role="region" style={{ marginTop: "24px" }}>
+              <h3 id="transcript-heading" style={{ fontSize: "14px" }}>
+                Session {selectedSession.session_id} · user {selectedSession.user_id || "unknown"}
+              </h3>
+              {selectedSession.records.map((record, index) => (
+                <div
+                  key={`${record.timestamp}-${index}`}
+                  style={{ borderTop: `1px solid ${theme.agentBubbleBorder}`, padding: "12px 0" }}
+                >
+                  <p style={{ margin: "0 0 6px 0", fontSize: "12px", color: theme.accentColor }}>
+                    {formatTime(record.timestamp)} · {formatMs(record.latencyMs)} · upstream{" "}
+                    {record.upstreamStatus || "–"}
+                    {record.error && (
+                      <span style={{ color: theme.errorColor }}> · {record.error}</span>
+                    )}
+                  </p>
+                  <p style={{ margin: "0 0 6px 0", whiteSpace: "pre-wrap" }}>
+                    <strong>Visitor:</strong> {record.prompt}
+                  </p>
+                  {record.reply && <MarkdownMessage content={record.reply} theme={theme} />}
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      {/* Suggested prompt click-through */}
+      <section style={sectionStyle} aria-labelledby="prompts-heading">
+        <h2 id="prompts-heading" style={{ fontSize: "16px", marginTop: 0 }}>
+          Suggested prompts
+        </h2>
+        {promptStats.length === 0 ? (
+          <p style={{ margin: 0 }}>No suggestions have been shown for these filters.</p>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ textAlign: "left" }}>
+                  <th scope="col">Prompt</th>
+                  <th scope="col">Type</th>
+                  <th scope="col">Variant</th>
+                  <th scope="col">Shown</th>
+                  <th scope="col">Clicked</th>
+                  <th scope="col">Click-through</th>
+                </tr>
+              </thead>
+              <tbody>
+                {promptStats.map((stat) => (
+                  <tr
+                    key={`${stat.source}-${stat.variant}-${stat.prompt}`}
+                    style={{ borderTop: `1px solid ${theme.agentBubbleBorder}` }}
+                  >
+                    <td>{stat.prompt}</td>
+                    <td>{stat.source === "starter" ? "Starter" : "Follow-up"}</td>
+                    <td>{stat.variant || "–"}</td>
+                    <td>{stat.impressions}</td>
+                    <td>{stat.clicks}</td>
+                    <td>
+                      {stat.clickThroughRate === null
+                        ? "–"
+                        : `${(stat.clickThroughRate * 100).toFixed(1)}%`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      {/* Reply ratings */}
+      <section style={sectionStyle} aria-labelledby="feedback-heading">
+        <h2 id="feedback-heading" style={{ fontSize: "16px", marginTop: 0 }}>
+          Feedback
+        </h2>
+        <p style={{ marginTop: 0 }}>
+          Thumbs up/down ratings with the question, reply and reason, one per line (JSONL).
+        </p>
+        <div style={{ display: "flex", gap: "16px" }}>
+          <a href="/api/feedback/export">All ratings</a>
+          <a href="/api/feedback/export?rating=up">👍 only</a>
+          <a href="/api/feedback/export?rating=down">👎 only</a>
+        </div>
+      </section>
+
+      {/* Widget text */}
+      <section style={sectionStyle} aria-labelledby="flows-heading">
+        <h2 id="flows-heading" style={{ fontSize: "16px", marginTop: 0 }}>
+          Widget text
+        </h2>
+        {!flowSettingsShared && (
+          <p role="note">
+            Edits are saved on this server instance only. On serverless hosts, or with more than
+            one instance, visitors served by another instance keep seeing the old text, and edits
+            are lost when the instance restarts. Replace flowSettingsStore in lib/flowSettings.js
+            with a shared store to avoid this.
+          </p>
+        )}
+        {flows.map((flow) => (
+          <FlowEditor key={flow.name} flow={flow} onSaved={setFlows} />
+        ))}
+      </section>
+
+      <style jsx global>{`
+        html,
+        body {
+          background: ${theme.backgroundColor};
+          margin: 0;
+        }
+        th,
+        td {
+          padding: 6px 8px;
+          vertical-align: top;
+        }
+        .visually-hidden {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+          clip: rect(0 0 0 0);
+          white-space: nowrap;
+        }
+      `}</style>
+    </main>
+  );
+}
+
+/**
+ * Asks the browser for the admin username and password (HTTP Basic auth).
+ * Without ADMIN_CREDENTIALS set, the page doesn't exist.
+ */
+export async function getServerSideProps({ req, res }) {
+  if (!isAdminEnabled()) return { notFound: true };
+
+  res.setHeader("Cache-Control", "no-store");
+  if (!isAdminRequest(req)) {
+    res.statusCode = 401;
+    res.setHeader("WWW-Authenticate", 'Basic realm="Agent admin", charset="UTF-8"');
+    return { props: { authorized: false, flowNames: [] } };
+  }
+  return {
+    props: {
+      authorized: true,
+      flowNames: Object.keys(chatConfig.flows),
+      flowSettingsShared: areFlowSettingsShared(),
+    },
+  };
+}
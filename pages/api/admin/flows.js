@@ -0,0 +1,68 @@
+// Header text and suggested prompts for each flow, as shown in the widget.
+//
+//   GET /api/admin/flows   -> { flows: [{ name, header, suggestedPrompts, edited }] }
+//   PUT /api/admin/flows   <- { flow, header: { title, description }, suggestedPrompts }
+//
+// Edits are saved in the flow settings store (lib/flowSettings.js) and used
+// by the widget from the next page load, without a redeploy.
+
+import chatConfig from "../../../config/config";
+import { requireAdmin } from "../../../lib/adminAuth";
+import { getFlow, isKnownFlow } from "../../../lib/flows";
+import { loadFlowSettings, saveFlowSettings } from "../../../lib/flowSettings";
+import { flowSettingsSchema, validate } from "../../../lib/schema";
+
+/**
+ * The editable parts of every flow, with saved edits applied.
+ */
+const listFlows = async () => {
+  const settings = await loadFlowSettings();
+  return Object.keys(chatConfig.flows).map((name) => {
+    const flow = getFlow(name, settings);
+    return {
+      name,
+      header: flow.header,
+      suggestedPrompts: flow.suggestedPrompts,
+      edited: Boolean(settings[name]),
+    };
+  });
+};
+
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "GET") {
+    return res.status(200).json({ flows: await listFlows() });
+  }
+
+  if (req.method !== "PUT") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { value, errors } = validate(flowSettingsSchema, req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      error: "Invalid request",
+      code: "invalid_request",
+      fields: errors,
+    });
+  }
+  if (!isKnownFlow(value.flow)) {
+    return res
+      .status(404)
+      .json({ error: "Unknown flow", details: `No flow named "${value.flow}"` });
+  }
+
+  try {
+    const { flow: flowName, ...edits } = value;
+    await saveFlowSettings(flowName, {
+      ...edits,
+      suggestedPrompts: edits.suggestedPrompts.map((prompt) => prompt.trim()),
+    });
+    res.status(200).json({ flows: await listFlows() });
+  } catch (error) {
+    console.error("Error saving flow settings:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
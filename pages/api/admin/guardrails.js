@@ -0,0 +1,44 @@
+// Tries the guardrail rules (config/guardrails.json) without calling any
+// agent.
+//
+//   GET  /api/admin/guardrails  -> runs the rules file's `tests`
+//   POST /api/admin/guardrails  { text, stage: "input" | "output", flow }
+//                               -> what the guardrails would do with `text`
+
+import { requireAdmin } from "../../../lib/adminAuth";
+import { getFlow } from "../../../lib/flows";
+import { checkText, runGuardrailTests } from "../../../lib/guardrails";
+import { guardrailCheckSchema, validate } from "../../../lib/schema";
+
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "GET") {
+    const results = runGuardrailTests();
+    const failed = results.filter((result) => !result.passed).length;
+    return res.status(200).json({ passed: results.length - failed, failed, results });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { value: body, errors } = validate(guardrailCheckSchema, req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      error: "Invalid request",
+      code: "invalid_request",
+      fields: errors,
+    });
+  }
+
+  const flow = getFlow(body.flow);
+  if (!flow) {
+    return res
+      .status(404)
+      .json({ error: "Unknown flow", details: `No flow named "${body.flow}"` });
+  }
+
+  res.status(200).json(checkText(body.text, body.stage, { flow }));
+}
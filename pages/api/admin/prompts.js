@@ -0,0 +1,26 @@
+// Impressions, clicks and click-through rate for each suggested prompt,
+// for the /admin dashboard.
+//
+//   GET /api/admin/prompts?from=2024-01-01&to=2024-01-31&flow=portfolio
+
+import { requireAdmin } from "../../../lib/adminAuth";
+import { filterRecords } from "../../../lib/conversationLog";
+import { computePromptStats, promptEventStore } from "../../../lib/promptEvents";
+
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { from, to, flow } = req.query;
+    const records = filterRecords(await promptEventStore.list(), { from, to, flow });
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).json({ prompts: computePromptStats(records) });
+  } catch (error) {
+    console.error("Error reading prompt events:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
@@ -0,0 +1,59 @@
+// Data for the /admin dashboard: the logged sessions matching the filters,
+// plus volume/latency metrics for charts.
+//
+//   GET /api/admin/sessions?from=2024-01-01&to=2024-01-31&flow=portfolio&status=error
+//
+// `from`/`to` are UTC dates (both included), `status` is "error" (sessions
+// with at least one failed exchange) or "ok" (sessions without any).
+
+import { requireAdmin } from "../../../lib/adminAuth";
+import {
+  computeAggregates,
+  conversationLogger,
+  filterRecords,
+  groupSessions,
+} from "../../../lib/conversationLog";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { from, to, flow, status } = req.query;
+  const fields = {};
+  if (from && !DATE_PATTERN.test(from)) fields.from = "must be a date (YYYY-MM-DD)";
+  if (to && !DATE_PATTERN.test(to)) fields.to = "must be a date (YYYY-MM-DD)";
+  if (status && !["error", "ok"].includes(status)) fields.status = "must be one of: error, ok";
+  if (Object.keys(fields).length > 0) {
+    return res.status(400).json({ error: "Invalid request", code: "invalid_request", fields });
+  }
+
+  try {
+    const records = filterRecords(await conversationLogger.store.list(), { from, to, flow });
+    const sessions = groupSessions(records)
+      .filter((session) => {
+        if (status === "error") return session.errors > 0;
+        if (status === "ok") return session.errors === 0;
+        return true;
+      })
+      // The list only needs a summary; transcripts come from /api/admin/sessions/<id>.
+      .map(({ records: sessionRecords, ...summary }) => ({
+        ...summary,
+        firstPrompt: sessionRecords[0].prompt,
+      }));
+
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).json({
+      loggingEnabled: conversationLogger.enabled,
+      sessions,
+      metrics: computeAggregates(records),
+    });
+  } catch (error) {
+    console.error("Error reading conversation log:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
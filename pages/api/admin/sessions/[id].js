@@ -0,0 +1,28 @@
+// Full transcript of one logged session for the /admin dashboard.
+
+import { requireAdmin } from "../../../../lib/adminAuth";
+import { conversationLogger, groupSessions } from "../../../../lib/conversationLog";
+
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const records = await conversationLogger.store.list();
+    const session = groupSessions(
+      records.filter((record) => (record.session_id || "unknown") === req.query.id)
+    )[0];
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).json(session);
+  } catch (error) {
+    console.error("Error reading conversation log:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
@@ -0,0 +1,65 @@
+// Returns usage statistics computed from the conversation log: daily volume,
+// top questions, error rate and p95 latency.
+//
+// The log holds visitors' questions, so this route is private: callers must
+// send the ANALYTICS_API_KEY secret as a bearer token.
+//
+//   GET /api/analytics?days=7&flow=portfolio
+//   Authorization: Bearer <ANALYTICS_API_KEY>
+
+import { computeAggregates, conversationLogger, filterRecords } from "../../lib/conversationLog";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * True when the request carries the ANALYTICS_API_KEY secret.
+ */
+const isAuthorized = (req) => {
+  const apiKey = process.env.ANALYTICS_API_KEY;
+  return Boolean(apiKey) && req.headers.authorization === `Bearer ${apiKey}`;
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: "Unauthorized", code: "unauthorized" });
+  }
+
+  if (!conversationLogger.enabled) {
+    return res.status(404).json({
+      error: "Logging is turned off",
+      details: "Set logging.enabled to true in config/config.js",
+    });
+  }
+
+  // How far back to look; defaults to 30 days.
+  const days = Number(req.query.days || 30);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return res.status(400).json({
+      error: "Invalid request",
+      code: "invalid_request",
+      fields: { days: "must be a whole number from 1 to 365" },
+    });
+  }
+
+  try {
+    const since = Date.now() - days * DAY_MS;
+    const records = filterRecords(await conversationLogger.store.list({ since }), {
+      flow: req.query.flow,
+    });
+
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).json({
+      from: new Date(since).toISOString(),
+      to: new Date().toISOString(),
+      flow: req.query.flow || null,
+      ...computeAggregates(records),
+    });
+  } catch (error) {
+    console.error("Error computing analytics:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
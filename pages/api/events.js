@@ -0,0 +1,56 @@
+// Records that a suggested prompt was shown or clicked, for click-through
+// rates on the admin page. See lib/promptEvents.js.
+
+import chatConfig from "../../config/config";
+import { createRateLimiter, getClientIp, sendRateLimited } from "../../lib/rateLimit";
+import { getRequestOrigin, isOriginAllowed } from "../../lib/origin";
+import { promptEventSchema, validate } from "../../lib/schema";
+import { promptEventStore } from "../../lib/promptEvents";
+
+// Impressions come in with every rotation, so this is looser than the chat.
+const rateLimiter = createRateLimiter({ perMinute: 60, perDay: 2000 });
+
+export default async function handler(req, res) {
+  // Events are sent by the widget, which is served by this app.
+  const origin = getRequestOrigin(req);
+  if (!isOriginAllowed(origin, req)) {
+    return res.status(403).json({ error: "Origin not allowed" });
+  }
+
+  if (!chatConfig.suggestions.trackClicks) {
+    return res.status(404).json({ error: "Suggestion tracking is turned off" });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { value: event, errors } = validate(promptEventSchema, req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      error: "Invalid request",
+      code: "invalid_request",
+      fields: errors,
+    });
+  }
+
+  const limit = await rateLimiter.check([`ip:${getClientIp(req)}`]);
+  if (limit.limited) return sendRateLimited(res, limit);
+
+  try {
+    await promptEventStore.append({
+      timestamp: new Date().toISOString(),
+      type: event.type,
+      source: event.source,
+      prompt: event.prompt,
+      variant: event.variant || null,
+      flow: event.flow || null,
+      user_id: event.user_id || null,
+      session_id: event.session_id || null,
+    });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error saving prompt event:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
@@ -0,0 +1,80 @@
+// Stores a thumbs up/down rating for one agent reply, together with the
+// question it answered. Ratings can be downloaded as JSONL from
+// /api/feedback/export (admin only) to build eval sets.
+//
+// Only replies the proxy signed can be rated (see lib/replySignature.js), so
+// the saved reply text is what the agent really said. The visitor's question
+// is only kept when the conversation log is on, since both hold the same
+// kind of data.
+
+import chatConfig from "../../config/config";
+import { createRateLimiter, getClientIp, sendRateLimited } from "../../lib/rateLimit";
+import { getRequestOrigin, isOriginAllowed } from "../../lib/origin";
+import { feedbackSchema, validate } from "../../lib/schema";
+import { redactText } from "../../lib/redact";
+import { feedbackStore } from "../../lib/feedback";
+import { verifyReplySignature } from "../../lib/replySignature";
+
+// A visitor rates at most a handful of replies a minute.
+const rateLimiter = createRateLimiter({ perMinute: 20, perDay: 500 });
+
+export default async function handler(req, res) {
+  // Ratings are sent by the widget, which is served by this app.
+  const origin = getRequestOrigin(req);
+  if (!isOriginAllowed(origin, req)) {
+    return res.status(403).json({ error: "Origin not allowed" });
+  }
+
+  if (!chatConfig.feedback.enabled) {
+    return res.status(404).json({ error: "Feedback is turned off" });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { value: feedback, errors } = validate(feedbackSchema, req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      error: "Invalid request",
+      code: "invalid_request",
+      fields: errors,
+    });
+  }
+
+  const limit = await rateLimiter.check([`ip:${getClientIp(req)}`]);
+  if (limit.limited) return sendRateLimited(res, limit);
+
+  const signed = verifyReplySignature({
+    sessionId: feedback.session_id,
+    content: feedback.reply,
+    signature: feedback.signature,
+  });
+  if (!signed) {
+    return res.status(400).json({
+      error: "Invalid request",
+      code: "unverified_reply",
+      details: "The reply isn't signed by this proxy",
+    });
+  }
+
+  try {
+    // Mask personal data the same way the conversation log does.
+    const { enabled: keepPrompts, redact } = chatConfig.logging;
+    await feedbackStore.append({
+      timestamp: new Date().toISOString(),
+      messageId: feedback.messageId,
+      rating: feedback.rating,
+      reason: redactText(feedback.reason, redact) || null,
+      flow: feedback.flow || null,
+      user_id: feedback.user_id || null,
+      session_id: feedback.session_id || null,
+      prompt: (keepPrompts && redactText(feedback.prompt, redact)) || null,
+      reply: redactText(feedback.reply, redact),
+    });
+    res.status(201).json({ ok: true });
+  } catch (error) {
+    console.error("Error saving feedback:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
@@ -0,0 +1,30 @@
+// Downloads all reply ratings as JSONL (one rating per line, latest rating
+// per message). Admin only: see lib/adminAuth.js.
+//
+//   GET /api/feedback/export?rating=down&flow=portfolio
+
+import { requireAdmin } from "../../../lib/adminAuth";
+import { feedbackStore, latestFeedback, toJSONL } from "../../../lib/feedback";
+
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { rating, flow } = req.query;
+    const records = latestFeedback(await feedbackStore.list()).filter(
+      (record) => (!rating || record.rating === rating) && (!flow || record.flow === flow)
+    );
+
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="feedback.jsonl"');
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).send(toJSONL(records));
+  } catch (error) {
+    console.error("Error exporting feedback:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
@@ -0,0 +1,71 @@
+// Starter prompts for one flow, for flows that load them from an API.
+//
+//   GET /api/prompts/portfolio?locale=es -> { prompts: [{ text, weight, variant }] }
+//
+// When the flow has a `promptsURL`, the list is fetched from there with the
+// same `locale` (and kept for a minute); otherwise, or if that fails, the
+// config and admin edits are used, translated for `locale` if the flow has
+// prompts in that language. Fetching here rather than in the browser keeps
+// the API's address and any slowness away from visitors.
+
+import { getFlow } from "../../../lib/flows";
+import { localizeFlow, matchLocale } from "../../../lib/i18n";
+import { loadFlowSettings } from "../../../lib/flowSettings";
+import { normalizePrompts } from "../../../lib/prompts";
+import { fetchWithRetry } from "../../../lib/upstream";
+
+const CACHE_MS = 60 * 1000;
+// "flow:locale" -> { prompts, expiresAt }
+const cache = new Map();
+
+/**
+ * Fetches a prompt list from `url` for `locale`: either a JSON list or
+ * `{ prompts }`.
+ */
+const fetchPrompts = async (url, locale) => {
+  const localizedUrl = new URL(url);
+  if (locale) localizedUrl.searchParams.set("locale", locale);
+  const response = await fetchWithRetry(localizedUrl.href, { timeoutMs: 5000, retries: 1 });
+  if (!response.ok) throw new Error(`Prompts API error ${response.status}`);
+  const data = await response.json();
+  return normalizePrompts(Array.isArray(data) ? data : data.prompts);
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Only locales the widget has strings for; anything else gets the default.
+  const locale = matchLocale(req.query.locale);
+  const configuredFlow = getFlow(req.query.flow, await loadFlowSettings());
+  if (!configuredFlow) {
+    return res
+      .status(404)
+      .json({ error: "Unknown flow", details: `No flow named "${req.query.flow}"` });
+  }
+
+  const flow = localizeFlow(configuredFlow, locale);
+  const cacheKey = `${flow.name}:${locale || ""}`;
+  let prompts = normalizePrompts(flow.suggestedPrompts);
+  if (flow.promptsURL) {
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      prompts = cached.prompts;
+    } else {
+      try {
+        const fetched = await fetchPrompts(flow.promptsURL, locale);
+        if (fetched.length > 0) {
+          prompts = fetched;
+          cache.set(cacheKey, { prompts, expiresAt: Date.now() + CACHE_MS });
+        }
+      } catch (error) {
+        // Fall back to the configured prompts.
+        console.error(`Failed to load prompts for flow "${flow.name}":`, error);
+      }
+    }
+  }
+
+  res.setHeader("Cache-Control", "public, max-age=60");
+  res.status(200).json({ prompts });
+}
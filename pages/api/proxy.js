@@ -1,16 +1,378 @@
 // This is a serverless function that runs on Vercel.
 // It acts as a proxy that forwards requests from our React component
-// to the zerowidth API endpoint.
+// to the flow's agent backend (ZeroWidth by default; see lib/providers).
 // Verbose comments are included to help beginners understand the flow.
 
 // Import the chat configuration settings.
 import chatConfig from "../../config/config";
+// Look up the requested agent flow in the config registry.
+import { getFlow } from "../../lib/flows";
+// Per-visitor request limits.
+import { createRateLimiter, getClientIp, sendRateLimited } from "../../lib/rateLimit";
+// Which sites may call us, and signed embed tokens.
+import { getAllowedOrigins, getRequestOrigin, isOriginAllowed } from "../../lib/origin";
+import { checkEmbedToken } from "../../lib/embedToken";
+// Declared shapes of the request and response payloads.
+import { chatRequestSchema, chatResponseSchema, validate } from "../../lib/schema";
+import { ProxyError, UpstreamResponseError } from "../../lib/errors";
+// Adapters for ZeroWidth and other backends, with failover between them.
+import { sendWithFailover } from "../../lib/providers";
+// Reuses replies to common first questions and merges duplicate requests.
+import { createInFlightRequests, getCacheKey, responseCache } from "../../lib/responseCache";
+// Screens visitors' messages and the agent's replies (config/guardrails.json).
+import { areGuardrailsEnabled, checkText, createStreamGuard } from "../../lib/guardrails";
+// Helpers for reading and writing Server-Sent Events (SSE).
+import { createSSEParser, formatSSE, parseEventData } from "../../lib/sse";
+// Signs replies so shared transcripts can prove they came from the agent.
+import { signReply } from "../../lib/replySignature";
+// Optional record of prompts and replies for analytics.
+import { conversationLogger } from "../../lib/conversationLog";
+// Follow-up questions suggested by the flow.
+import { readFollowUps } from "../../lib/prompts";
+// Uploaded files sent along with a message.
+import { readRawBody, parseMultipart } from "../../lib/multipart";
+import {
+  getAttachmentError,
+  matchesFileType,
+  quoteTextFiles,
+  toUpstreamMessage,
+} from "../../lib/attachments";
+
+// The body is read by readChatRequest below instead of Next.js, so that
+// messages with attachments can be uploaded as multipart/form-data.
+// (pages/api/proxy/[flow].js repeats this setting.)
+export const config = { api: { bodyParser: false } };
+
+// JSON bodies are capped at 1 MB, like Next.js's own parser does.
+const MAX_JSON_BYTES = 1024 * 1024;
+
+// Shared by every request this server instance handles. Pass a `store` option
+// here to keep the counters somewhere other than memory.
+const rateLimiter = createRateLimiter(chatConfig.rateLimit);
+// Requests still waiting for the agent, so duplicates can share them.
+const inFlightRequests = createInFlightRequests();
+
+/**
+ * Parses a JSON request body. Throws a 400 ProxyError if it isn't JSON;
+ * an empty body is left for the schema to report.
+ */
+const parseJSONBody = (text) => {
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ProxyError(400, "invalid_request", "Invalid request", "Body is not valid JSON");
+  }
+};
+
+/**
+ * Reads the chat request as `{ body, files }`. JSON requests have no files.
+ * Multipart requests carry the JSON in a `payload` field and each attachment
+ * as a `files` part.
+ */
+const readChatRequest = async (req) => {
+  const contentType = req.headers["content-type"] || "";
+  if (!contentType.startsWith("multipart/form-data")) {
+    const raw = await readRawBody(req, MAX_JSON_BYTES);
+    return { body: parseJSONBody(raw.toString("utf8")), files: [] };
+  }
+
+  if (!chatConfig.attachments.enabled) {
+    throw new ProxyError(415, "unsupported_attachment", "Attachments are turned off");
+  }
+  const { maxFiles, maxFileSize } = chatConfig.attachments;
+  const raw = await readRawBody(req, MAX_JSON_BYTES + maxFiles * maxFileSize);
+  const { fields, files } = parseMultipart(raw, contentType);
+  return {
+    body: parseJSONBody(fields.payload),
+    files: files
+      .filter((file) => file.field === "files")
+      .map((file) => ({ ...file, filename: file.filename.slice(0, 200) })),
+  };
+};
+
+/**
+ * Checks uploaded files against `chatConfig.attachments`, including that
+ * their content matches the type they claim. Throws a ProxyError for the
+ * first problem found.
+ */
+const checkAttachments = (files) => {
+  const settings = chatConfig.attachments;
+  if (files.length > settings.maxFiles) {
+    throw new ProxyError(
+      400,
+      "too_many_attachments",
+      "Too many attachments",
+      `Attach up to ${settings.maxFiles} files per message.`
+    );
+  }
+  files.forEach((file) => {
+    const size = file.data.length;
+    const problem = getAttachmentError({ name: file.filename, type: file.type, size }, settings);
+    if (problem && size > settings.maxFileSize) {
+      throw new ProxyError(413, "attachment_too_large", "Attachment too large", problem);
+    }
+    if (problem) {
+      throw new ProxyError(415, "unsupported_attachment", "Unsupported attachment", problem);
+    }
+    if (!matchesFileType(file.type, file.data)) {
+      throw new ProxyError(
+        415,
+        "unsupported_attachment",
+        "Unsupported attachment",
+        `${file.filename} doesn't match its file type (${file.type}).`
+      );
+    }
+  });
+};
+
+/**
+ * Trusted callers (our own debugging tools) send the PROXY_DEBUG_KEY secret
+ * in an X-Debug-Key header. Only they may turn on verbose/debug output.
+ */
+const isTrustedCaller = (req) => {
+  const debugKey = process.env.PROXY_DEBUG_KEY;
+  return Boolean(debugKey) && req.headers["x-debug-key"] === debugKey;
+};
+
+/**
+ * Checks a reply, in the `{ output_data }` shape the widget reads, against
+ * the response schema and returns it. Throws an UpstreamResponseError if
+ * `output_data.content` is missing.
+ */
+const checkUpstreamResponse = (data) => {
+  const { errors } = validate(chatResponseSchema, data, { strip: false });
+  const problems = Object.entries(errors).map(
+    ([field, message]) => `${field} ${message}`
+  );
+  if (problems.length > 0) throw new UpstreamResponseError(problems.join("; "));
+  return data;
+};
+
+/**
+ * Flows name their follow-up questions differently; the widget always finds
+ * them in `output_data.suggestions`.
+ */
+const addFollowUps = (data) => {
+  if (!chatConfig.suggestions.followUps) return data;
+  const suggestions = readFollowUps(data.output_data, chatConfig.suggestions.maxFollowUps);
+  return { ...data, output_data: { ...data.output_data, suggestions } };
+};
+
+/**
+ * The reply sent instead when a guardrail blocks a message: the flow's
+ * canned refusal, plus which rule fired.
+ */
+const refusalReply = (check, stage) => ({
+  output_data: { content: check.refusal, guardrail: { stage, rule: check.rule } },
+});
+
+/**
+ * Applies the output guardrails to a complete reply: masks personal data,
+ * or swaps a blocked reply for the flow's refusal. Follow-up questions
+ * become prompts the visitor can click, so any a rule would block or mask
+ * are dropped.
+ */
+const moderateReply = (data, flow) => {
+  if (!areGuardrailsEnabled(flow)) return data;
+  const check = checkText(data.output_data.content, "output", { flow });
+  if (check.action === "block") return refusalReply(check, "output");
+  const { suggestions } = data.output_data;
+  return {
+    ...data,
+    output_data: {
+      ...data.output_data,
+      ...(check.action === "redact" && { content: check.text }),
+      ...(Array.isArray(suggestions) && {
+        suggestions: suggestions.filter(
+          (text) => checkText(text, "output", { flow }).action === "allow"
+        ),
+      }),
+    },
+  };
+};
+
+// Response headers for the SSE stream sent to the browser.
+const SSE_HEADERS = {
+  "Content-Type": "text/event-stream; charset=utf-8",
+  "Cache-Control": "no-cache, no-transform",
+  Connection: "keep-alive",
+  // Stops proxies such as nginx from buffering the whole stream.
+  "X-Accel-Buffering": "no",
+};
+
+/**
+ * Lets visitors who sent the same message at once (e.g. a double-click)
+ * share one streamed reply. It stands in for `res` in streamToClient and
+ * copies everything written to every attached response, replaying what a
+ * late one missed. Responses of visitors who left are dropped.
+ */
+const createStreamFanOut = () => {
+  const responses = new Set();
+  const written = [];
+  let head = null;
+  let ended = false;
+
+  return {
+    add(res) {
+      responses.add(res);
+      res.on("close", () => responses.delete(res));
+      if (head) res.writeHead(...head);
+      written.forEach((chunk) => res.write(chunk));
+      if (ended) res.end();
+    },
+    writeHead(...args) {
+      head = args;
+      responses.forEach((res) => res.writeHead(...args));
+    },
+    write(chunk) {
+      written.push(chunk);
+      responses.forEach((res) => res.write(chunk));
+    },
+    end() {
+      ended = true;
+      responses.forEach((res) => res.end());
+    },
+  };
+};
+
+/**
+ * Sends a reply that is already complete (e.g. from the cache) the way the
+ * widget asked for it: as JSON, or as a stream with the whole reply in a
+ * single delta so the widget behaves the same. The reply is signed for
+ * `sessionId` (see lib/replySignature.js).
+ */
+const sendCompleteReply = (res, data, wantsStream, sessionId) => {
+  const signed = signReply(data, sessionId);
+  if (!wantsStream) return res.status(200).json(signed);
+  res.writeHead(200, SSE_HEADERS);
+  res.write(formatSSE("delta", { content: data.output_data.content }));
+  res.write(formatSSE("done", signed));
+  res.end();
+};
+
+/**
+ * Pipes a streaming upstream response to the browser as SSE, reading each
+ * upstream event with the `provider` that sent it. With guardrails on, the
+ * reply is passed on a sentence at a time once each sentence is checked.
+ *
+ * The browser receives three kinds of events:
+ * - "delta": `{ content }` with the next piece of the reply
+ * - "done":  the final response in the usual `{ output_data }` shape
+ * - "error": `{ error, details }` if something breaks mid-stream
+ *
+ * Resolves with the final response once the stream has ended. The "done"
+ * event is signed for `sessionId`.
+ */
+const streamToClient = async (res, response, provider, flow, sessionId) => {
+  // Some flows ignore `stream: true` and answer with plain JSON.
+  const contentType = response.headers.get("content-type") || "";
+  if (!contentType.includes("text/event-stream")) {
+    const data = moderateReply(
+      addFollowUps(
+        checkUpstreamResponse({ output_data: provider.readResponse(await response.json()) })
+      ),
+      flow
+    );
+    sendCompleteReply(res, data, true, sessionId);
+    return data;
+  }
+
+  res.writeHead(200, SSE_HEADERS);
+
+  let content = "";
+  let finalOutput = null;
+  const guard = areGuardrailsEnabled(flow) ? createStreamGuard({ flow }) : null;
+  // Set when a guardrail stops the reply part way.
+  let blocked = null;
+
+  const sendDelta = (text) => {
+    if (text) res.write(formatSSE("delta", { content: text }));
+  };
+
+  const parser = createSSEParser(({ event, data }) => {
+    const payload = parseEventData(data);
+
+    // Pass upstream errors straight through to the widget.
+    if (event === "error") {
+      throw new Error(
+        typeof payload === "string" ? payload : payload.error || data
+      );
+    }
+
+    const result = provider.readStreamEvent(payload);
+    if (!result || blocked) return;
+    if (result.final) {
+      finalOutput = result.final;
+      return;
+    }
+    content += result.delta;
+    if (!guard) return sendDelta(result.delta);
+    const checked = guard.push(result.delta);
+    if (checked.blocked) blocked = checked.blocked;
+    else sendDelta(checked.text);
+  });
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  try {
+    while (!blocked) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+    if (blocked) {
+      // No need for the rest of the reply.
+      reader.cancel().catch(() => {});
+    } else {
+      parser.flush();
+      const rest = guard?.flush();
+      if (rest?.blocked) blocked = rest.blocked;
+      else sendDelta(rest?.text);
+    }
+  } catch (error) {
+    // Release the upstream connection before reporting the failure.
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  // Prefer the upstream's own final message, but fall back to what we built
+  // from the deltas if it never sent one. The widget replaces the streamed
+  // text with this, so it is checked as a whole too.
+  const final = blocked
+    ? refusalReply(blocked, "output")
+    : moderateReply(
+        addFollowUps(
+          checkUpstreamResponse({
+            output_data: { ...finalOutput, content: finalOutput?.content || content },
+          })
+        ),
+        flow
+      );
+  res.write(formatSSE("done", signReply(final, sessionId)));
+  res.end();
+  return final;
+};
 
 export default async function handler(req, res) {
+  // Only sites on the allowlist may use the proxy.
+  const origin = getRequestOrigin(req);
+  if (!isOriginAllowed(origin, req)) {
+    return res.status(403).json({ error: "Origin not allowed" });
+  }
+
   // Set CORS headers so that our React frontend can communicate with this API.
-  res.setHeader("Access-Control-Allow-Origin", "*");
+  // With an allowlist, the caller's own origin is echoed back instead of "*".
+  const restrictOrigins = getAllowedOrigins().length > 0;
+  res.setHeader("Access-Control-Allow-Origin", restrictOrigins ? origin : "*");
+  if (restrictOrigins) res.setHeader("Vary", "Origin");
   res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  // Lets the widget (and your own tools) see whether the cache was used.
+  res.setHeader("Access-Control-Expose-Headers", "X-Cache");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, X-Embed-Token"
+  );
 
   // Handle preflight OPTIONS request.
   if (req.method === "OPTIONS") {
@@ -22,43 +384,277 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  // Get the request body sent by the React component.
-  const requestBody = req.body;
+  // Count this request against the caller's IP before reading the body, so
+  // a throttled caller can't make us take in large uploads.
+  const ipLimit = await rateLimiter.check([`ip:${getClientIp(req)}`]);
+  if (ipLimit.limited) return sendRateLimited(res, ipLimit);
 
+  // Read the JSON request and any attached files.
+  let chatRequest;
   try {
-    //the url is in the config file
-    const apiUrl = chatConfig.flowURL;
-
-    //the bearer token is stored in the environment variable
-    const bearerToken = process.env.ZEROWIDTH_API_KEY;
-
-    // Forward the request to the zerowidth API endpoint using the fetch API.
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${bearerToken}`,
-      },
-      body: JSON.stringify(requestBody),
+    chatRequest = await readChatRequest(req);
+  } catch (error) {
+    if (!(error instanceof ProxyError)) throw error;
+    return res
+      .status(error.status)
+      .json({ error: error.message, code: error.code, details: error.details });
+  }
+  const { files } = chatRequest;
+
+  // Check the request body sent by the React component against the schema.
+  // Unknown fields are dropped so only what we expect is forwarded upstream.
+  const { value: validBody, errors } = validate(chatRequestSchema, chatRequest.body, {
+    allowInternal: isTrustedCaller(req),
+  });
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      error: "Invalid request",
+      code: "invalid_request",
+      fields: errors,
+    });
+  }
+
+  // `flow` is only used to pick the agent here and is not sent upstream.
+  const { flow: bodyFlow, ...requestBody } = validBody;
+  const wantsStream = requestBody.stream === true;
+
+  // Pick the flow from the route (/api/proxy/<flow>) or the request body.
+  // Without either, the default flow from the config is used.
+  const flowName = req.query.flow || bodyFlow;
+  const flow = getFlow(flowName);
+  if (!flow) {
+    return res
+      .status(404)
+      .json({ error: "Unknown flow", details: `No flow named "${flowName}"` });
+  }
+
+  // When embed tokens are required, check the one the widget was given.
+  if (!checkEmbedToken(req, res, flow)) return;
+
+  // Refuse messages longer than the configured maximum.
+  const { maxMessageLength } = chatConfig.rateLimit;
+  const content = requestBody.data.message.content;
+  if (maxMessageLength && content.length > maxMessageLength) {
+    return res.status(413).json({
+      error: "Message too long",
+      code: "message_too_long",
+      maxLength: maxMessageLength,
+    });
+  }
+
+  // Refuse attachments of the wrong type or size, or too many of them.
+  try {
+    checkAttachments(files);
+  } catch (error) {
+    return res
+      .status(error.status)
+      .json({ error: error.message, code: error.code, details: error.details });
+  }
+
+  // Then count it against the visitor's user/session IDs from the body.
+  const rateLimitKeys = [];
+  if (requestBody.user_id) {
+    rateLimitKeys.push(`user:${requestBody.user_id}`);
+  }
+  if (requestBody.session_id) {
+    rateLimitKeys.push(`session:${requestBody.session_id}`);
+  }
+  const limit = await rateLimiter.check(rateLimitKeys);
+  if (limit.limited) return sendRateLimited(res, limit);
+
+  // If the visitor closes the tab or aborts the request, stop the upstream
+  // call too so we don't keep paying for a reply nobody will read.
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  // Screen the visitor's message before it goes anywhere: blocked topics
+  // get the flow's refusal, and personal data can be masked. Text files are
+  // pasted into the message, so they're screened along with it.
+  const upstreamText = quoteTextFiles(content, files);
+  const inputCheck = areGuardrailsEnabled(flow)
+    ? checkText(upstreamText, "input", { flow })
+    : { action: "allow", text: upstreamText };
+  const messageText = inputCheck.action === "redact" ? inputCheck.text : upstreamText;
+
+  // The request in the provider-neutral shape (see lib/providers). `locale`
+  // is passed on as a variable.
+  const { data: requestData, locale, ...requestOptions } = requestBody;
+  const providerRequest = {
+    ...requestOptions,
+    // Attachments turn the message into text plus file parts.
+    message: toUpstreamMessage({ ...requestData.message, content: messageText }, files),
+    variables: {
+      ...requestData.variables,
+      // Ask the flow for follow-up questions through a variable its prompt
+      // can use, e.g. "Suggest {{follow_up_count}} follow-up questions".
+      ...(chatConfig.suggestions.followUps && {
+        follow_up_count: String(chatConfig.suggestions.maxFollowUps),
+      }),
+      // The visitor's language, so the flow can answer in it, e.g. "Reply in
+      // the language {{locale}}".
+      ...(locale && { locale }),
+    },
+  };
+
+  // Replies can be cached when they don't depend on the conversation: only
+  // stateless requests, without attachments or host page variables, and
+  // without debug output. Stateful ones are never cached, not even a
+  // session's first message: the visitor could have steered the session
+  // already, and a cached reply would leave the exchange out of the agent's
+  // memory of the session.
+  const isCacheable =
+    responseCache.enabled &&
+    requestBody.stateful !== true &&
+    files.length === 0 &&
+    Object.keys(requestData.variables || {}).length === 0 &&
+    !requestBody.verbose &&
+    !requestBody.debug;
+  const cacheKey = isCacheable ? getCacheKey(flow.name, messageText, locale) : null;
+  // Identical messages from the same session share one upstream call, as
+  // long as they asked for the reply the same way (streamed or not).
+  const inFlightKey =
+    requestBody.session_id && files.length === 0
+      ? `${requestBody.session_id}:${wantsStream ? "stream" : "json"}:${getCacheKey(
+          flow.name,
+          messageText,
+          locale
+        )}`
+      : null;
+
+  // Details of this exchange for the conversation log.
+  const startedAt = Date.now();
+  let upstreamStatus = null;
+  let providerName = null;
+  let reply = null;
+  let errorCode = null;
+
+  /**
+   * Asks the flow's backend for a reply and resolves with it in the
+   * `{ output_data }` shape. Streamed replies are piped to every visitor in
+   * `streamTo` as they arrive. `signal` cancels the call.
+   */
+  const askProvider = async (signal, streamTo) => {
+    // Forward the request to the flow's backend, retrying on server and
+    // network errors and failing over to its fallbacks if it's down.
+    const { provider, settings, response } = await sendWithFailover(flow, providerRequest, {
+      signal,
     });
 
-    // If the zerowidth API returns an error status, capture its message.
+    upstreamStatus = response.status;
+    providerName = provider.name;
+
+    // If the backend returns an error status, capture its message.
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`Zerowidth API error ${response.status}: ${errorText}`);
+      throw new Error(`${provider.label} error ${response.status}: ${errorText}`);
     }
 
-    // Parse the JSON response from zerowidth.
-    const data = await response.json();
+    // Streaming mode: forward the reply piece by piece. Otherwise read the
+    // reply in the backend's format and make sure it has content.
+    const data = wantsStream
+      ? await streamToClient(streamTo, response, provider, flow, requestBody.session_id)
+      : moderateReply(
+          addFollowUps(
+            checkUpstreamResponse({ output_data: provider.readResponse(await response.json()) })
+          ),
+          flow
+        );
+    provider.onReply?.(providerRequest, data.output_data, { settings });
+    return data;
+  };
+
+  try {
+    // Blocked by a guardrail: answer with the refusal without calling the
+    // agent.
+    if (inputCheck.action === "block") {
+      providerName = "guardrails";
+      reply = inputCheck.refusal;
+      return sendCompleteReply(
+        res,
+        refusalReply(inputCheck, "input"),
+        wantsStream,
+        requestBody.session_id
+      );
+    }
+
+    // A popular first question may already have an answer.
+    const cached = cacheKey ? await responseCache.get(cacheKey) : null;
+    if (cached) {
+      res.setHeader("X-Cache", "HIT");
+      providerName = "cache";
+      reply = cached.output_data.content;
+      return sendCompleteReply(res, cached, wantsStream, requestBody.session_id);
+    }
 
-    // Send the zerowidth API response back to the React component.
-    res.status(200).json(data);
+    // The same message is already on its way (e.g. after a double-click):
+    // wait for that reply instead of asking again. The call is only
+    // cancelled once every visitor waiting for it has gone, and a streamed
+    // reply goes to all of them, not just the one who started it.
+    const streamTo = wantsStream ? createStreamFanOut() : null;
+    const { promise, shared, context } = inFlightKey
+      ? inFlightRequests.run(
+          inFlightKey,
+          (signal) => askProvider(signal, streamTo),
+          controller.signal,
+          streamTo
+        )
+      : { promise: askProvider(controller.signal, streamTo), shared: false, context: streamTo };
+    res.setHeader("X-Cache", shared ? "COALESCED" : cacheKey ? "MISS" : "BYPASS");
+    context?.add(res);
+    const data = await promise;
+    reply = data.output_data.content;
+
+    // A shared stream has been sent to this visitor already.
+    if (shared) {
+      if (!wantsStream) sendCompleteReply(res, data, false, requestBody.session_id);
+      return;
+    }
+    if (cacheKey) await responseCache.set(cacheKey, data);
+
+    // Streamed replies have been sent already; send the others back to the
+    // React component.
+    if (!wantsStream) res.status(200).json(signReply(data, requestBody.session_id));
   } catch (error) {
+    // The client went away; there is nobody left to answer.
+    if (controller.signal.aborted) {
+      errorCode = "client_aborted";
+      return;
+    }
+    errorCode = error instanceof ProxyError ? error.code : "internal_error";
+
     // Log the error for debugging purposes.
     console.error("Error in proxy function:", error);
-    // Return a generic error response with details.
-    res
-      .status(500)
-      .json({ error: "Internal Server Error", details: error.message });
+
+    // Known proxy errors carry their own status and code; anything else is
+    // reported as a generic 500.
+    const body =
+      error instanceof ProxyError
+        ? { error: error.message, code: error.code, details: error.details }
+        : { error: "Internal Server Error", details: error.message };
+
+    // Once a stream has started the status code has already been sent, so
+    // the error is reported as a final SSE event instead.
+    if (res.headersSent) {
+      res.write(formatSSE("error", body));
+      return res.end();
+    }
+
+    // Return the error response with details.
+    res.status(error instanceof ProxyError ? error.status : 500).json(body);
+  } finally {
+    // Not awaited: logging must never delay or break the reply.
+    conversationLogger.record({
+      flow: flow.name,
+      user_id: requestBody.user_id,
+      session_id: requestBody.session_id,
+      prompt: content,
+      reply,
+      latencyMs: Date.now() - startedAt,
+      upstreamStatus,
+      provider: providerName,
+      error: errorCode,
+    });
   }
 }
@@ -0,0 +1,7 @@
+// Serves /api/proxy/<flow>, so each agent gets its own route.
+// The flow name arrives as `req.query.flow` and is handled by the main proxy.
+export { default } from "../proxy";
+
+// Next.js reads this per route, so the proxy's own setting is repeated here:
+// the proxy reads the body itself to accept attachments.
+export const config = { api: { bodyParser: false } };
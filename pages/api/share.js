@@ -0,0 +1,87 @@
+// Saves a conversation so it can be viewed read-only at /share/<id>.
+// The widget POSTs the transcript built by lib/transcript.js and gets back
+// the ID and the permalink to copy. Agent messages are marked verified only
+// when they carry the proxy's signature (see lib/replySignature.js), so a
+// made-up "agent" reply is shown as such.
+
+import crypto from "crypto";
+import chatConfig from "../../config/config";
+import { createRateLimiter, getClientIp, sendRateLimited } from "../../lib/rateLimit";
+import { getRequestOrigin, isOriginAllowed } from "../../lib/origin";
+import { shareRequestSchema, validate } from "../../lib/schema";
+import { saveShare } from "../../lib/shareStore";
+import { verifyReplySignature } from "../../lib/replySignature";
+
+// Sharing is cheap compared to a chat request, but still limited so the
+// store can't be filled by a script.
+const rateLimiter = createRateLimiter({ perMinute: 5, perDay: 50 });
+
+export default async function handler(req, res) {
+  // Shares are created from the widget, which is served by this app.
+  const origin = getRequestOrigin(req);
+  if (!isOriginAllowed(origin, req)) {
+    return res.status(403).json({ error: "Origin not allowed" });
+  }
+
+  if (!chatConfig.sharing.enabled) {
+    return res.status(404).json({ error: "Sharing is turned off" });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { value: transcript, errors } = validate(
+    {
+      ...shareRequestSchema,
+      fields: {
+        ...shareRequestSchema.fields,
+        messages: {
+          ...shareRequestSchema.fields.messages,
+          maxItems: chatConfig.sharing.maxMessages,
+        },
+      },
+    },
+    req.body
+  );
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      error: "Invalid request",
+      code: "invalid_request",
+      fields: errors,
+    });
+  }
+
+  const limit = await rateLimiter.check([`ip:${getClientIp(req)}`]);
+  if (limit.limited) return sendRateLimited(res, limit);
+
+  try {
+    const id = crypto.randomUUID().replace(/-/g, "");
+    const now = Date.now();
+    const messages = transcript.messages.map(({ signature, ...msg }) =>
+      msg.role === "agent"
+        ? {
+            ...msg,
+            verified: verifyReplySignature({
+              sessionId: transcript.sessionId,
+              content: msg.content,
+              signature,
+            }),
+          }
+        : msg
+    );
+    await saveShare(id, {
+      ...transcript,
+      messages,
+      sharedAt: new Date(now).toISOString(),
+      expiresAt: new Date(
+        now + chatConfig.sharing.ttlDays * 24 * 60 * 60 * 1000
+      ).toISOString(),
+    });
+
+    res.status(201).json({ id, url: `/share/${id}` });
+  } catch (error) {
+    console.error("Error saving shared transcript:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
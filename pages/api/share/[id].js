@@ -0,0 +1,21 @@
+// Returns a shared transcript saved by /api/share, or 404 once it is
+// missing or expired.
+
+import { loadShare } from "../../../lib/shareStore";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const record = await loadShare(req.query.id);
+    if (!record) {
+      return res.status(404).json({ error: "Shared conversation not found" });
+    }
+    res.status(200).json(record);
+  } catch (error) {
+    console.error("Error loading shared transcript:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
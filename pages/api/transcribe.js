@@ -0,0 +1,128 @@
+// Turns a voice recording from the widget into text, for browsers without
+// built-in speech recognition (see lib/voice.js and lib/transcription.js).
+//
+//   POST /api/transcribe  (multipart/form-data: audio, flow, locale)
+//   -> { text }
+//
+// Only available when `chatConfig.voice.transcription` is set. Recordings get
+// the same origin and embed token checks as chat messages, and their own rate
+// limit (`chatConfig.voice.rateLimit`).
+
+import chatConfig from "../../config/config";
+import { getFlow } from "../../lib/flows";
+import { createRateLimiter, getClientIp, sendRateLimited } from "../../lib/rateLimit";
+import { getRequestOrigin, isOriginAllowed } from "../../lib/origin";
+import { checkEmbedToken } from "../../lib/embedToken";
+import { transcriptionRequestSchema, validate } from "../../lib/schema";
+import { ProxyError } from "../../lib/errors";
+import { readRawBody, parseMultipart } from "../../lib/multipart";
+import { transcribeAudio } from "../../lib/transcription";
+
+// Recordings are uploaded as multipart/form-data, read below.
+export const config = { api: { bodyParser: false } };
+
+// What MediaRecorder produces in the browsers that need this route.
+const AUDIO_TYPES = ["audio/webm", "audio/ogg", "audio/mp4", "audio/mpeg", "audio/wav"];
+
+// Room for the form fields and multipart boundaries around the recording.
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+// Separate from the proxy's limits, which count the messages themselves.
+const rateLimiter = createRateLimiter(chatConfig.voice.rateLimit);
+
+export default async function handler(req, res) {
+  // Recordings are sent by the widget, which is served by this app.
+  const origin = getRequestOrigin(req);
+  if (!isOriginAllowed(origin, req)) {
+    return res.status(403).json({ error: "Origin not allowed" });
+  }
+
+  const { voice } = chatConfig;
+  if (!voice.input || !voice.transcription) {
+    return res.status(404).json({ error: "Transcription is turned off" });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Checked before reading the upload, so a throttled visitor can't keep
+  // the server busy receiving recordings.
+  const limit = await rateLimiter.check([`ip:${getClientIp(req)}`]);
+  if (limit.limited) return sendRateLimited(res, limit);
+
+  try {
+    const contentType = req.headers["content-type"] || "";
+    if (!contentType.startsWith("multipart/form-data")) {
+      throw new ProxyError(
+        400,
+        "invalid_request",
+        "Invalid request",
+        "Expected multipart/form-data"
+      );
+    }
+    const body = await readRawBody(req, voice.maxAudioSize + MULTIPART_OVERHEAD_BYTES);
+    const { fields, files } = parseMultipart(body, contentType);
+
+    const { value: request, errors } = validate(transcriptionRequestSchema, fields);
+    const audio = files.find((file) => file.field === "audio");
+    if (!audio) errors.audio = "is required";
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: "Invalid request",
+        code: "invalid_request",
+        fields: errors,
+      });
+    }
+
+    const flow = getFlow(request.flow);
+    if (!flow) {
+      return res
+        .status(404)
+        .json({ error: "Unknown flow", details: `No flow named "${request.flow}"` });
+    }
+
+    // When embed tokens are required, check the one the widget was given.
+    if (!checkEmbedToken(req, res, flow)) return;
+
+    // "audio/webm;codecs=opus" -> "audio/webm"
+    const audioType = audio.type.split(";")[0].trim().toLowerCase();
+    if (!AUDIO_TYPES.includes(audioType)) {
+      throw new ProxyError(
+        415,
+        "unsupported_audio",
+        "Unsupported audio",
+        `Can't transcribe ${audioType || "this file"}`
+      );
+    }
+    if (audio.data.length > voice.maxAudioSize) {
+      throw new ProxyError(413, "audio_too_large", "Recording too large", {
+        maxBytes: voice.maxAudioSize,
+      });
+    }
+
+    // Stop transcribing if the visitor gives up on it.
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    const text = await transcribeAudio(
+      { ...audio, type: audioType },
+      { locale: request.locale, signal: controller.signal }
+    );
+    res.status(200).json({ text });
+  } catch (error) {
+    if (error instanceof ProxyError) {
+      if (error.status >= 500) console.error("Transcription failed:", error.message, error.details);
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        // Upstream error bodies stay in the server log.
+        ...(error.status < 500 && { details: error.details }),
+      });
+    }
+    if (error.name === "AbortError") return;
+    console.error("Transcription failed:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
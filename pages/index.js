@@ -8,52 +8,162 @@
 // =============================================================================
 
 import chatConfig from "../config/config"; // Import chat settings
-import { useState, useEffect, useRef } from "react"; //React hooks
-import ReactMarkdown from "react-markdown"; //Allows rendering markdown, or text formatting
-import { v4 as uuidv4 } from "uuid"; //Session uids
+import { getFlow } from "../lib/flows"; // Named agent flows
+import { useState, useEffect, useMemo, useReducer, useRef } from "react"; //React hooks
+import MarkdownMessage, { CopyButton } from "../components/MarkdownMessage"; //Agent reply rendering
+import ExportMenu from "../components/ExportMenu"; //Download or share the conversation
+import FeedbackButtons from "../components/FeedbackButtons"; //Thumbs up/down on replies
+import { v4 as uuidv4 } from "uuid"; //Message and attachment IDs
+import { getSessionId, getUserId, resetSessionId } from "../lib/session"; //Session and visitor IDs
+import { createSSEParser, parseEventData } from "../lib/sse"; //Streaming replies
+import { getAllowedOrigins, getFrameAncestors } from "../lib/origin"; //Embedding allowlist
+import { loadFlowSettings } from "../lib/flowSettings"; //Header and prompt edits from /admin
+import { normalizePrompts, selectStarterPrompts } from "../lib/prompts"; //Starter prompt rotation and A/B variants
+import { createImagePreview, getAttachmentError, isImageType } from "../lib/attachments"; //Files attached to messages
+import AttachmentList from "../components/AttachmentList"; //Attachment thumbnails and chips
+import { createHostBridge } from "../lib/embedBridge"; //Talking to the embedding page
+import { useTheme } from "../lib/theme"; //Colors, fonts and sizes from the config
+import { localizeFlow, useLocale } from "../lib/i18n"; //Translated text and text direction
+import {
+  canSpeak,
+  getVoiceInputMode,
+  loadReadAloud,
+  saveReadAloud,
+  speak,
+  startVoiceInput,
+  stopSpeaking,
+  transcribeRecording,
+} from "../lib/voice"; //Voice input and spoken replies
+import { loadHistory, saveHistory, clearHistory, loadDraft, saveDraft } from "../lib/history"; //Saved transcripts and drafts
+import {
+  MESSAGE_STATUS,
+  conversationReducer,
+  createAgentMessage,
+  createUserMessage,
+  getUpstreamFields,
+} from "../lib/messages"; //Message shape and conversation state
 
 /**
- * Retrieves or generates a session ID and stores it in sessionStorage.
+ * Short time for a message in the visitor's locale, e.g. "14:05".
  */
-const getSessionId = () => {
-  if (typeof window === "undefined") return ""; // Prevent SSR issues
+const formatMessageTime = (iso, locale) =>
+  new Date(iso).toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" });
+
+/**
+ * Delivery status shown under a message, or "" when there's nothing to say.
+ * Failed messages have their own "Not sent · Retry" line.
+ */
+const getStatusLabel = (msg, t) => {
+  if (msg.role === "agent") return msg.stopped ? t("statusStopped") : "";
+  if (msg.status === MESSAGE_STATUS.PENDING) return t("statusSending");
+  if (msg.status === MESSAGE_STATUS.SENT) return t("statusSent");
+  return "";
+};
+
+// Room (px) around the card for its shadow when embedded with embed.js.
+const EMBED_GUTTER_PX = 8;
+// Space (px) between the starter prompt and the card's edge.
+const SUGGESTION_INSET_PX = 22;
 
-  let sessionId = sessionStorage.getItem("sessionId");
-  sessionId = sessionId && sessionId.length <= 32 ? sessionId : null;
+// Error codes the proxy uses for refused attachments; their `details` say why.
+const ATTACHMENT_ERROR_CODES = [
+  "attachment_too_large",
+  "unsupported_attachment",
+  "too_many_attachments",
+  "payload_too_large",
+];
 
-  if (!sessionId) {
-    sessionId = uuidv4().replace(/-/g, "").slice(0, 32); // Ensure max 32 chars
-    sessionStorage.setItem("sessionId", sessionId);
+/**
+ * Picks the agent flow from the `?flow=` query parameter of the page URL,
+ * so each iframe embed can target a different agent. Unknown names fall back
+ * to the default flow. `settings` holds header/prompt edits made on /admin.
+ */
+const getFlowFromUrl = (settings) => {
+  const defaultFlow = getFlow(null, settings);
+  if (typeof window === "undefined") return defaultFlow; // Prevent SSR issues
+
+  const requested = new URLSearchParams(window.location.search).get("flow");
+  if (!requested) return defaultFlow;
+
+  const flow = getFlow(requested, settings);
+  if (!flow) {
+    console.warn(`Unknown flow "${requested}", using "${defaultFlow.name}".`);
+    return defaultFlow;
   }
-  return sessionId;
+  return flow;
 };
 
 /**
- * Retrieves or generates a persistent user ID and stores it in localStorage.
+ * Returns the signed embed token the host page passed in `?token=`, if any.
  */
-const getUserId = () => {
+const getEmbedToken = () => {
   if (typeof window === "undefined") return ""; // Prevent SSR issues
+  return new URLSearchParams(window.location.search).get("token") || "";
+};
+
+/**
+ * Extracts the agent's reply text from a proxy response. Throws a typed
+ * error instead of showing an empty bubble when the reply is missing.
+ */
+const getAgentReply = (data) => {
+  const content = data && data.output_data && data.output_data.content;
+  if (typeof content === "string" && content.trim()) return content;
+
+  const replyError = new Error("Invalid response from agent");
+  replyError.code = "invalid_upstream_response";
+  throw replyError;
+};
+
+/**
+ * Reads a streamed (Server-Sent Events) reply from the proxy.
+ * Calls `onDelta` with each new piece of text and resolves with the final
+ * response in the usual `{ output_data }` shape.
+ */
+const readAgentStream = async (res, onDelta) => {
+  let finalData = null;
+  let streamError = null;
+
+  const parser = createSSEParser(({ event, data }) => {
+    const payload = parseEventData(data);
+    if (event === "delta") onDelta(payload.content || "");
+    if (event === "done") finalData = payload;
+    if (event === "error") {
+      streamError = new Error(payload.details || payload.error || "Stream error");
+      streamError.code = payload.code;
+    }
+  });
 
-  let userId = localStorage.getItem("userId");
-  userId = userId && userId.length <= 32 ? userId : null;
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  while (!streamError) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+  parser.flush();
 
-  if (!userId) {
-    userId = uuidv4().replace(/-/g, "").slice(0, 32); // Ensure max 32 chars
-    localStorage.setItem("userId", userId);
+  if (streamError) {
+    reader.cancel().catch(() => {});
+    throw streamError;
   }
-  return userId;
+  return finalData;
 };
-//ssd
+
 /**
  * AgentComponent renders a chat interface with a rounded rectangle design.
  */
-export default function AgentComponent() {
+export default function AgentComponent({ allowedOrigins = [], flowSettings = {} }) {
   // State to store the user's current input from the text field.
   const [message, setMessage] = useState("");
   // State to store the conversation as an array of message objects.
-  const [conversation, setConversation] = useState([]);
+  // See lib/messages.js for the message shape and the actions.
+  const [conversation, dispatchConversation] = useReducer(conversationReducer, []);
   // State to capture any errors during the API request.
   const [error, setError] = useState(null);
+  // When rate limited, the time (ms since epoch) the visitor may send again.
+  const [cooldownUntil, setCooldownUntil] = useState(null);
+  // Seconds left in the cooldown, refreshed every second for the countdown.
+  const [cooldownSeconds, setCooldownSeconds] = useState(0);
   // State to track if the agent is processing (loading state).
   const [isLoading, setIsLoading] = useState(false);
   // State to track the loading animation step (1-5)
@@ -64,34 +174,149 @@ export default function AgentComponent() {
   const [promptVisible, setPromptVisible] = useState(true);
   // Create a ref to track the end of the messages container.
   const messagesEndRef = useRef(null);
+  // Holds the AbortController of the request in flight, if any.
+  const abortControllerRef = useRef(null);
   // Initialize session ID and user ID states.
   const [sessionId, setSessionId] = useState("");
   const [userId, setUserId] = useState("");
+  // The visitor's language: translated text, and "rtl" or "ltr".
+  const { locale, dir, t } = useLocale();
+  // The agent flow this widget talks to (chosen from the page URL), with its
+  // header and prompts in the visitor's language.
+  const [baseFlow, setBaseFlow] = useState(() => getFlow(null, flowSettings));
+  const flow = useMemo(() => localizeFlow(baseFlow, locale), [baseFlow, locale]);
+  // The starter prompts this visitor sees, in rotation order, and their A/B
+  // variant. Starts as the config order so the server render matches.
+  const [starterPrompts, setStarterPrompts] = useState(() =>
+    normalizePrompts(flow.suggestedPrompts)
+  );
+  const [promptVariant, setPromptVariant] = useState(null);
+  // True once the prompts above have been picked for this visitor.
+  const [arePromptsSelected, setArePromptsSelected] = useState(false);
+  // Suggestions already reported as shown, so each is counted once.
+  const trackedImpressionsRef = useRef(new Set());
+  // Signed token from the host page, forwarded to the proxy with each message.
+  const [embedToken, setEmbedToken] = useState("");
+  // Messaging with the host page when loaded through public/embed.js.
+  const hostBridgeRef = useRef(null);
+  const [isEmbedded, setIsEmbedded] = useState(false);
+  // Context about the visitor set by the host page, sent with each message.
+  const [userContext, setUserContext] = useState({});
+  // The outermost element and the starter prompt, measured to size the host
+  // page's iframe.
+  const rootRef = useRef(null);
+  const suggestionRef = useRef(null);
   const [hasStartedConversation, setHasStartedConversation] = useState(false);
 const [isExpanded, setIsExpanded] = useState(false);
 const [isHovered, setIsHovered] = useState(false);
 
 const shouldExpand = isHovered || isExpanded;
 
+  // The starter prompt currently shown.
+  const currentStarterPrompt = starterPrompts[currentPromptIndex];
+  // The latest reply, when it's complete and came with follow-up questions.
+  const lastMessage = conversation[conversation.length - 1];
+  const followUpMessage =
+    !isLoading &&
+    lastMessage?.role === "agent" &&
+    lastMessage.status === MESSAGE_STATUS.SENT &&
+    lastMessage.upstream?.suggestions?.length > 0
+      ? lastMessage
+      : null;
+
+  // Colors, fonts and sizes, resolved from chatConfig.styling.
+  const theme = useTheme();
+
   // Hover states
   const [isSubmitHovered, setIsSubmitHovered] = useState(false);
   const [isSuggestionHovered, setIsSuggestionHovered] = useState(false);
+  // True while the suggested prompt has keyboard focus (pauses rotation).
+  const [isSuggestionFocused, setIsSuggestionFocused] = useState(false);
+  // Follows the visitor's "reduce motion" system setting.
+  const [prefersReducedMotion, setPrefersReducedMotion] = useState(false);
+  // Focus targets: the chat input, and the card itself when closing.
+  const inputRef = useRef(null);
+  const cardRef = useRef(null);
+  // The user message being edited in the composer, if any.
+  const [editingMessage, setEditingMessage] = useState(null);
+  // Position while stepping back through earlier prompts with the Up arrow
+  // (-1 = not recalling), and the draft to return to afterwards.
+  const recallIndexRef = useRef(-1);
+  const recallDraftRef = useRef("");
+  // Files waiting to go out with the next message: `{ id, file, preview }`.
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  // True while a file is dragged over the widget.
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const fileInputRef = useRef(null);
+  // The files sent with each user message (by message ID), for retries and
+  // edits. Kept in memory only: after a reload, only the text is resent.
+  const sentAttachmentsRef = useRef(new Map());
+  // How this browser turns speech into text ("recognition", "recording" or
+  // null when it can't), and whether it's listening right now.
+  const [voiceInputMode, setVoiceInputMode] = useState(null);
+  const [isListening, setIsListening] = useState(false);
+  // The listening session (with its stop()), and the draft it adds to.
+  const voiceInputRef = useRef(null);
+  const voiceDraftRef = useRef("");
+  // Whether replies are read aloud. The ref lets a reply that finishes later
+  // see the current choice.
+  const [canReadAloud, setCanReadAloud] = useState(false);
+  const [readAloud, setReadAloud] = useState(false);
+  const readAloudRef = useRef(false);
+  readAloudRef.current = readAloud;
+  // Buttons inside the composer (send, plus attach and microphone when
+  // available), so its text stays clear of them.
+  const composerButtonCount =
+    1 + (chatConfig.attachments.enabled ? 1 : 0) + (voiceInputMode ? 1 : 0);
 
   // Initialize session ID and user ID on the client side
   useEffect(() => {
-    
-    setSessionId(getSessionId());
+    const initialSessionId = getSessionId();
+    setSessionId(initialSessionId);
     setUserId(getUserId());
+
+    // Bring back the transcript and unsent draft saved for this session, if any.
+    const savedConversation = loadHistory(initialSessionId);
+    if (savedConversation.length > 0) {
+      dispatchConversation({ type: "load", messages: savedConversation });
+      setHasStartedConversation(true);
+    }
+    setMessage(loadDraft(initialSessionId));
+
+    setBaseFlow(getFlowFromUrl(flowSettings));
+    setEmbedToken(getEmbedToken());
+
+    const bridge = createHostBridge(allowedOrigins);
+    hostBridgeRef.current = bridge;
+    setIsEmbedded(Boolean(bridge && bridge.isEmbedded));
+
+    // Voice features only show up in browsers that support them.
+    setVoiceInputMode(getVoiceInputMode());
+    setCanReadAloud(chatConfig.voice.readAloud && canSpeak());
+    setReadAloud(loadReadAloud());
   }, []);
 
-  // Rotate through prompt suggestions - always visible
+  // Track the "reduce motion" setting, including changes while open.
   useEffect(() => {
+    const media = window.matchMedia("(prefers-reduced-motion: reduce)");
+    const update = () => setPrefersReducedMotion(media.matches);
+    update();
+    media.addEventListener("change", update);
+    return () => media.removeEventListener("change", update);
+  }, []);
+
+  // Rotate through prompt suggestions - always visible.
+  // Paused for reduced motion, and while the visitor is pointing at or
+  // focused on the prompt so it doesn't change under them.
+  useEffect(() => {
+    if (prefersReducedMotion || isSuggestionHovered || isSuggestionFocused) return;
+
     const rotationInterval = setInterval(() => {
       setPromptVisible(false); // Start fade out
       
       setTimeout(() => {
         setCurrentPromptIndex((prevIndex) => 
-          (prevIndex + 1) % chatConfig.suggestedPrompts.length
+          (prevIndex + 1) % Math.max(starterPrompts.length, 1)
         );
         setPromptVisible(true); // Start fade in after changing the prompt
       }, 500); // Wait for fade out to complete
@@ -99,6 +324,147 @@ const shouldExpand = isHovered || isExpanded;
     }, 5000); // Change every 3 seconds
     
     return () => clearInterval(rotationInterval);
+  }, [starterPrompts, prefersReducedMotion, isSuggestionHovered, isSuggestionFocused]);
+
+  // Pick this visitor's starter prompts once their user ID is known, loading
+  // them through /api/prompts for flows with a promptsURL. Starts from the
+  // first suggestion whenever the flow changes.
+  useEffect(() => {
+    setCurrentPromptIndex(0);
+    if (!userId) return;
+
+    let cancelled = false;
+    const select = (list) => {
+      if (cancelled) return;
+      const selection = selectStarterPrompts(list, { userId });
+      setStarterPrompts(selection.prompts);
+      setPromptVariant(selection.variant);
+      setArePromptsSelected(true);
+      setCurrentPromptIndex(0);
+    };
+
+    if (flow.promptsURL) {
+      fetch(`/api/prompts/${encodeURIComponent(flow.name)}?locale=${encodeURIComponent(locale)}`)
+        .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+        .then((data) => select(data.prompts))
+        .catch((err) => {
+          console.error("Failed to load suggested prompts:", err);
+          select(flow.suggestedPrompts);
+        });
+    } else {
+      select(flow.suggestedPrompts);
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [flow, userId]);
+
+  // Report the suggestions the visitor sees: the starter prompt before the
+  // chat starts, and the follow-ups under the latest reply.
+  useEffect(() => {
+    if (arePromptsSelected && !hasStartedConversation && currentStarterPrompt) {
+      trackPromptEvent("impression", "starter", currentStarterPrompt.text);
+    }
+  }, [arePromptsSelected, currentStarterPrompt, hasStartedConversation]);
+
+  useEffect(() => {
+    followUpMessage?.upstream.suggestions.forEach((prompt) =>
+      trackPromptEvent("impression", "follow_up", prompt)
+    );
+  }, [followUpMessage]);
+
+  // Tell the host page when the widget opens or closes.
+  useEffect(() => {
+    hostBridgeRef.current?.post(isExpanded ? "open" : "close");
+  }, [isExpanded]);
+
+  // Put the cursor in the chat input when the widget opens.
+  useEffect(() => {
+    if (isExpanded) inputRef.current?.focus();
+  }, [isExpanded]);
+
+  // Keep the host page's iframe as tall as the widget's content, and as wide
+  // as the collapsed card so no invisible part of it covers the host page.
+  useEffect(() => {
+    const bridge = hostBridgeRef.current;
+    if (!isEmbedded || !bridge || !rootRef.current) return;
+
+    // The card, or the starter prompt above it if that's wider, plus room
+    // for the card's shadow on both sides.
+    const getContentWidth = () => {
+      const suggestion = suggestionRef.current;
+      const suggestionWidth = suggestion
+        ? Array.from(suggestion.children).reduce(
+            (sum, child) => sum + child.getBoundingClientRect().width,
+            SUGGESTION_INSET_PX
+          )
+        : 0;
+      const cardWidth = cardRef.current.getBoundingClientRect().width;
+      return Math.ceil(Math.max(cardWidth, suggestionWidth)) + 2 * EMBED_GUTTER_PX;
+    };
+
+    const postSize = () =>
+      bridge.post("resize", {
+        height: Math.ceil(rootRef.current.getBoundingClientRect().height),
+        width: getContentWidth(),
+        expanded: shouldExpand,
+      });
+    postSize();
+    // The card's width animates as it opens and closes.
+    const observer = new ResizeObserver(postSize);
+    observer.observe(rootRef.current);
+    observer.observe(cardRef.current);
+    return () => observer.disconnect();
+  }, [isEmbedded, shouldExpand, currentStarterPrompt]);
+
+  // Save the transcript whenever it changes. Replies that are still
+  // streaming are saved once they're complete.
+  useEffect(() => {
+    if (!sessionId) return;
+    const last = conversation[conversation.length - 1];
+    if (last && last.status === MESSAGE_STATUS.STREAMING) return;
+    saveHistory(sessionId, conversation);
+  }, [conversation, sessionId]);
+
+  // Keep the unsent draft so a reload doesn't lose it.
+  useEffect(() => {
+    if (sessionId) saveDraft(sessionId, message);
+  }, [message, sessionId]);
+
+  // Grow the composer with its content, up to maxComposerHeight.
+  useEffect(() => {
+    const composer = inputRef.current;
+    if (!composer) return;
+    composer.style.height = "auto";
+    composer.style.height = `${Math.min(composer.scrollHeight, chatConfig.maxComposerHeight)}px`;
+  }, [message]);
+
+  // Count down the rate-limit cooldown once per second.
+  useEffect(() => {
+    if (!cooldownUntil) return;
+
+    const tick = () => {
+      const remaining = Math.ceil((cooldownUntil - Date.now()) / 1000);
+      if (remaining <= 0) {
+        setCooldownUntil(null);
+        setCooldownSeconds(0);
+      } else {
+        setCooldownSeconds(remaining);
+      }
+    };
+    tick();
+    const cooldownTimer = setInterval(tick, 1000);
+    return () => clearInterval(cooldownTimer);
+  }, [cooldownUntil]);
+
+  // Abort any request still in flight when the widget unmounts, and stop
+  // listening and talking.
+  useEffect(() => {
+    return () => {
+      abortControllerRef.current?.abort();
+      voiceInputRef.current?.stop();
+      stopSpeaking();
+    };
   }, []);
 
   
@@ -149,23 +515,192 @@ const shouldExpand = isHovered || isExpanded;
   const handleSubmit = (e) => {
     e.preventDefault();
     e.stopPropagation();
-    submitMessage(message);
+    sendComposer();
+  };
+
+  /**
+   * Sends what's in the composer. When editing an earlier message, that
+   * message and everything after it (the agent's reply) are replaced.
+   */
+  const sendComposer = () => {
+    if (!message.trim() || isLoading || cooldownUntil) return;
+    voiceInputRef.current?.stop();
+    if (editingMessage) {
+      dispatchConversation({ type: "truncate", id: editingMessage.id });
+      setEditingMessage(null);
+    }
+    recallIndexRef.current = -1;
+    submitMessage(message, pendingAttachments);
+    setPendingAttachments([]);
   };
 
-  const preventScrollOnEnter = (e) => {
-    if (e.key === 'Enter') {
+  /**
+   * Loads a sent message back into the composer for editing.
+   */
+  const startEditing = (userMessage) => {
+    setEditingMessage(userMessage);
+    setMessage(userMessage.content);
+    setPendingAttachments(sentAttachmentsRef.current.get(userMessage.id) || []);
+    inputRef.current?.focus();
+  };
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setMessage("");
+    setPendingAttachments([]);
+  };
+
+  /**
+   * Adds files picked or dropped by the visitor to the next message. Files
+   * of the wrong type or size, or past the per-message limit, are refused
+   * with an error.
+   */
+  const addAttachments = async (fileList) => {
+    if (!chatConfig.attachments.enabled) return;
+    const { maxFiles } = chatConfig.attachments;
+    const files = Array.from(fileList);
+    const room = maxFiles - pendingAttachments.length;
+    setError(null);
+    if (files.length > room) {
+      setError(t("errorTooManyFiles", { count: maxFiles }));
+    }
+
+    const accepted = [];
+    for (const file of files.slice(0, Math.max(room, 0))) {
+      const problem = getAttachmentError(file, chatConfig.attachments, t);
+      if (problem) {
+        setError(problem);
+        continue;
+      }
+      const preview = isImageType(file.type) ? await createImagePreview(file) : null;
+      accepted.push({ id: uuidv4(), file, preview });
+    }
+    if (accepted.length > 0) {
+      setPendingAttachments((prev) => [...prev, ...accepted].slice(0, maxFiles));
+    }
+  };
+
+  const removeAttachment = (index) => {
+    setPendingAttachments((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Drag and drop: files dropped anywhere on the widget are attached.
+   */
+  const handleDragOver = (e) => {
+    if (!chatConfig.attachments.enabled || !e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    setIsDraggingFile(true);
+    setIsExpanded(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Moving between elements inside the widget isn't leaving it.
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!chatConfig.attachments.enabled || !e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    setIsDraggingFile(false);
+    addAttachments(e.dataTransfer.files);
+  };
+
+  /**
+   * Collapses the widget and moves focus to the card, so keyboard users
+   * don't lose their place.
+   */
+  const closeWidget = () => {
+    setIsExpanded(false);
+    setIsHovered(false); // Reset hover state
+    cardRef.current?.focus();
+  };
+
+  /**
+   * Escape closes the expanded widget from anywhere inside it.
+   */
+  const handleCardKeyDown = (e) => {
+    if (e.key === "Escape" && isExpanded) {
+      e.stopPropagation();
+      closeWidget();
+    }
+  };
+
+  /**
+   * Arrow keys step through the suggested prompts while one is focused.
+   */
+  const handleSuggestionKeyDown = (e) => {
+    const count = starterPrompts.length;
+    if (count === 0) return;
+    const steps = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+    if (e.key === "Home" || e.key === "End") {
+      e.preventDefault();
+      setCurrentPromptIndex(e.key === "Home" ? 0 : count - 1);
+    } else if (steps[e.key]) {
+      e.preventDefault();
+      setPromptVisible(true);
+      setCurrentPromptIndex((prevIndex) => (prevIndex + steps[e.key] + count) % count);
+    }
+  };
+
+  /**
+   * Composer keys:
+   * - Enter sends, Shift+Enter adds a new line
+   * - Up/Down on the first/last line step through earlier prompts
+   * - Escape cancels an edit (otherwise it closes the widget)
+   */
+  const handleComposerKeyDown = (e) => {
+    // Let input methods (e.g. for Japanese or Chinese) finish composing first.
+    if (e.nativeEvent.isComposing) return;
+
+    if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
       e.stopPropagation();
-      submitMessage(message);
+      sendComposer();
+      return;
+    }
+
+    if (e.key === "Escape" && editingMessage) {
+      e.stopPropagation();
+      cancelEditing();
+      return;
+    }
+
+    const caret = e.target.selectionStart;
+    const onFirstLine = !message.slice(0, caret).includes("\n");
+    const onLastLine = !message.slice(caret).includes("\n");
+    const previousPrompts = conversation
+      .filter((msg) => msg.role === "user")
+      .map((msg) => msg.content)
+      .reverse();
+
+    if (e.key === "ArrowUp" && onFirstLine && previousPrompts.length > 0) {
+      const next = recallIndexRef.current + 1;
+      if (next >= previousPrompts.length) return;
+      e.preventDefault();
+      if (recallIndexRef.current === -1) recallDraftRef.current = message;
+      recallIndexRef.current = next;
+      setMessage(previousPrompts[next]);
+    } else if (e.key === "ArrowDown" && onLastLine && recallIndexRef.current >= 0) {
+      e.preventDefault();
+      const next = recallIndexRef.current - 1;
+      recallIndexRef.current = next;
+      setMessage(next === -1 ? recallDraftRef.current : previousPrompts[next]);
     }
   };
 
   /**
    * Handles the submission of the chat input form.
    */
-  const submitMessage = async (userInput) => {
+  const submitMessage = async (userInput, attachments = []) => {
     // If the message is empty, do nothing.
     if (!userInput.trim()) return;
+    // One message at a time; the stop button cancels the current one. The
+    // ref is set straight away, so it also catches double-clicks made before
+    // isLoading updates.
+    if (isLoading || abortControllerRef.current) return;
+    // While rate limited, keep the text in the input until the cooldown ends.
+    if (cooldownUntil) return;
     setHasStartedConversation(true);
 
     // Clear the input immediately after user submits
@@ -174,174 +709,562 @@ const shouldExpand = isHovered || isExpanded;
     // Clear any previous errors.
     setError(null);
 
-    // Create a new conversation entry for the user's message.
-    const userMessage = {
-      role: "user",
-      content: userInput.trim(),
-    };
+    // Create a new conversation entry for the user's message. It stays
+    // "pending" until the proxy accepts it.
+    const userMessage = createUserMessage(
+      userInput.trim(),
+      attachments.map(({ file, preview }) => ({
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        ...(preview && { preview }),
+      }))
+    );
+    if (attachments.length > 0) {
+      sentAttachmentsRef.current.set(userMessage.id, attachments);
+    }
 
     // Update the conversation state by adding the user's message.
-    setConversation((prev) => [...prev, userMessage]);
+    dispatchConversation({ type: "add", message: userMessage });
+    hostBridgeRef.current?.post("message:sent", { content: userMessage.content });
 
     // Prepare the payload for the API call.
     const payload = {
       data: {
-        message: userMessage,
+        message: { role: userMessage.role, content: userMessage.content },
+        ...(Object.keys(userContext).length > 0 && { variables: userContext }),
       },
       stateful: true,
-      stream: false,
+      stream: Boolean(chatConfig.stream),
+      // Lets the agent answer in the visitor's language.
+      locale,
       user_id: userId,
       session_id: sessionId,
       verbose: false,
     };
 
+    // Lets us cancel the request if the widget goes away mid-reply.
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    // Tracks whether a streamed agent bubble has already been added.
+    let hasStreamedBubble = false;
+    // The reply keeps one ID from its first streamed piece to the end.
+    const agentMessageId = uuidv4();
+    const markUserMessage = (status) =>
+      dispatchConversation({ type: "update", id: userMessage.id, changes: { status } });
+
+    // Give up if the proxy goes quiet for too long. The timer restarts every
+    // time a piece of a streamed reply arrives.
+    let timedOut = false;
+    let timeoutTimer = null;
+    const armTimeout = () => {
+      clearTimeout(timeoutTimer);
+      timeoutTimer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, chatConfig.requests.clientTimeoutMs);
+    };
+
     try {
       // Set loading state to true to trigger the animation.
       setIsLoading(true);
+      armTimeout();
+
+      // Messages with attachments are uploaded as multipart/form-data (the
+      // browser sets that Content-Type); the rest go as JSON.
+      let body = JSON.stringify(payload);
+      if (attachments.length > 0) {
+        body = new FormData();
+        body.append("payload", JSON.stringify(payload));
+        attachments.forEach(({ file }) => body.append("files", file, file.name));
+      }
 
       // Send a POST request to the serverless API endpoint on Vercel.
-      const res = await fetch("/api/proxy", {
+      const res = await fetch(`/api/proxy/${encodeURIComponent(flow.name)}`, {
         method: "POST",
         headers: {
-          "Content-Type": "application/json",
+          ...(attachments.length === 0 && { "Content-Type": "application/json" }),
+          ...(embedToken && { "X-Embed-Token": embedToken }),
         },
-        body: JSON.stringify(payload),
+        body,
+        signal: controller.signal,
       });
 
       // If the server response is not OK, throw an error.
       if (!res.ok) {
-        throw new Error(`Server error: ${res.status}`);
+        // The proxy explains rate limits and size limits in a JSON body.
+        const details = await res.json().catch(() => ({}));
+        const serverError = new Error(`Server error: ${res.status}`);
+        serverError.status = res.status;
+        serverError.retryAfter =
+          Number(res.headers.get("Retry-After")) || details.retryAfter || 60;
+        serverError.maxLength = details.maxLength;
+        serverError.code = details.code;
+        serverError.details = details.details;
+        throw serverError;
+      }
+
+      // The proxy accepted the message.
+      markUserMessage(MESSAGE_STATUS.SENT);
+
+      // Streamed replies: grow the agent bubble as each piece arrives.
+      const isStream = (res.headers.get("content-type") || "").includes(
+        "text/event-stream"
+      );
+      if (isStream) {
+        const data = await readAgentStream(res, (delta) => {
+          armTimeout();
+          if (!delta) return;
+          if (!hasStreamedBubble) {
+            hasStreamedBubble = true;
+            dispatchConversation({
+              type: "add",
+              message: createAgentMessage({
+                id: agentMessageId,
+                content: delta,
+                status: MESSAGE_STATUS.STREAMING,
+              }),
+            });
+            return;
+          }
+          dispatchConversation({ type: "appendContent", id: agentMessageId, delta });
+        });
+
+        // Replace the streamed text with the final message once it's complete.
+        const content = getAgentReply(data);
+        const upstream = getUpstreamFields(data.output_data);
+        if (hasStreamedBubble) {
+          dispatchConversation({
+            type: "update",
+            id: agentMessageId,
+            changes: { content, status: MESSAGE_STATUS.SENT, ...(upstream && { upstream }) },
+          });
+        } else {
+          dispatchConversation({
+            type: "add",
+            message: createAgentMessage({ id: agentMessageId, content, upstream }),
+          });
+        }
+        hostBridgeRef.current?.post("reply:received", { content });
+        speakReply(content);
+        return;
       }
 
       // Parse the JSON response from the API.
       const data = await res.json();
 
       // Extract the agent's reply.
-      const agentReply =
-        data.output_data && data.output_data.content
-          ? data.output_data.content
-          : "No valid response received from agent.";
-
-      // Create a new conversation entry for the agent's response.
-      const agentMessage = {
-        role: "agent",
+      const agentReply = getAgentReply(data);
+
+      // Create a new conversation entry for the agent's response, keeping
+      // extra upstream fields such as citations and usage.
+      const agentMessage = createAgentMessage({
+        id: agentMessageId,
         content: agentReply,
-      };
+        upstream: getUpstreamFields(data.output_data),
+      });
 
       // Update the conversation state by adding the agent's message.
-      setConversation((prev) => [...prev, agentMessage]);
+      dispatchConversation({ type: "add", message: agentMessage });
+      hostBridgeRef.current?.post("reply:received", { content: agentReply });
+      speakReply(agentReply);
 
       // Clear the user input field.
       setMessage("");
     } catch (err) {
+      // Keep whatever was streamed so far, but stop marking it as in progress.
+      // (After "New chat" the ID is gone and this does nothing.)
+      if (hasStreamedBubble) {
+        dispatchConversation({
+          type: "update",
+          id: agentMessageId,
+          changes: { status: MESSAGE_STATUS.SENT, stopped: true },
+        });
+      }
+      // A request stopped by the visitor is intentional, not an error.
+      if (err.name === "AbortError" && !timedOut) {
+        markUserMessage(MESSAGE_STATUS.SENT);
+        return;
+      }
       // Log the error to the console for debugging.
       console.error("Error fetching agent response:", err);
+      hostBridgeRef.current?.post("error", {
+        message: err.message,
+        status: err.status,
+        code: err.code,
+      });
+      // Flag the user's message so it can be sent again.
+      markUserMessage(MESSAGE_STATUS.FAILED);
       // Update the error state so that the user is informed.
-      setError(err.message);
+      if (timedOut || err.code === "upstream_timeout") {
+        setError(t("errorTimeout"));
+      } else if (err.status === 429) {
+        // Too many requests: start a friendly countdown instead of an error.
+        setCooldownUntil(Date.now() + err.retryAfter * 1000);
+      } else if (err.status === 401) {
+        setError(t("errorExpired"));
+      } else if (err.code === "invalid_upstream_response") {
+        setError(t("errorInvalidReply"));
+      } else if (ATTACHMENT_ERROR_CODES.includes(err.code)) {
+        setError(err.details || t("errorAttachment"));
+      } else if (err.status === 413) {
+        setError(t("errorTooLong", { maxLength: err.maxLength }));
+      } else {
+        // Anything else (a network failure, a 500...) gets a general message;
+        // the details are in the console.
+        setError(t("errorGeneric"));
+      }
     } finally {
       // Reset the loading state regardless of success or error.
+      clearTimeout(timeoutTimer);
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
       setIsLoading(false);
     }
   };
 
+  /**
+   * Rates an agent reply. The rating is saved on the message (and so in the
+   * transcript history) right away, then sent to /api/feedback together with
+   * the question it answered.
+   */
+  const submitFeedback = (agentMessage, rating, reason) => {
+    const feedback = { rating, ...(reason && { reason }) };
+    dispatchConversation({ type: "update", id: agentMessage.id, changes: { feedback } });
+
+    const index = conversation.findIndex((msg) => msg.id === agentMessage.id);
+    const prompt = conversation
+      .slice(0, index)
+      .reverse()
+      .find((msg) => msg.role === "user");
+
+    fetch("/api/feedback", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        messageId: agentMessage.id,
+        rating,
+        reason: reason || undefined,
+        prompt: prompt?.content,
+        reply: agentMessage.content,
+        signature: agentMessage.upstream?.signature,
+        flow: flow.name,
+        user_id: userId,
+        session_id: sessionId,
+      }),
+    }).catch((err) => {
+      // Feedback is best effort; the chat carries on either way.
+      console.error("Failed to send feedback:", err);
+    });
+    hostBridgeRef.current?.post("feedback", { messageId: agentMessage.id, rating });
+  };
+
+  /**
+   * Stops waiting for the current reply. Whatever was streamed so far stays.
+   */
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  /**
+   * Sends a failed message again. The failed bubble (and any partial reply
+   * after it) is removed first, since submitMessage adds it back.
+   */
+  const retryMessage = (failedMessage) => {
+    if (isLoading || cooldownUntil) return;
+    dispatchConversation({ type: "truncate", id: failedMessage.id });
+    submitMessage(failedMessage.content, sentAttachmentsRef.current.get(failedMessage.id) || []);
+  };
+
+  /**
+   * Starts or stops voice input. What the visitor says is added to the
+   * composer (after anything already typed) for them to check and send.
+   */
+  const toggleVoiceInput = () => {
+    if (voiceInputRef.current) {
+      voiceInputRef.current.stop();
+      return;
+    }
+    setError(null);
+    voiceDraftRef.current = message.trim();
+    setIsListening(true);
+    voiceInputRef.current = startVoiceInput({
+      mode: voiceInputMode,
+      lang: locale,
+      onText: (text) => {
+        const draft = voiceDraftRef.current;
+        setMessage(draft && text ? `${draft} ${text}` : draft || text);
+      },
+      onEnd: () => {
+        voiceInputRef.current = null;
+        setIsListening(false);
+        inputRef.current?.focus();
+      },
+      onError: (code) => {
+        if (code === "not-allowed") setError(t("errorMicrophone"));
+        else if (code === "no-speech") setError(t("errorNoSpeech"));
+        else setError(t("errorVoice"));
+      },
+      transcribe: (audio) =>
+        transcribeRecording(audio, { flow: flow.name, locale, embedToken }),
+    });
+  };
+
+  /**
+   * Turns reading replies aloud on or off, and remembers the choice.
+   */
+  const toggleReadAloud = () => {
+    const next = !readAloud;
+    setReadAloud(next);
+    saveReadAloud(next);
+    if (!next) stopSpeaking();
+  };
+
+  /**
+   * Reads a finished reply aloud when the visitor asked for that.
+   */
+  const speakReply = (content) => {
+    if (readAloudRef.current) speak(content, { lang: locale });
+  };
+
+  /**
+   * Starts over: forgets the saved transcript and begins a new session so
+   * the agent doesn't remember the previous conversation either.
+   */
+  const startNewChat = () => {
+    abortControllerRef.current?.abort();
+    voiceInputRef.current?.stop();
+    stopSpeaking();
+    clearHistory(sessionId);
+    saveDraft(sessionId, "");
+    setEditingMessage(null);
+    setPendingAttachments([]);
+    recallIndexRef.current = -1;
+    setSessionId(resetSessionId());
+    dispatchConversation({ type: "clear" });
+    setError(null);
+    setHasStartedConversation(false);
+  };
+
+  // Commands from the host page. A ref keeps the listener below pointed at
+  // the latest render so it always sees current state.
+  const handleHostCommandRef = useRef(null);
+  handleHostCommandRef.current = (command) => {
+    switch (command.type) {
+      case "open":
+        setIsExpanded(true);
+        break;
+      case "close":
+        setIsExpanded(false);
+        setIsHovered(false);
+        break;
+      case "send":
+        if (typeof command.text === "string") {
+          setIsExpanded(true);
+          submitMessage(command.text);
+        }
+        break;
+      case "setUser":
+        // Only IDs the proxy accepts (see lib/schema.js) replace our own.
+        if (typeof command.userId === "string" && /^[\w-]{1,32}$/.test(command.userId)) {
+          setUserId(command.userId);
+        }
+        if (command.context && typeof command.context === "object") {
+          // The proxy only accepts string values.
+          const context = {};
+          Object.entries(command.context).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) context[key] = String(value);
+          });
+          setUserContext(context);
+        }
+        break;
+      default:
+        console.warn(`Unknown host command "${command.type}"`);
+    }
+  };
+
+  // Listen for host commands and announce that the widget is ready.
+  useEffect(() => {
+    const bridge = hostBridgeRef.current;
+    if (!bridge) return;
+    const stopListening = bridge.listen((command) =>
+      handleHostCommandRef.current(command)
+    );
+    bridge.post("ready");
+    return stopListening;
+  }, [isEmbedded]);
+
+  /**
+   * Reports that a suggestion was shown ("impression") or clicked, for the
+   * click-through rates on /admin. Each suggestion's impression is only
+   * counted once per page load.
+   */
+  const trackPromptEvent = (type, source, prompt) => {
+    if (!chatConfig.suggestions.trackClicks) return;
+    if (type === "impression") {
+      const key = `${source}:${prompt}`;
+      if (trackedImpressionsRef.current.has(key)) return;
+      trackedImpressionsRef.current.add(key);
+    }
+    fetch("/api/events", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      // Clicks are sent just as the chat starts; keep them alive regardless.
+      keepalive: true,
+      body: JSON.stringify({
+        type,
+        source,
+        prompt,
+        variant: (source === "starter" && promptVariant) || undefined,
+        flow: flow.name,
+        user_id: userId || undefined,
+        session_id: sessionId || undefined,
+      }),
+    }).catch((err) => {
+      // Tracking is best effort; the chat carries on either way.
+      console.error("Failed to record suggestion event:", err);
+    });
+  };
+
   /**
    * Handles clicking on a suggestion prompt.
    */
   const handlePromptClick = (prompt) => {
+    trackPromptEvent("click", "starter", prompt);
     submitMessage(prompt);
     setIsExpanded(true); // Add this line
   };
 
+  /**
+   * Sends a follow-up suggested by the agent as the next message.
+   */
+  const handleFollowUpClick = (prompt) => {
+    trackPromptEvent("click", "follow_up", prompt);
+    submitMessage(prompt);
+  };
+
   return (
-    <div style={{
+    <div ref={rootRef} dir={dir} lang={locale} style={{
       position: "relative",
-      height: "500px",
-      fontFamily: "Inter, sans-serif",
+      // Inside the embed loader the iframe grows with the content instead.
+      height: isEmbedded ? "auto" : "500px",
+      fontFamily: theme.fontFamily,
       opacity: shouldExpand ? 1 : 0.80, // Add this line
       transition: "opacity 300ms ease", // Add this line for smooth transition
     }}>
     
     <div style={{
-      position: "absolute",
+      position: isEmbedded ? "relative" : "absolute",
       bottom: "0",
       width: "100%",
-      fontFamily: "Inter, sans-serif"
+      fontFamily: theme.fontFamily
     }}>
     <div
       style={{
         position: "relative",
         width: "100%",
-        maxWidth: "400px", // Adjust width to match your design
+        maxWidth: theme.expandedWidth, // Adjust width in config/config.js
         margin: "0 auto",
-        fontFamily: "Inter, sans-serif"
+        // Room for the card's shadow when the iframe is sized to the card.
+        paddingInline: isEmbedded ? `${EMBED_GUTTER_PX}px` : 0,
+        fontFamily: theme.fontFamily
       }}
     >
           {/* Rotating Prompt suggestion - always visible */}
-      {!hasStartedConversation && (
-      <div style={{
+      {!hasStartedConversation && currentStarterPrompt && (
+      <div ref={suggestionRef} role="group" aria-labelledby="suggestion-title" style={{
   display: "flex",
   justifyContent: "flex-end",
-  paddingRight: "22px",
+  paddingInlineEnd: `${SUGGESTION_INSET_PX}px`,
   marginBottom: "3px",
   height: "30px", // Fixed height to prevent layout shift
   alignItems: "baseline"
 }}>
-  <div style={{ 
-    fontSize: "14px", 
+  <div id="suggestion-title" style={{ 
+    fontSize: theme.fontSize, 
     padding: "0px 0px", 
     margin: "0px 0px", 
-    marginRight: "0px", // Adjust this value to change spacing between "Try:" and button
+    marginInlineEnd: "0px", // Adjust this value to change spacing between "Try:" and button
     fontStyle: "italic",
+    color: theme.textColor,
     letterSpacing: "0.08em", // 8% horizontal spacing
   lineHeight: "150%",
   }}>
-    Try:
+    {t("suggestedPromptsTitle")}
   </div>
   <div style={{ padding: "0px 0px", margin: "0px 0px" }}>
     <button
-      onClick={() => handlePromptClick(chatConfig.suggestedPrompts[currentPromptIndex])}
+      type="button"
+      onClick={() => handlePromptClick(currentStarterPrompt.text)}
+      onKeyDown={handleSuggestionKeyDown}
+      onFocus={() => setIsSuggestionFocused(true)}
+      onBlur={() => setIsSuggestionFocused(false)}
       onMouseEnter={() => setIsSuggestionHovered(true)}
       onMouseLeave={() => setIsSuggestionHovered(false)}
+      aria-describedby="suggestion-hint"
       style={{
-        fontFamily: "Inter, sans-serif",
-        backgroundColor: "#FFFFFF",
+        fontFamily: theme.fontFamily,
+        backgroundColor: theme.backgroundColor,
         border: "none",
-        borderRadius: "0.75em", 
-        padding: "0 0 0px 6px", // Reduce this value to make button smaller
+        borderRadius: theme.bubbleRadius, 
+        padding: "0px",
+        paddingInlineStart: "6px", // Reduce this value to make button smaller
         margin: "0px 0px",
-        fontSize: "14px",
+        fontSize: theme.fontSize,
         cursor: "pointer",
         opacity: promptVisible ? 1 : 0,
-        transition: "opacity 0.5s ease, color 300ms ease",
+        transition: prefersReducedMotion ? "none" : "opacity 0.5s ease, color 300ms ease",
         whiteSpace: "nowrap",
-        color: isSuggestionHovered ? "#818181" : "#000000",
+        color: isSuggestionHovered ? theme.accentColor : theme.textColor,
         letterSpacing: "0.08em", // 8% horizontal spacing
        lineHeight: "150%",
       }}
     >
-      {chatConfig.suggestedPrompts[currentPromptIndex]}
+      {currentStarterPrompt.text}
     </button>
+    <span id="suggestion-hint" className="visually-hidden">
+      {t("suggestionHint", { index: currentPromptIndex + 1, count: starterPrompts.length })}
+    </span>
   </div>
 </div>
       )}
       <div
   style={{
-    backgroundColor: "#000000",
-    borderRadius: "16px",
+    backgroundColor: theme.primaryColor,
+    borderRadius: theme.borderRadius,
     padding: "18px",
-    boxShadow: "0 4px 8px rgba(0, 0, 0, 0.1)",
+    boxShadow: theme.shadow,
     display: "flex",
     flexDirection: "column",
     justifyContent: "space-between",
     minHeight: "80px",
-    width: shouldExpand ? "400px" : "280px",
-    marginLeft: shouldExpand ? "0px" : "120px", // Add this - pushes smaller version to the right
-    transition: "width 300ms ease, margin-left 300ms ease", // Animate both
+    width: shouldExpand ? theme.expandedWidth : theme.collapsedWidth,
+    // Pushes the smaller version to the right (to the left in RTL languages).
+    // Embedded, the host's iframe shrinks around it, so it keeps to the end.
+    marginInlineStart: isEmbedded
+      ? "auto"
+      : shouldExpand
+      ? "0px"
+      : `calc(${theme.expandedWidth} - ${theme.collapsedWidth})`,
+    transition: prefersReducedMotion ? "none" : "width 300ms ease, margin-inline-start 300ms ease", // Animate both
     position: "relative",
     boxSizing: "border-box", // ADD THIS LINE
+    // Only focused programmatically, when closing; outlined while a file is
+    // dragged over it.
+    outline: isDraggingFile ? `2px dashed ${theme.accentColor}` : "none",
+    outlineOffset: "2px",
   }}
+  ref={cardRef}
+  tabIndex={-1}
+  role="region"
+  aria-label={flow.header.title}
+  onKeyDown={handleCardKeyDown}
   onMouseEnter={() => setIsHovered(true)}
   onMouseLeave={() => setIsHovered(false)}
+  onDragOver={handleDragOver}
+  onDragLeave={handleDragLeave}
+  onDrop={handleDrop}
 onClick={() => {
   setIsExpanded(true);
 }}
@@ -349,27 +1272,27 @@ onClick={() => {
           {/* Exit button - only shows when committed to expanded */}
 {isExpanded && (
   <button
+    type="button"
+    aria-label={t("closeChat")}
     onClick={(e) => {
       e.preventDefault();
       e.stopPropagation();
       // Direct close - no setTimeout delays
-      setIsExpanded(false);
-      setIsHovered(false); // Reset hover state
+      closeWidget();
     }}
     onTouchEnd={(e) => {
       e.preventDefault();
       e.stopPropagation();
       // Ensure mobile touch also works
-      setIsExpanded(false);
-      setIsHovered(false);
+      closeWidget();
     }}
     style={{
       position: "absolute",
       top: "15px", // Move slightly away from iframe edge
-      right: "15px", // Move slightly away from iframe edge
+      insetInlineEnd: "15px", // Move slightly away from iframe edge
       background: "transparent",
       border: "none",
-      color: "#FFFFFF",
+      color: theme.secondaryColor,
       cursor: "pointer",
       fontSize: "18px",
       lineHeight: "1",
@@ -390,38 +1313,132 @@ onClick={() => {
     onMouseEnter={(e) => e.target.style.opacity = "1"}
     onMouseLeave={(e) => e.target.style.opacity = "0.7"}
   >
-    ×
+    <span aria-hidden="true">×</span>
+  </button>
+)}
+
+          {/* Read-aloud toggle, export menu and new chat button - sit just left of the exit button */}
+{isExpanded && (conversation.length > 0 || canReadAloud) && (
+  <div
+    style={{
+      position: "absolute",
+      top: "15px",
+      insetInlineEnd: "52px",
+      display: "flex",
+      alignItems: "center",
+      gap: "4px",
+    }}
+  >
+  {canReadAloud && (
+    <button
+      type="button"
+      aria-pressed={readAloud}
+      onClick={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleReadAloud();
+      }}
+      style={{
+        height: "32px",
+        background: "transparent",
+        border: "none",
+        color: theme.secondaryColor,
+        cursor: "pointer",
+        fontFamily: theme.fontFamily,
+        fontSize: "12px",
+        lineHeight: "1",
+        padding: "6px",
+        // Fully visible while on.
+        opacity: readAloud ? "1" : "0.7",
+        textDecoration: readAloud ? "underline" : "none",
+        transition: "opacity 200ms ease",
+        WebkitTapHighlightColor: "transparent",
+        touchAction: "manipulation",
+        userSelect: "none",
+      }}
+    >
+      {t("readAloud")}
+    </button>
+  )}
+  {conversation.length > 0 && (
+  <>
+  <ExportMenu
+    conversation={conversation}
+    sessionId={sessionId}
+    flow={flow}
+    theme={theme}
+    locale={locale}
+    t={t}
+  />
+  {/* New chat button - clears the saved transcript */}
+  <button
+    type="button"
+    onClick={(e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      startNewChat();
+    }}
+    style={{
+      height: "32px",
+      background: "transparent",
+      border: "none",
+      color: theme.secondaryColor,
+      cursor: "pointer",
+      fontFamily: theme.fontFamily,
+      fontSize: "12px",
+      lineHeight: "1",
+      padding: "6px",
+      opacity: "0.7",
+      transition: "opacity 200ms ease",
+      WebkitTapHighlightColor: "transparent",
+      touchAction: "manipulation",
+      userSelect: "none",
+    }}
+    onMouseEnter={(e) => e.target.style.opacity = "1"}
+    onMouseLeave={(e) => e.target.style.opacity = "0.7"}
+  >
+    {t("newChat")}
   </button>
+  </>
+  )}
+  </div>
 )}
 
                 {/* "Explore my thoughts..." header */}
                <div
   style={{
-    color: "#FFFFFF",
-    fontSize: "16px",
+    color: theme.secondaryColor,
+    fontSize: theme.headerFontSize,
     fontWeight: "bold",
     //marginBottom: "10px",
     display: "flex",
     alignItems: "center",
     gap: "7px", // Space between logo and text
-    fontFamily: "Inter, sans-serif",
+    fontFamily: theme.fontFamily,
     letterSpacing: "0.04em", // 4% horizontal spacing
     lineHeight: "150%",
   }}
 >
   <img 
-    src="/sparkle.svg" 
-    alt="Sparkle" 
+    src={theme.headerIcon} 
+    alt="" // Decorative
+    aria-hidden="true"
     style={{ 
       width: "18px", 
       height: "18px" 
     }} 
   />
-          Ask my AI self...
+          {flow.header.title}
         </div>
         {/* Chat messages */}
         <div
     className="chat-messages"
+    role="log"
+    aria-live="polite"
+    aria-label={t("conversationLabel")}
+    // Screen readers wait for the whole reply instead of reading each token.
+    aria-busy={isLoading}
+    tabIndex={conversation.length > 0 ? 0 : -1} // Scrollable by keyboard
     style={{
       display: "flex",
       flexDirection: "column",
@@ -430,53 +1447,181 @@ onClick={() => {
       marginBottom: "10px",
       flexGrow: 1,
       overflowY: "auto",
-      maxHeight: conversation.length > 0 ? "150px" : "0",
+      maxHeight: conversation.length > 0 ? `${chatConfig.maxChatHeight}px` : "0",
       minHeight: conversation.length > 0 ? "auto" : "0",
-      transition: "max-height 0.3s ease-in-out"
+      transition: prefersReducedMotion ? "none" : "max-height 0.3s ease-in-out"
 
       
     }}
   >
           {conversation.map((msg, index) => (
             <div
-              key={index}
+              key={msg.id}
               style={{
                 alignSelf: msg.role === "user" ? "flex-end" : "flex-start",
-                backgroundColor: msg.role === "user" ? "#FFFFFF" : "#000000",
-                color: msg.role === "user" ? "#000000" : "#FFFFFF",
-                border: msg.role === "user" ? "none" : "1px solid #FFFFFF",
-                borderRadius: "0.75em",
+                backgroundColor: msg.role === "user" ? theme.userBubbleColor : theme.agentBubbleColor,
+                color: msg.role === "user" ? theme.userBubbleTextColor : theme.agentBubbleTextColor,
+                border: `1px solid ${msg.role === "user" ? theme.userBubbleBorder : theme.agentBubbleBorder}`,
+                borderRadius: theme.bubbleRadius,
                 padding: "8px 12px",
                 maxWidth: "80%",
                 wordBreak: "break-word",
-                fontSize: "14px",
-                fontFamily: "Inter, sans-serif",
+                // Keep the line breaks visitors type with Shift+Enter.
+                whiteSpace: msg.role === "user" ? "pre-wrap" : "normal",
+                opacity: msg.id === editingMessage?.id ? 0.6 : 1,
+                fontSize: theme.fontSize,
+                fontFamily: theme.fontFamily,
                 letterSpacing: "0em", // 0% horizontal spacing
                 lineHeight: "150%",
               }}
             >
 {msg.role === "agent" ? (
-  <ReactMarkdown 
-    components={{
-      p: ({node, ...props}) => <span {...props} />,  // Remove extra paragraph spacing
-      a: ({node, ...props}) => (
-        <a 
-          {...props} 
-          target="_blank" 
-          rel="noopener noreferrer" 
-          style={{ color: "#FFFFFF", textDecoration: "underline", fontWeight: "bold" }}
-        />
-      )  // Configure links to open in new tabs
+  <MarkdownMessage content={msg.content} theme={theme} t={t} />
+) : (
+  <>
+    <AttachmentList attachments={msg.attachments} theme={theme} color="inherit" t={t} />
+    {msg.content}
+  </>
+)}
+{/* Blinking cursor while a streamed reply is still arriving */}
+{msg.status === MESSAGE_STATUS.STREAMING && <span className="stream-cursor">▍</span>}
+{/* When the message was sent, and whether it arrived */}
+{msg.status !== MESSAGE_STATUS.STREAMING && msg.status !== MESSAGE_STATUS.FAILED && (
+  <div
+    style={{
+      marginTop: "4px",
+      fontSize: "11px",
+      opacity: 0.7,
+      textAlign: msg.role === "user" ? "end" : "start",
+      whiteSpace: "normal",
     }}
   >
-    {msg.content}
-  </ReactMarkdown>
-) : (
-  msg.content
+    {msg.createdAt && <time dateTime={msg.createdAt}>{formatMessageTime(msg.createdAt, locale)}</time>}
+    {msg.createdAt && getStatusLabel(msg, t) && " · "}
+    {getStatusLabel(msg, t)}
+  </div>
+)}
+{/* Rate or copy the whole reply once it's complete */}
+{msg.role === "agent" && msg.status !== MESSAGE_STATUS.STREAMING && (
+  <div
+    style={{
+      marginTop: "4px",
+      display: "flex",
+      justifyContent: "space-between",
+      alignItems: "flex-start",
+      gap: "8px",
+    }}
+  >
+    {/* Only signed replies can be rated (see pages/api/feedback.js) */}
+    {chatConfig.feedback.enabled && msg.id && msg.upstream?.signature ? (
+      <FeedbackButtons
+        feedback={msg.feedback}
+        onSubmit={(rating, reason) => submitFeedback(msg, rating, reason)}
+        theme={theme}
+        t={t}
+      />
+    ) : (
+      <span />
+    )}
+    <CopyButton text={msg.content} label={t("copyMessage")} theme={theme} t={t} />
+  </div>
+)}
+{/* Failed messages can be sent again */}
+{msg.status === MESSAGE_STATUS.FAILED && (
+  <div style={{ marginTop: "4px", fontSize: "12px", color: theme.errorColor }}>
+    {t("notSent")} ·{" "}
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation();
+        retryMessage(msg);
+      }}
+      style={{
+        background: "transparent",
+        border: "none",
+        padding: "0",
+        color: "inherit",
+        fontFamily: theme.fontFamily,
+        fontSize: "12px",
+        textDecoration: "underline",
+        cursor: "pointer",
+      }}
+    >
+      {t("retry")}
+    </button>
+  </div>
+)}
+{/* The latest user message can be edited and sent again */}
+{msg.role === "user" &&
+  msg.status !== MESSAGE_STATUS.FAILED &&
+  !isLoading &&
+  index === conversation.map((item) => item.role).lastIndexOf("user") &&
+  msg.id !== editingMessage?.id && (
+  <div style={{ marginTop: "4px", fontSize: "12px", textAlign: "end" }}>
+    <button
+      type="button"
+      aria-label={t("editMessage")}
+      onClick={(e) => {
+        e.stopPropagation();
+        startEditing(msg);
+      }}
+      style={{
+        background: "transparent",
+        border: "none",
+        padding: "0",
+        color: theme.accentColor,
+        fontFamily: theme.fontFamily,
+        fontSize: "12px",
+        textDecoration: "underline",
+        cursor: "pointer",
+      }}
+    >
+      {t("edit")}
+    </button>
+  </div>
 )}
               
             </div>
           ))}
+          {/* Follow-up questions suggested with the latest reply */}
+          {followUpMessage && (
+            <div
+              role="group"
+              aria-label={t("suggestedFollowUps")}
+              style={{
+                display: "flex",
+                flexWrap: "wrap",
+                gap: "6px",
+                margin: "4px 0 8px",
+              }}
+            >
+              {followUpMessage.upstream.suggestions.map((prompt) => (
+                <button
+                  key={prompt}
+                  type="button"
+                  className="follow-up"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleFollowUpClick(prompt);
+                  }}
+                  disabled={Boolean(cooldownUntil)}
+                  style={{
+                    fontFamily: theme.fontFamily,
+                    fontSize: "12px",
+                    textAlign: "start",
+                    padding: "4px 10px",
+                    borderRadius: theme.bubbleRadius,
+                    border: `1px solid ${theme.agentBubbleBorder}`,
+                    backgroundColor: "transparent",
+                    color: theme.secondaryColor,
+                    cursor: cooldownUntil ? "not-allowed" : "pointer",
+                  }}
+                >
+                  {prompt}
+                </button>
+              ))}
+            </div>
+          )}
           <div ref={messagesEndRef} />
         </div>
 
@@ -490,65 +1635,212 @@ onClick={() => {
   }}
 >
 <div style={{ width: "100%" }}>
+    {/* Shown while an earlier message is being edited */}
+    {editingMessage && (
+      <div style={{
+        display: "flex",
+        justifyContent: "space-between",
+        marginBottom: "6px",
+        fontSize: "12px",
+        color: theme.secondaryColor,
+        fontFamily: theme.fontFamily,
+      }}>
+        <span>{t("editingMessage")}</span>
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            cancelEditing();
+          }}
+          style={{
+            background: "transparent",
+            border: "none",
+            padding: "0",
+            color: "inherit",
+            fontFamily: theme.fontFamily,
+            fontSize: "12px",
+            textDecoration: "underline",
+            cursor: "pointer",
+          }}
+        >
+          {t("cancel")}
+        </button>
+      </div>
+    )}
+    {/* Files waiting to be sent with the next message */}
+    <AttachmentList
+      attachments={pendingAttachments.map(({ id, file, preview }) => ({
+        id,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        preview,
+      }))}
+      onRemove={removeAttachment}
+      theme={theme}
+      color={theme.secondaryColor}
+      t={t}
+    />
     <div style={{ 
       position: "relative", 
       display: "flex",
       alignItems: "center",
       width: "100%",
     }}>
-      <input
-        type="text"
-        placeholder="Ask me anything..."
+      <textarea
+        ref={inputRef}
+        rows={1}
+        className="chat-input"
+        aria-label={t("messageLabel")}
+        placeholder={isListening ? t("listening") : t("chatInputPlaceholder")}
+        // Follows what's typed, e.g. English in an Arabic widget.
+        dir="auto"
         value={message}
         onChange={(e) => setMessage(e.target.value)}
-        onKeyDown={preventScrollOnEnter}
+        onKeyDown={handleComposerKeyDown}
+        // Keyboard users open the widget by tabbing into the input.
+        onFocus={() => setIsExpanded(true)}
+        maxLength={chatConfig.rateLimit.maxMessageLength || undefined}
         style={{
-          fontFamily: "Inter, sans-serif",
+          fontFamily: theme.fontFamily,
           width: "100%",
           padding: "10px 14px",
-          paddingRight: "50px", // Add space for the button
-          borderRadius: "0.75em",
+          // Add space for the buttons
+          paddingInlineEnd: `${16 + 34 * composerButtonCount}px`,
+          borderRadius: theme.bubbleRadius,
           border: "none",
-          outline: "none",
-          fontSize: "14px",
-          backgroundColor: "#FFFFFF",
+          resize: "none",
+          overflowY: "auto",
+          display: "block",
+          fontSize: theme.fontSize,
+          color: theme.inputTextColor,
+          backgroundColor: theme.secondaryColor,
           boxSizing: "border-box",
           letterSpacing: "0em", // 0% horizontal spacing
           lineHeight: "150%",
         }}
       />
-      <div 
-        onClick={() => submitMessage(message)}
+      {chatConfig.attachments.enabled && (
+        <>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            hidden
+            accept={chatConfig.attachments.allowedTypes.join(",")}
+            onChange={(e) => {
+              addAttachments(e.target.files);
+              e.target.value = ""; // So the same file can be picked again
+            }}
+          />
+          <button
+            type="button"
+            aria-label={t("attachFiles")}
+            onClick={(e) => {
+              e.stopPropagation();
+              fileInputRef.current?.click();
+            }}
+            style={{
+              position: "absolute",
+              insetInlineEnd: voiceInputMode ? "76px" : "40px",
+              bottom: "4px",
+              width: "33px",
+              height: "33px",
+              backgroundColor: "transparent",
+              borderRadius: theme.buttonRadius,
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+              cursor: "pointer",
+              border: "none",
+              padding: "0",
+            }}
+          >
+            <img
+              src={theme.attachIcon}
+              alt="" // The button's aria-label describes it
+              aria-hidden="true"
+              style={{ width: "20px", height: "20px" }}
+            />
+          </button>
+        </>
+      )}
+      {voiceInputMode && (
+        <button
+          type="button"
+          aria-label={isListening ? t("stopVoiceInput") : t("voiceInput")}
+          aria-pressed={isListening}
+          onClick={(e) => {
+            e.stopPropagation();
+            toggleVoiceInput();
+          }}
+          className={isListening ? "voice-listening" : undefined}
+          style={{
+            position: "absolute",
+            insetInlineEnd: "40px",
+            bottom: "4px",
+            width: "33px",
+            height: "33px",
+            // Highlighted while the microphone is on.
+            backgroundColor: isListening ? theme.accentColor : "transparent",
+            borderRadius: theme.buttonRadius,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            cursor: "pointer",
+            border: "none",
+            padding: "0",
+          }}
+        >
+          <img
+            src={theme.micIcon}
+            alt="" // The button's aria-label describes it
+            aria-hidden="true"
+            style={{ width: "20px", height: "20px" }}
+          />
+        </button>
+      )}
+      <button
+        type="button"
+        aria-label={isLoading ? t("stopGenerating") : t("sendMessage")}
+        onClick={() => (isLoading ? stopGeneration() : sendComposer())}
         onMouseEnter={() => setIsSubmitHovered(true)}
         onMouseLeave={() => setIsSubmitHovered(false)}
         style={{
           position: "absolute",
-          right: "4px", // Position on the right side of input
+          insetInlineEnd: "4px", // Position on the right side of input (left in RTL)
+          bottom: "4px", // Stays on the last line as the composer grows
           width: "33px",
           height: "33px", 
-          backgroundColor: isSubmitHovered ? "#818181" : "#000000",
-          borderRadius: "8px",
+          backgroundColor: isSubmitHovered ? theme.accentColor : theme.primaryColor,
+          borderRadius: theme.buttonRadius,
           display: "flex",
           alignItems: "center",
           justifyContent: "center",
           cursor: "pointer",
           border: "none",
+          padding: "0",
           transition: "background-color 300ms ease",
         }}
       >
         {isLoading ? (
-          <div className="loading-spinner" style={{ width: "20px", height: "20px" }} />
+          // Stop icon: cancels the reply in progress
+          <span
+            aria-hidden="true"
+            style={{ width: "10px", height: "10px", backgroundColor: theme.secondaryColor, borderRadius: "2px" }}
+          />
         ) : (
           <img 
-            src="/arrow_upward.svg" 
-            alt="Submit" 
+            src={theme.submitIcon} 
+            alt="" // The button's aria-label describes it
+            aria-hidden="true"
             style={{ 
               width: "20px", 
               height: "20px" 
             }} 
           />
         )}
-      </div>
+      </button>
     </div>
   </div>
 </div>
@@ -556,8 +1848,9 @@ onClick={() => {
         
   
 
-      {/* Loading animation circles */}
+      {/* Loading animation circles (decorative) */}
       <div
+        aria-hidden="true"
         style={{
           position: "relative",
           height: "60px",
@@ -571,14 +1864,14 @@ onClick={() => {
         <div
           style={{
             position: "absolute",
-            right:"22%",
+            insetInlineEnd: "22%",
             width: "40px",
             height: "40px",
             borderRadius: "50%",
-            backgroundColor: "#000",
+            backgroundColor: theme.primaryColor,
             opacity: [4, 5].includes(loadingStep) || !isLoading ? 1 : 0,
             transition: "opacity 0.2s ease-in-out",
-            marginRight: "10px",
+            marginInlineEnd: "10px",
           }}
         ></div>
 
@@ -588,13 +1881,13 @@ onClick={() => {
             position: "absolute",
             width: "25px",
             height: "25px",
-            right:"33%",
+            insetInlineEnd: "33%",
             top:"35px",
             borderRadius: "50%",
-            backgroundColor: "#000",
+            backgroundColor: theme.primaryColor,
             opacity: (!isLoading || [3, 4].includes(loadingStep)) ? 1 : 0,
             transition: "opacity 0.2s ease-in-out",
-            marginRight: "5px",
+            marginInlineEnd: "5px",
             marginTop: "5px",
           }}
         ></div>
@@ -602,10 +1895,20 @@ onClick={() => {
       </div>
       </div>
 
+      {/* Rate-limit cooldown notice */}
+      {cooldownSeconds > 0 && (
+        <div role="status" style={{ color: theme.accentColor, marginTop: "16px", fontSize: "12px" }}>
+          {t("cooldownNotice")}{" "}
+          {/* The ticking number is hidden from screen readers so it isn't read every second */}
+          <span aria-hidden="true">{t("cooldownCountdown", { seconds: cooldownSeconds })}</span>
+          <span className="visually-hidden">{t("cooldownHint")}</span>
+        </div>
+      )}
+
       {/* Error display */}
       {error && (
-        <div style={{ color: "red", marginTop: "16px", fontSize: "12px" }}>
-          <strong>Error:</strong> {error}
+        <div role="alert" style={{ color: theme.errorColor, marginTop: "16px", fontSize: "12px" }}>
+          <strong>{t("errorLabel")}</strong> {error}
         </div>
       )}
 
@@ -618,11 +1921,56 @@ onClick={() => {
           background: transparent;
         }
         .chat-messages::-webkit-scrollbar-thumb {
-          background-color: #555;
+          background-color: ${theme.scrollbarColor};
         }
         .chat-messages {
           scrollbar-width: thin;
-          scrollbar-color: #555 transparent;
+          scrollbar-color: ${theme.scrollbarColor} transparent;
+        }
+        .chat-input {
+          outline: none;
+        }
+        .chat-input:focus-visible {
+          outline: 2px solid ${theme.accentColor};
+          outline-offset: 2px;
+        }
+        /* Hidden visually but still read by screen readers */
+        .visually-hidden {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          padding: 0;
+          margin: -1px;
+          overflow: hidden;
+          clip: rect(0, 0, 0, 0);
+          white-space: nowrap;
+          border: 0;
+        }
+        .voice-listening {
+          animation: pulse 1.2s ease-in-out infinite;
+        }
+        @keyframes pulse {
+          50% {
+            opacity: 0.6;
+          }
+        }
+        .follow-up:hover:not(:disabled) {
+          border-color: ${theme.accentColor};
+        }
+        .stream-cursor {
+          margin-inline-start: 2px;
+          animation: blink 1s steps(2, start) infinite;
+        }
+        @keyframes blink {
+          to {
+            visibility: hidden;
+          }
+        }
+        @media (prefers-reduced-motion: reduce) {
+          .stream-cursor,
+          .voice-listening {
+            animation: none;
+          }
         }
 
         button {
@@ -632,6 +1980,13 @@ onClick={() => {
   }
       `}</style>
       <style jsx global>{`
+  /* When embedded, let the host page show through around the widget */
+  html,
+  body {
+    background: ${isEmbedded ? "transparent" : theme.backgroundColor};
+    margin: ${isEmbedded ? "0" : "8px"};
+  }
+
   @font-face {
     font-family: 'Inter';
     src: url('/fonts/Inter-VariableFont_opsz,wght.ttf') format('truetype');
@@ -652,3 +2007,22 @@ onClick={() => {
     </div>
   );
 }
+
+/**
+ * Restricts which sites may embed this page in an iframe, using the same
+ * allowlist as the proxy. Runs on the server for every page request.
+ */
+export async function getServerSideProps({ res }) {
+  const frameAncestors = getFrameAncestors();
+  if (frameAncestors) {
+    res.setHeader("Content-Security-Policy", frameAncestors);
+  }
+  // The widget also uses the allowlist to decide which host pages it talks to.
+  return {
+    props: {
+      allowedOrigins: getAllowedOrigins(),
+      // Header text and prompts edited on /admin, applied without a redeploy.
+      flowSettings: await loadFlowSettings(),
+    },
+  };
+}
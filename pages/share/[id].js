@@ -0,0 +1,147 @@
+// =============================================================================
+// Read-only view of a shared conversation
+//
+// Visitors get this link from "Copy share link" in the widget's export menu.
+// The transcript is loaded on the server (see lib/shareStore.js) and shown
+// with the same bubbles and markdown rendering as the widget. Replies the
+// proxy didn't sign were written by whoever shared the page, and say so.
+// Labels are in the language the conversation was shared in.
+// =============================================================================
+
+import Head from "next/head";
+import { useMemo } from "react";
+import chatConfig from "../../config/config"; // Import chat settings
+import MarkdownMessage from "../../components/MarkdownMessage"; //Agent reply rendering
+import { useTheme } from "../../lib/theme"; //Colors, fonts and sizes from the config
+import { createTranslator, getTextDirection, matchLocale } from "../../lib/i18n";
+import { loadShare } from "../../lib/shareStore";
+
+export default function SharedConversation({ transcript, locale, sharedOn }) {
+  const theme = useTheme();
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  const hasUnverified = Boolean(
+    transcript?.messages.some((msg) => msg.role === "agent" && msg.verified !== true)
+  );
+
+  return (
+    <main
+      lang={locale}
+      dir={getTextDirection(locale)}
+      style={{
+        maxWidth: "720px",
+        margin: "0 auto",
+        padding: "24px 16px",
+        fontFamily: theme.fontFamily,
+        fontSize: theme.fontSize,
+        color: theme.textColor,
+      }}
+    >
+      <Head>
+        <title>{transcript ? transcript.title : t("shareNotFoundTitle")}</title>
+        {/* Shared chats are personal; keep them out of search engines. */}
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      {!transcript ? (
+        <p>{t("shareNotFound")}</p>
+      ) : (
+        <>
+          <h1 style={{ fontSize: theme.headerFontSize, margin: "0 0 4px 0" }}>
+            {transcript.title}
+          </h1>
+          <p style={{ margin: "0 0 16px 0", color: theme.accentColor, fontSize: "12px" }}>
+            {t("sharedOn", { date: sharedOn })}
+          </p>
+          {hasUnverified && (
+            <p role="note" style={{ margin: "0 0 16px 0", color: theme.errorColor, fontSize: "12px" }}>
+              {t("shareUnverifiedNote")}
+            </p>
+          )}
+
+          <ol style={{ listStyle: "none", margin: 0, padding: 0 }}>
+            {transcript.messages.map((msg, index) => {
+              const isUser = msg.role === "user";
+              return (
+                <li
+                  key={index}
+                  style={{
+                    display: "flex",
+                    justifyContent: isUser ? "flex-end" : "flex-start",
+                    marginBottom: "8px",
+                  }}
+                >
+                  <div
+                    style={{
+                      maxWidth: "80%",
+                      padding: "8px 12px",
+                      borderRadius: theme.bubbleRadius,
+                      background: isUser ? theme.userBubbleColor : theme.agentBubbleColor,
+                      color: isUser ? theme.userBubbleTextColor : theme.agentBubbleTextColor,
+                      border: `1px solid ${isUser ? theme.userBubbleBorder : theme.agentBubbleBorder}`,
+                    }}
+                  >
+                    <span className="visually-hidden">
+                      {t(isUser ? "speakerYou" : "speakerAgent")}:
+                    </span>
+                    {!isUser && msg.verified !== true && (
+                      <div style={{ fontSize: "11px", fontWeight: "bold", marginBottom: "4px" }}>
+                        {t("shareUnverified")}
+                      </div>
+                    )}
+                    {isUser ? (
+                      <span style={{ whiteSpace: "pre-wrap" }}>{msg.content}</span>
+                    ) : (
+                      <MarkdownMessage content={msg.content} theme={theme} t={t} />
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+        </>
+      )}
+
+      <style jsx global>{`
+        html,
+        body {
+          background: ${theme.backgroundColor};
+          margin: 0;
+        }
+        .visually-hidden {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+          clip: rect(0 0 0 0);
+          white-space: nowrap;
+        }
+        @font-face {
+          font-family: 'Inter';
+          src: url('/fonts/Inter-VariableFont_opsz,wght.ttf') format('truetype');
+          font-weight: 100 900;
+          font-style: normal;
+          font-display: swap;
+        }
+      `}</style>
+    </main>
+  );
+}
+
+/**
+ * Loads the shared transcript on the server; unknown or expired IDs get a 404.
+ * The page is shown in the `?locale=` language if there's a bundle for it,
+ * otherwise in the one the conversation was shared in.
+ *
+ * The share date is formatted here, in UTC, so the browser renders the same
+ * text as the server whatever its time zone.
+ */
+export async function getServerSideProps({ params, query, res }) {
+  const transcript = await loadShare(params.id);
+  if (!transcript) res.statusCode = 404;
+  const locale =
+    matchLocale(query.locale) || matchLocale(transcript?.locale) || chatConfig.i18n.defaultLocale;
+  const sharedOn = transcript
+    ? new Date(transcript.sharedAt).toLocaleDateString(locale, { timeZone: "UTC" })
+    : null;
+  return { props: { transcript, locale, sharedOn } };
+}
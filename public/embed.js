@@ -0,0 +1,153 @@
+// embed.js
+// =============================================================================
+// Script-tag loader for the chat widget
+// =============================================================================
+// Add this to any page to show the widget in the bottom-right corner:
+//
+//   <script src="https://your-vercel-url.vercel.app/embed.js" async></script>
+//
+// Optional data attributes on the script tag:
+// - data-flow:     which agent flow to use (see config/config.js)
+// - data-token:    a signed embed token (see lib/embedToken.js)
+// - data-position: "bottom-right" (default), "bottom-left" or "inline"
+// - data-target:   CSS selector of the element to render into when inline
+// - data-width:    iframe width in pixels (default 420); closed, a floating
+//                  widget shrinks to the card
+// - data-locale:   the widget's language, e.g. "es" (defaults to the host
+//                  page's <html lang>, then the visitor's browser language)
+//
+// The loader then exposes window.ZeroWidthAgent:
+//
+//   ZeroWidthAgent.open();                       // expand the widget
+//   ZeroWidthAgent.close();                      // collapse it
+//   ZeroWidthAgent.send("Tell me about yourself"); // send a prompt
+//   ZeroWidthAgent.setUser({ userId: "abc123", context: { page: "pricing" } });
+//   ZeroWidthAgent.on("reply:received", function (event) { ... });
+//   ZeroWidthAgent.off("reply:received", handler);
+//
+// Events: "ready", "open", "close", "resize", "message:sent",
+// "reply:received", "feedback" and "error". Calls made before the widget is ready are
+// queued and sent once it is.
+//
+// Plain ES5 on purpose, so it runs unchanged on any host page.
+// =============================================================================
+
+(function () {
+  if (window.ZeroWidthAgent) return; // Already loaded.
+
+  var WIDGET_SOURCE = "zerowidth-agent";
+  var HOST_SOURCE = "zerowidth-agent-host";
+
+  var script = document.currentScript;
+  var widgetOrigin = new URL(script.src).origin;
+  var options = script.dataset;
+  var position = options.position || "bottom-right";
+  var width = parseInt(options.width, 10) || 420;
+
+  // Build the widget URL. The host's origin lets the widget know where it
+  // may send events.
+  var params = new URLSearchParams({ embed: "1", origin: window.location.origin });
+  if (options.flow) params.set("flow", options.flow);
+  if (options.token) params.set("token", options.token);
+  var locale = options.locale || document.documentElement.lang;
+  if (locale) params.set("locale", locale);
+
+  var iframe = document.createElement("iframe");
+  iframe.src = widgetOrigin + "/?" + params.toString();
+  iframe.title = "Chat with our AI assistant";
+  iframe.setAttribute("allowtransparency", "true");
+  // Lets visitors talk to the agent (voice input).
+  iframe.setAttribute("allow", "microphone");
+  iframe.style.border = "none";
+  iframe.style.background = "transparent";
+  iframe.style.width = width + "px";
+  iframe.style.maxWidth = "100%";
+  iframe.style.height = "0px";
+  iframe.style.transition = "height 300ms ease";
+
+  if (position !== "inline") {
+    iframe.style.position = "fixed";
+    iframe.style.bottom = "16px";
+    iframe.style[position === "bottom-left" ? "left" : "right"] = "16px";
+    iframe.style.zIndex = "2147483000";
+  }
+
+  var listeners = {};
+  var queue = [];
+  var ready = false;
+
+  // Sends a command to the widget, or queues it until the widget is ready.
+  var post = function (message) {
+    message.source = HOST_SOURCE;
+    if (!ready) {
+      queue.push(message);
+      return;
+    }
+    iframe.contentWindow.postMessage(message, widgetOrigin);
+  };
+
+  var emit = function (type, event) {
+    (listeners[type] || []).slice().forEach(function (listener) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error("ZeroWidthAgent listener failed:", err);
+      }
+    });
+  };
+
+  window.addEventListener("message", function (event) {
+    if (event.origin !== widgetOrigin || event.source !== iframe.contentWindow) return;
+    var data = event.data;
+    if (!data || data.source !== WIDGET_SOURCE) return;
+
+    if (data.type === "ready") {
+      ready = true;
+      queue.splice(0).forEach(post);
+    }
+    if (data.type === "resize" && typeof data.height === "number") {
+      iframe.style.height = data.height + "px";
+      // Collapsed, a floating iframe shrinks to the card so the rest of it
+      // doesn't block clicks on the page underneath.
+      var fitsCard = position !== "inline" && !data.expanded && typeof data.width === "number";
+      iframe.style.width = (fitsCard ? Math.min(data.width, width) : width) + "px";
+    }
+    emit(data.type, data);
+  });
+
+  window.ZeroWidthAgent = {
+    open: function () {
+      post({ type: "open" });
+    },
+    close: function () {
+      post({ type: "close" });
+    },
+    send: function (text) {
+      post({ type: "send", text: String(text) });
+    },
+    setUser: function (user) {
+      post({ type: "setUser", userId: user && user.userId, context: user && user.context });
+    },
+    on: function (type, listener) {
+      (listeners[type] = listeners[type] || []).push(listener);
+    },
+    off: function (type, listener) {
+      listeners[type] = (listeners[type] || []).filter(function (item) {
+        return item !== listener;
+      });
+    },
+  };
+
+  var mount = function () {
+    var target = position === "inline" && options.target
+      ? document.querySelector(options.target)
+      : document.body;
+    (target || document.body).appendChild(iframe);
+  };
+
+  if (document.body) {
+    mount();
+  } else {
+    document.addEventListener("DOMContentLoaded", mount);
+  }
+})();
@@ -0,0 +1,75 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { startApiServer } from "../helpers/apiServer";
+
+let api;
+let dir;
+
+const ADMIN = `Basic ${Buffer.from("admin:secret").toString("base64")}`;
+
+const sessions = (query = "", authorization = ADMIN) =>
+  fetch(`${api.url}${query}`, { headers: authorization ? { Authorization: authorization } : {} });
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "admin-test-"));
+  process.env.LOG_STORE_PATH = path.join(dir, "log.jsonl");
+  process.env.ADMIN_CREDENTIALS = "admin:secret";
+  // Loaded after the env variables above, which pick the log's file.
+  const { conversationLogger } = await import("../../lib/conversationLog");
+  await conversationLogger.store.append({
+    timestamp: "2026-01-01T10:00:00.000Z",
+    flow: "portfolio",
+    session_id: "ok-session",
+    prompt: "Favorite project?",
+    upstreamStatus: 200,
+  });
+  await conversationLogger.store.append({
+    timestamp: "2026-01-02T10:00:00.000Z",
+    flow: "portfolio",
+    session_id: "failed-session",
+    prompt: "Hi",
+    error: "upstream_timeout",
+  });
+  api = await startApiServer((await import("../../pages/api/admin/sessions")).default);
+});
+
+afterAll(async () => {
+  await api.close();
+  await fs.rm(dir, { recursive: true, force: true });
+  delete process.env.LOG_STORE_PATH;
+  delete process.env.ADMIN_CREDENTIALS;
+});
+
+describe("/api/admin/sessions", () => {
+  it("asks for the admin password", async () => {
+    const anonymous = await sessions("", null);
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.headers.get("www-authenticate")).toMatch(/^Basic/);
+
+    const wrong = `Basic ${Buffer.from("admin:guess").toString("base64")}`;
+    expect((await sessions("", wrong)).status).toBe(401);
+  });
+
+  it("lists logged sessions with metrics", async () => {
+    const res = await sessions();
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.sessions.map((session) => session.session_id)).toEqual([
+      "failed-session",
+      "ok-session",
+    ]);
+    expect(body.sessions[1].firstPrompt).toBe("Favorite project?");
+    expect(body.metrics).toMatchObject({ totalRequests: 2, errorRate: 0.5 });
+  });
+
+  it("filters by date and status", async () => {
+    const failed = await (await sessions("?status=error")).json();
+    expect(failed.sessions.map((session) => session.session_id)).toEqual(["failed-session"]);
+
+    const firstDay = await (await sessions("?from=2026-01-01&to=2026-01-01")).json();
+    expect(firstDay.sessions.map((session) => session.session_id)).toEqual(["ok-session"]);
+
+    expect((await sessions("?from=yesterday")).status).toBe(400);
+  });
+});
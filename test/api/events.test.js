@@ -0,0 +1,60 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { startApiServer } from "../helpers/apiServer";
+
+let api;
+let dir;
+let promptEventStore;
+
+const send = (event) =>
+  fetch(api.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(event),
+  });
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "events-test-"));
+  process.env.EVENTS_STORE_PATH = path.join(dir, "events.jsonl");
+  // Loaded after the env variable above, which picks the store's file.
+  ({ promptEventStore } = await import("../../lib/promptEvents"));
+  api = await startApiServer((await import("../../pages/api/events")).default);
+});
+
+afterAll(async () => {
+  await api.close();
+  await fs.rm(dir, { recursive: true, force: true });
+  delete process.env.EVENTS_STORE_PATH;
+});
+
+describe("/api/events", () => {
+  it("records impressions and clicks", async () => {
+    const res = await send({ type: "click", source: "starter", prompt: "Favorite project?" });
+    expect(res.status).toBe(204);
+
+    const [record] = await promptEventStore.list();
+    expect(record).toMatchObject({
+      type: "click",
+      source: "starter",
+      prompt: "Favorite project?",
+      variant: null,
+    });
+  });
+
+  it("refuses events of unknown types", async () => {
+    const res = await send({ type: "hover", source: "starter", prompt: "Favorite project?" });
+    expect(res.status).toBe(400);
+    expect(await res.json()).toMatchObject({ fields: { type: expect.any(String) } });
+  });
+
+  it("rate limits each visitor", async () => {
+    const event = { type: "impression", source: "follow_up", prompt: "Tell me more" };
+    let res;
+    // The first test already used one of the 60 events a minute.
+    for (let i = 0; i < 60; i += 1) res = await send(event);
+    expect(res.status).toBe(429);
+    expect(await res.json()).toMatchObject({ code: "rate_limited", scope: "minute" });
+    expect(res.headers.get("retry-after")).toMatch(/^\d+$/);
+  });
+});
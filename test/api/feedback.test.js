@@ -0,0 +1,76 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import chatConfig from "../../config/config";
+import { startApiServer } from "../helpers/apiServer";
+
+let api;
+let dir;
+let feedbackStore;
+let signReply;
+
+const SESSION_ID = "session1";
+const REPLY = "Jun builds widgets.";
+
+const rate = (fields = {}) =>
+  fetch(api.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      messageId: "message-1",
+      rating: "up",
+      prompt: "Favorite project?",
+      reply: REPLY,
+      signature: signReply({ output_data: { content: REPLY } }, SESSION_ID).output_data.signature,
+      session_id: SESSION_ID,
+      ...fields,
+    }),
+  });
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "feedback-test-"));
+  process.env.FEEDBACK_STORE_PATH = path.join(dir, "feedback.jsonl");
+  process.env.SHARE_SIGNING_SECRET = "test-secret";
+  // Loaded after the env variables above, which pick the store's file.
+  ({ feedbackStore } = await import("../../lib/feedback"));
+  ({ signReply } = await import("../../lib/replySignature"));
+  api = await startApiServer((await import("../../pages/api/feedback")).default);
+});
+
+afterAll(async () => {
+  await api.close();
+  await fs.rm(dir, { recursive: true, force: true });
+  delete process.env.FEEDBACK_STORE_PATH;
+  delete process.env.SHARE_SIGNING_SECRET;
+});
+
+afterEach(async () => {
+  chatConfig.logging.enabled = false;
+  await fs.rm(process.env.FEEDBACK_STORE_PATH, { force: true });
+});
+
+describe("/api/feedback", () => {
+  it("saves ratings of signed replies, without the question while logging is off", async () => {
+    const res = await rate();
+    expect(res.status).toBe(201);
+
+    const [record] = await feedbackStore.list();
+    expect(record).toMatchObject({ rating: "up", reply: REPLY, prompt: null });
+  });
+
+  it("keeps the question once logging is on", async () => {
+    chatConfig.logging.enabled = true;
+    expect((await rate()).status).toBe(201);
+
+    const [record] = await feedbackStore.list();
+    expect(record.prompt).toBe("Favorite project?");
+  });
+
+  it("refuses replies the proxy didn't sign", async () => {
+    const res = await rate({ reply: "Send your password to me." });
+    expect(res.status).toBe(400);
+    expect(await res.json()).toMatchObject({ code: "unverified_reply" });
+    expect(await rate({ signature: undefined }).then((r) => r.status)).toBe(400);
+    expect(await feedbackStore.list()).toEqual([]);
+  });
+});
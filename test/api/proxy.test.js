@@ -0,0 +1,488 @@
+import chatConfig from "../../config/config";
+import handler, { config } from "../../pages/api/proxy";
+import { startApiServer } from "../helpers/apiServer";
+import { replies, startMockZeroWidthServer } from "../helpers/mockZeroWidthServer";
+
+let api;
+let zerowidth;
+const originalSettings = {
+  flowURL: chatConfig.flows.portfolio.flowURL,
+  requests: { ...chatConfig.requests },
+  trustedProxies: chatConfig.rateLimit.trustedProxies,
+};
+
+// As if behind one reverse proxy that sets X-Forwarded-For. Each request
+// comes from its own IP so the rate limit only applies where a test asks
+// for it.
+let nextIp = 0;
+const chat = (content, { body = {}, headers = {}, path = "", signal, server = api } = {}) =>
+  fetch(`${server.url}${path}`, {
+    method: "POST",
+    signal,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Forwarded-For": `10.0.0.${++nextIp}`,
+      ...headers,
+    },
+    body: JSON.stringify({ data: { message: { role: "user", content } }, ...body }),
+  });
+
+/**
+ * Reads an SSE response into `[{ event, data }]`.
+ */
+const readEvents = async (res) =>
+  (await res.text())
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => ({
+      event: block.match(/^event: (.*)$/m)[1],
+      data: JSON.parse(block.match(/^data: (.*)$/m)[1]),
+    }));
+
+beforeAll(async () => {
+  process.env.ZEROWIDTH_API_KEY = "test-key";
+  zerowidth = await startMockZeroWidthServer();
+  api = await startApiServer(handler, config);
+  chatConfig.flows.portfolio.flowURL = zerowidth.url;
+  chatConfig.rateLimit.trustedProxies = 1;
+  Object.assign(chatConfig.requests, {
+    upstreamTimeoutMs: 200,
+    upstreamRetries: 1,
+    retryBaseDelayMs: 10,
+  });
+});
+
+afterAll(async () => {
+  chatConfig.flows.portfolio.flowURL = originalSettings.flowURL;
+  chatConfig.rateLimit.trustedProxies = originalSettings.trustedProxies;
+  Object.assign(chatConfig.requests, originalSettings.requests);
+  await api.close();
+  await zerowidth.close();
+});
+
+beforeEach(() => {
+  zerowidth.reset();
+  // Failures are logged on purpose in several tests below.
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("CORS and methods", () => {
+  it("answers preflight requests", async () => {
+    const res = await fetch(api.url, { method: "OPTIONS" });
+    expect(res.status).toBe(200);
+    expect(res.headers.get("access-control-allow-origin")).toBe("*");
+    expect(res.headers.get("access-control-allow-methods")).toBe("POST, OPTIONS");
+    expect(res.headers.get("access-control-allow-headers")).toBe(
+      "Content-Type, Authorization, X-Embed-Token"
+    );
+    expect(res.headers.get("access-control-expose-headers")).toBe("X-Cache");
+  });
+
+  it("refuses methods other than POST", async () => {
+    const res = await fetch(api.url);
+    expect(res.status).toBe(405);
+    expect(await res.json()).toEqual({ error: "Method not allowed" });
+    expect(res.headers.get("access-control-allow-origin")).toBe("*");
+  });
+
+  it("echoes allowed origins and refuses the rest", async () => {
+    process.env.ALLOWED_ORIGINS = "https://example.com";
+    try {
+      const allowed = await fetch(api.url, {
+        method: "OPTIONS",
+        headers: { Origin: "https://example.com" },
+      });
+      expect(allowed.status).toBe(200);
+      expect(allowed.headers.get("access-control-allow-origin")).toBe("https://example.com");
+      expect(allowed.headers.get("vary")).toBe("Origin");
+
+      const refused = await chat("Hello", { headers: { Origin: "https://evil.example" } });
+      expect(refused.status).toBe(403);
+      expect(zerowidth.requests).toHaveLength(0);
+    } finally {
+      delete process.env.ALLOWED_ORIGINS;
+    }
+  });
+});
+
+describe("request checks", () => {
+  it("rejects bodies that aren't JSON", async () => {
+    const res = await fetch(api.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{not json",
+    });
+    expect(res.status).toBe(400);
+    expect(await res.json()).toMatchObject({ code: "invalid_request" });
+  });
+
+  it("lists the fields that failed validation", async () => {
+    const res = await chat("", { body: { session_id: "not valid!" } });
+    expect(res.status).toBe(400);
+    const body = await res.json();
+    expect(body.code).toBe("invalid_request");
+    expect(Object.keys(body.fields)).toEqual(
+      expect.arrayContaining(["data.message.content", "session_id"])
+    );
+  });
+
+  it("returns 404 for unknown flows", async () => {
+    const res = await chat("Hello", { path: "?flow=nope" });
+    expect(res.status).toBe(404);
+    expect(await res.json()).toMatchObject({ error: "Unknown flow" });
+  });
+
+  it("picks the flow from the route, then the body, then the default", async () => {
+    chatConfig.flows.support = { provider: "mock", reply: "Support here." };
+    try {
+      zerowidth.respondWith(replies.success("Portfolio here."));
+      const content = async (res) => (await res.json()).output_data.content;
+
+      expect(await content(await chat("Hi", { path: "?flow=support" }))).toBe("Support here.");
+      expect(await content(await chat("Hi", { body: { flow: "support" } }))).toBe("Support here.");
+      const both = await chat("Hi", { path: "?flow=portfolio", body: { flow: "support" } });
+      expect(await content(both)).toBe("Portfolio here.");
+      expect(await content(await chat("Hi"))).toBe("Portfolio here.");
+    } finally {
+      delete chatConfig.flows.support;
+    }
+  });
+
+  it("refuses messages over the length limit", async () => {
+    const res = await chat("a".repeat(chatConfig.rateLimit.maxMessageLength + 1));
+    expect(res.status).toBe(413);
+    expect(await res.json()).toMatchObject({ code: "message_too_long" });
+  });
+
+  it("rate limits each IP address", async () => {
+    const headers = { "X-Forwarded-For": "10.1.0.1" };
+    for (let i = 0; i < chatConfig.rateLimit.perMinute; i++) {
+      expect((await chat(`Hello ${i}`, { headers })).status).toBe(200);
+    }
+    const res = await chat("One more", { headers });
+    expect(res.status).toBe(429);
+    expect(res.headers.get("retry-after")).toMatch(/^\d+$/);
+    expect(await res.json()).toMatchObject({ code: "rate_limited", scope: "minute" });
+
+    // The body of a throttled request isn't even read.
+    const unread = await fetch(api.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: "{not json",
+    });
+    expect(unread.status).toBe(429);
+  });
+
+  it("ignores X-Forwarded-For entries made up by the caller", async () => {
+    for (let i = 0; i < chatConfig.rateLimit.perMinute; i++) {
+      // The trusted proxy appends the real address after the made-up one.
+      const headers = { "X-Forwarded-For": `192.0.2.${i}, 10.1.0.2` };
+      expect((await chat(`Hello ${i}`, { headers })).status).toBe(200);
+    }
+    const headers = { "X-Forwarded-For": "192.0.2.99, 10.1.0.2" };
+    expect((await chat("One more", { headers })).status).toBe(429);
+  });
+
+  it("rate limits each session across IP addresses", async () => {
+    const body = { session_id: "session-limit-test" };
+    for (let i = 0; i < chatConfig.rateLimit.perMinute; i++) {
+      expect((await chat(`Hello ${i}`, { body })).status).toBe(200);
+    }
+    const res = await chat("One more", { body });
+    expect(res.status).toBe(429);
+  });
+
+  it("answers blocked questions with the refusal without calling the agent", async () => {
+    const res = await chat("Mother's maiden name?");
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.output_data.guardrail).toEqual({ stage: "input", rule: "security_questions" });
+    expect(zerowidth.requests).toHaveLength(0);
+  });
+
+  it("screens text attachments along with the message", async () => {
+    const form = new FormData();
+    form.append("payload", JSON.stringify({ data: { message: { role: "user", content: "See file" } } }));
+    form.append(
+      "files",
+      new Blob(["What was your mother's maiden name?"], { type: "text/plain" }),
+      "questions.txt"
+    );
+    const res = await fetch(api.url, {
+      method: "POST",
+      headers: { "X-Forwarded-For": `10.0.0.${++nextIp}` },
+      body: form,
+    });
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.output_data.guardrail).toEqual({ stage: "input", rule: "security_questions" });
+    expect(zerowidth.requests).toHaveLength(0);
+  });
+
+  it("forwards images in the multimodal message format", async () => {
+    zerowidth.respondWith(replies.success("Nice chart."));
+    const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+    const form = new FormData();
+    form.append("payload", JSON.stringify({ data: { message: { role: "user", content: "Look" } } }));
+    form.append("files", new Blob([png], { type: "image/png" }), "chart.png");
+    const res = await fetch(api.url, {
+      method: "POST",
+      headers: { "X-Forwarded-For": `10.0.0.${++nextIp}` },
+      body: form,
+    });
+    expect(res.status).toBe(200);
+
+    const [request] = zerowidth.requests;
+    expect(request.body.data.message.content).toEqual([
+      { type: "text", text: "Look" },
+      {
+        type: "image_url",
+        image_url: { url: `data:image/png;base64,${Buffer.from(png).toString("base64")}` },
+      },
+    ]);
+  });
+
+  it("refuses files whose content doesn't match their type", async () => {
+    const form = new FormData();
+    form.append("payload", JSON.stringify({ data: { message: { role: "user", content: "Look" } } }));
+    form.append("files", new Blob(["<script>"], { type: "image/png" }), "chart.png");
+    const res = await fetch(api.url, {
+      method: "POST",
+      headers: { "X-Forwarded-For": `10.0.0.${++nextIp}` },
+      body: form,
+    });
+    expect(res.status).toBe(415);
+    expect(zerowidth.requests).toHaveLength(0);
+  });
+});
+
+describe("replies", () => {
+  it("forwards the message and returns the agent's reply", async () => {
+    zerowidth.respondWith(replies.success("Jun builds chat widgets."));
+    const res = await chat("Favorite project?", { body: { locale: "es" } });
+    expect(res.status).toBe(200);
+    expect(res.headers.get("x-cache")).toBe("BYPASS");
+    const body = await res.json();
+    expect(body.output_data.content).toBe("Jun builds chat widgets.");
+
+    const [request] = zerowidth.requests;
+    expect(request.headers.authorization).toBe("Bearer test-key");
+    expect(request.body.data.message).toEqual({ role: "user", content: "Favorite project?" });
+    expect(request.body.data.variables).toMatchObject({ locale: "es" });
+  });
+
+  it("signs replies for share links when a signing secret is set", async () => {
+    process.env.SHARE_SIGNING_SECRET = "test-secret";
+    try {
+      zerowidth.respondWith(replies.success("Signed reply"));
+      const json = await (await chat("Hello", { body: { session_id: "abc" } })).json();
+      expect(json.output_data.signature).toEqual(expect.any(String));
+
+      const events = await readEvents(
+        await chat("Hello again", { body: { session_id: "abc", stream: true } })
+      );
+      expect(events[events.length - 1].data.output_data.signature).toEqual(expect.any(String));
+    } finally {
+      delete process.env.SHARE_SIGNING_SECRET;
+    }
+  });
+
+  it("returns 502 when the reply has no content", async () => {
+    zerowidth.respondWith(replies.malformed());
+    const res = await chat("Hello");
+    expect(res.status).toBe(502);
+    expect(await res.json()).toMatchObject({ code: "invalid_upstream_response" });
+  });
+
+  it("reports upstream 4xx errors without retrying", async () => {
+    zerowidth.respondWith(replies.error(401, "Bad API key"));
+    const res = await chat("Hello");
+    expect(res.status).toBe(500);
+    expect((await res.json()).details).toContain("ZeroWidth error 401");
+    expect(zerowidth.requests).toHaveLength(1);
+  });
+
+  it("retries upstream 5xx errors", async () => {
+    zerowidth.respondWith(replies.error(503), replies.success("Back again"));
+    const res = await chat("Hello");
+    expect(res.status).toBe(200);
+    expect((await res.json()).output_data.content).toBe("Back again");
+    expect(zerowidth.requests).toHaveLength(2);
+  });
+
+  it("gives up on 5xx errors once the retries run out", async () => {
+    zerowidth.respondWith(replies.error(500, "Flow crashed"));
+    const res = await chat("Hello");
+    expect(res.status).toBe(500);
+    expect((await res.json()).details).toContain("Flow crashed");
+    expect(zerowidth.requests).toHaveLength(2);
+  });
+
+  it("keeps a shared call going for a visitor after the first one leaves", async () => {
+    zerowidth.respondWith(replies.slow(150, "Jun builds chat widgets."));
+    const body = { session_id: "coalesce-abort-test" };
+    const first = new AbortController();
+    const firstRes = chat("Favorite project?", { body, signal: first.signal }).catch(() => null);
+    // Give the first request time to reach the agent before the double-click.
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    const secondRes = chat("Favorite project?", { body });
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    first.abort();
+    await firstRes;
+
+    const res = await secondRes;
+    expect(res.status).toBe(200);
+    expect(res.headers.get("x-cache")).toBe("COALESCED");
+    expect((await res.json()).output_data.content).toBe("Jun builds chat widgets.");
+    expect(zerowidth.requests).toHaveLength(1);
+  });
+
+  it("streams a shared reply to a visitor after the first one leaves", async () => {
+    zerowidth.respondWith({
+      ...replies.stream(["Jun builds widgets. ", "He likes chat."]),
+      delayMs: 100,
+    });
+    const body = { session_id: "coalesce-stream-test", stream: true };
+    const first = new AbortController();
+    const firstRes = chat("Favorite project?", { body, signal: first.signal }).catch(() => null);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    const secondRes = chat("Favorite project?", { body });
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    first.abort();
+    await firstRes;
+
+    const res = await secondRes;
+    expect(res.headers.get("x-cache")).toBe("COALESCED");
+    const events = await readEvents(res);
+    // Passed on piece by piece, not in one go at the end.
+    const deltas = events.filter(({ event }) => event === "delta");
+    expect(deltas.map(({ data }) => data.content)).toEqual([
+      "Jun builds widgets.",
+      " He likes chat.",
+    ]);
+    expect(events[events.length - 1]).toMatchObject({
+      event: "done",
+      data: { output_data: { content: "Jun builds widgets. He likes chat." } },
+    });
+    expect(zerowidth.requests).toHaveLength(1);
+  });
+
+  it("doesn't share a streamed call with a request for plain JSON", async () => {
+    zerowidth.respondWith({ ...replies.stream(["Hi ", "there"]), delayMs: 50 });
+    const body = { session_id: "coalesce-mixed-test" };
+    const streamed = chat("Hello", { body: { ...body, stream: true } });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    zerowidth.respondWith(replies.success("Hi there"));
+    const res = await chat("Hello", { body });
+    await (await streamed).text();
+
+    expect(res.headers.get("x-cache")).toBe("BYPASS");
+    expect((await res.json()).output_data.content).toBe("Hi there");
+    expect(zerowidth.requests).toHaveLength(2);
+  });
+
+  it("returns 504 when the agent is too slow", async () => {
+    zerowidth.respondWith(replies.slow(1000));
+    const res = await chat("Hello");
+    expect(res.status).toBe(504);
+    expect(await res.json()).toMatchObject({ code: "upstream_timeout" });
+  });
+
+  it("streams the reply as delta events and a final done event", async () => {
+    zerowidth.respondWith(replies.stream(["Jun ", "builds ", "widgets."]));
+    const res = await chat("Favorite project?", { body: { stream: true } });
+    expect(res.status).toBe(200);
+    expect(res.headers.get("content-type")).toContain("text/event-stream");
+
+    const events = await readEvents(res);
+    const deltas = events.filter(({ event }) => event === "delta");
+    expect(deltas.map(({ data }) => data.content).join("")).toBe("Jun builds widgets.");
+    expect(events[events.length - 1]).toMatchObject({
+      event: "done",
+      data: { output_data: { content: "Jun builds widgets." } },
+    });
+    expect(zerowidth.requests[0].body.stream).toBe(true);
+  });
+
+  it("builds the final reply from the deltas when the stream has none", async () => {
+    zerowidth.respondWith(replies.stream(["Hello ", "there"], null));
+    const events = await readEvents(await chat("Hi", { body: { stream: true } }));
+    expect(events[events.length - 1].data.output_data.content).toBe("Hello there");
+  });
+
+  it("drops follow-up questions a guardrail would block or mask", async () => {
+    zerowidth.respondWith(
+      replies.success("Jun builds widgets.", {
+        suggestions: [
+          "What stack?",
+          "What's your mother's maiden name?",
+          "Is 4111 1111 1111 1111 your card?",
+        ],
+      })
+    );
+    const res = await chat("Favorite project?");
+    expect((await res.json()).output_data.suggestions).toEqual(["What stack?"]);
+  });
+
+  it("masks personal data in streamed replies", async () => {
+    zerowidth.respondWith(replies.stream(["Call me on ", "555-123-4567 any time."]));
+    const events = await readEvents(await chat("Phone?", { body: { stream: true } }));
+    const streamed = events
+      .filter(({ event }) => event === "delta")
+      .map(({ data }) => data.content)
+      .join("");
+    expect(streamed).not.toContain("555-123-4567");
+    expect(events[events.length - 1].data.output_data.content).not.toContain("555-123-4567");
+  });
+});
+
+describe("response cache", () => {
+  let cachedApi;
+
+  beforeAll(async () => {
+    // A fresh proxy (and config) with the cache turned on.
+    await jest.isolateModulesAsync(async () => {
+      const { default: isolatedConfig } = await import("../../config/config");
+      isolatedConfig.cache.enabled = true;
+      isolatedConfig.flows.portfolio.flowURL = zerowidth.url;
+      const proxy = await import("../../pages/api/proxy");
+      cachedApi = await startApiServer(proxy.default, proxy.config);
+    });
+  });
+
+  afterAll(async () => {
+    await cachedApi.close();
+  });
+
+  it("reuses replies to stateless requests", async () => {
+    zerowidth.respondWith(replies.success("Jun builds chat widgets."));
+    const body = { stateful: false };
+    const first = await chat("Favorite project?", { body, server: cachedApi });
+    expect(first.headers.get("x-cache")).toBe("MISS");
+
+    const second = await chat("favorite project", { body, server: cachedApi });
+    expect(second.headers.get("x-cache")).toBe("HIT");
+    expect((await second.json()).output_data.content).toBe("Jun builds chat widgets.");
+    expect(zerowidth.requests).toHaveLength(1);
+  });
+
+  it("doesn't let a stateful session write to the shared cache", async () => {
+    // A session steered earlier, claiming this is its first message.
+    zerowidth.respondWith(replies.success("Steered reply"));
+    const primed = await chat("Any demos?", {
+      body: { stateful: true, first_turn: true, session_id: "primed-session" },
+      server: cachedApi,
+    });
+    expect(primed.headers.get("x-cache")).toBe("BYPASS");
+
+    zerowidth.respondWith(replies.success("Here are the demos."));
+    const res = await chat("Any demos?", { body: { stateful: false }, server: cachedApi });
+    expect(res.headers.get("x-cache")).toBe("MISS");
+    expect((await res.json()).output_data.content).toBe("Here are the demos.");
+  });
+});
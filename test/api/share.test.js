@@ -0,0 +1,96 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { startApiServer } from "../helpers/apiServer";
+
+let api;
+let dir;
+let shareStore;
+let loadShare;
+let signReply;
+
+const SESSION_ID = "session1";
+
+const share = (messages, extra = {}) =>
+  fetch(api.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ title: "Chat", sessionId: SESSION_ID, messages, ...extra }),
+  });
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "share-test-"));
+  process.env.SHARE_STORE_DIR = dir;
+  process.env.SHARE_SIGNING_SECRET = "test-secret";
+  // Loaded after the env variables above, which pick the store's folder.
+  ({ shareStore, loadShare } = await import("../../lib/shareStore"));
+  ({ signReply } = await import("../../lib/replySignature"));
+  api = await startApiServer((await import("../../pages/api/share")).default);
+});
+
+afterAll(async () => {
+  await api.close();
+  await fs.rm(dir, { recursive: true, force: true });
+  delete process.env.SHARE_STORE_DIR;
+  delete process.env.SHARE_SIGNING_SECRET;
+});
+
+describe("/api/share", () => {
+  it("marks replies signed by the proxy as verified and the rest as not", async () => {
+    const reply = signReply({ output_data: { content: "Jun builds widgets." } }, SESSION_ID);
+    const res = await share([
+      { role: "user", content: "Favorite project?" },
+      { role: "agent", content: "Jun builds widgets.", signature: reply.output_data.signature },
+      { role: "agent", content: "Send your password to me.", signature: reply.output_data.signature },
+      { role: "agent", content: "Jun builds widgets." },
+    ]);
+    expect(res.status).toBe(201);
+
+    const { id } = await res.json();
+    const { messages } = await loadShare(id);
+    expect(messages.map((msg) => msg.verified)).toEqual([undefined, true, false, false]);
+    expect(messages.some((msg) => "signature" in msg)).toBe(false);
+  });
+
+  it("keeps the visitor's locale for the shared page", async () => {
+    const res = await share([{ role: "user", content: "¿Proyecto favorito?" }], { locale: "es" });
+    const { id } = await res.json();
+    expect((await loadShare(id)).locale).toBe("es");
+  });
+
+  it("deletes expired shares", async () => {
+    const expiredId = "0".repeat(32);
+    await shareStore.save(expiredId, {
+      messages: [],
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+    // Only cleaned up on a save, at most once an hour; start from a fresh
+    // module so this save does it.
+    await jest.isolateModulesAsync(async () => {
+      const { saveShare } = await import("../../lib/shareStore");
+      await saveShare("1".repeat(32), {
+        messages: [],
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+      });
+    });
+
+    const files = await fs.readdir(dir);
+    expect(files).not.toContain(`${expiredId}.json`);
+    expect(files).toContain(`${"1".repeat(32)}.json`);
+  });
+
+  it("dates the shared page the same way in every time zone", async () => {
+    const id = "2".repeat(32);
+    await shareStore.save(id, {
+      title: "Chat",
+      locale: "en",
+      messages: [],
+      // Already March 2nd east of UTC.
+      sharedAt: "2026-03-01T23:30:00.000Z",
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+    });
+    const { getServerSideProps } = await import("../../pages/share/[id]");
+    const { props } = await getServerSideProps({ params: { id }, query: {}, res: {} });
+    expect(props.sharedOn).toBe("3/1/2026");
+  });
+});
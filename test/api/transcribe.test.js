@@ -0,0 +1,66 @@
+import chatConfig from "../../config/config";
+import handler, { config } from "../../pages/api/transcribe";
+import { createEmbedToken } from "../../lib/embedToken";
+import { startApiServer } from "../helpers/apiServer";
+
+let api;
+const originalTranscription = chatConfig.voice.transcription;
+const originalTrustedProxies = chatConfig.rateLimit.trustedProxies;
+
+const transcribe = (ip, body, headers = {}) => {
+  if (!body) {
+    body = new FormData();
+    body.append("audio", new Blob(["recording"], { type: "audio/webm" }), "voice.webm");
+  }
+  return fetch(api.url, { method: "POST", headers: { "X-Forwarded-For": ip, ...headers }, body });
+};
+
+beforeAll(async () => {
+  chatConfig.voice.transcription = { provider: "mock", text: "Favorite project?" };
+  // As if behind one reverse proxy that sets X-Forwarded-For.
+  chatConfig.rateLimit.trustedProxies = 1;
+  api = await startApiServer(handler, config);
+});
+
+afterAll(async () => {
+  chatConfig.voice.transcription = originalTranscription;
+  chatConfig.rateLimit.trustedProxies = originalTrustedProxies;
+  await api.close();
+});
+
+describe("/api/transcribe", () => {
+  it("returns the text of the recording", async () => {
+    const res = await transcribe("10.1.0.1");
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ text: "Favorite project?" });
+  });
+
+  it("has its own rate limit, checked before reading the upload", async () => {
+    const { perMinute } = chatConfig.voice.rateLimit;
+    for (let i = 0; i < perMinute; i += 1) {
+      expect((await transcribe("10.1.0.2")).status).toBe(200);
+    }
+
+    // Not even valid multipart: refused for the limit before it's read.
+    const res = await transcribe("10.1.0.2", "not a recording");
+    expect(res.status).toBe(429);
+    expect(await res.json()).toMatchObject({ code: "rate_limited", scope: "minute" });
+    expect(res.headers.get("retry-after")).toMatch(/^\d+$/);
+  });
+
+  it("checks the embed token when one is required", async () => {
+    chatConfig.security.requireEmbedToken = true;
+    process.env.EMBED_TOKEN_SECRET = "test-secret";
+    try {
+      const refused = await transcribe("10.1.0.3");
+      expect(refused.status).toBe(401);
+      expect(await refused.json()).toMatchObject({ code: "invalid_embed_token" });
+
+      const token = createEmbedToken({ secret: "test-secret", flow: "portfolio" });
+      expect((await transcribe("10.1.0.3", null, { "X-Embed-Token": token })).status).toBe(200);
+    } finally {
+      chatConfig.security.requireEmbedToken = false;
+      delete process.env.EMBED_TOKEN_SECRET;
+    }
+  });
+});
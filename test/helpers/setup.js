@@ -0,0 +1,8 @@
+// Runs before every test file: adds the DOM and accessibility matchers,
+// e.g. expect(element).toBeInTheDocument() and
+// expect(await axe(container)).toHaveNoViolations().
+
+import "@testing-library/jest-dom";
+import { toHaveNoViolations } from "jest-axe";
+
+expect.extend(toHaveNoViolations);
@@ -0,0 +1,59 @@
+// widget.js
+// =============================================================================
+// Helpers for rendering the widget in tests
+// =============================================================================
+// The widget only talks to the server through fetch(), so tests replace it
+// with mockFetch() and decide what the proxy answers:
+//
+//   mockFetch(() => jsonResponse({ output_data: { content: "Hi!" } }));
+//   render(<AgentComponent />);
+//   sendMessage("Hello");
+// =============================================================================
+
+import { fireEvent, screen } from "@testing-library/react";
+
+/**
+ * A JSON response from the proxy.
+ */
+export const jsonResponse = (body, { status = 200, headers = {} } = {}) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+
+/**
+ * A streamed response from the proxy: `[event, data]` pairs as SSE.
+ */
+export const streamResponse = (events) =>
+  new Response(
+    events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join(""),
+    { status: 200, headers: { "Content-Type": "text/event-stream" } }
+  );
+
+/**
+ * Answers the widget's requests: /api/proxy gets the next of `proxyReplies`
+ * (the last one repeats), everything else (events, feedback) a plain 200.
+ */
+export const mockFetch = (...proxyReplies) => {
+  global.fetch = jest.fn(async (url) => {
+    if (!String(url).startsWith("/api/proxy/")) return jsonResponse({ ok: true });
+    const reply = proxyReplies.length > 1 ? proxyReplies.shift() : proxyReplies[0];
+    return reply();
+  });
+};
+
+/**
+ * The calls the widget made to /api/proxy.
+ */
+export const proxyCalls = () =>
+  global.fetch.mock.calls.filter(([url]) => String(url).startsWith("/api/proxy/"));
+
+/**
+ * Opens the widget and sends `text` from the composer.
+ */
+export const sendMessage = (text) => {
+  const composer = screen.getByRole("textbox", { name: "Message" });
+  fireEvent.focus(composer);
+  fireEvent.change(composer, { target: { value: text } });
+  fireEvent.keyDown(composer, { key: "Enter" });
+};
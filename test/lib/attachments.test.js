@@ -0,0 +1,57 @@
+import chatConfig from "../../config/config";
+import {
+  getAttachmentError,
+  matchesFileType,
+  quoteTextFiles,
+  toUpstreamMessage,
+} from "../../lib/attachments";
+
+describe("getAttachmentError", () => {
+  it("accepts files within the configured limits", () => {
+    expect(getAttachmentError({ name: "cv.pdf", type: "application/pdf", size: 1000 })).toBeNull();
+  });
+
+  it("explains what's wrong with other files", () => {
+    const { maxFileSize } = chatConfig.attachments;
+    expect(getAttachmentError({ name: "app.exe", type: "application/x-msdownload", size: 10 }))
+      .toMatch("app.exe");
+    expect(getAttachmentError({ name: "empty.txt", type: "text/plain", size: 0 })).toMatch(
+      "empty.txt"
+    );
+    expect(
+      getAttachmentError({ name: "huge.png", type: "image/png", size: maxFileSize + 1 })
+    ).toMatch("5.0 MB");
+  });
+});
+
+describe("matchesFileType", () => {
+  it("checks binary files by their first bytes and text for NUL bytes", () => {
+    expect(matchesFileType("application/pdf", Buffer.from("%PDF-1.7"))).toBe(true);
+    expect(matchesFileType("image/png", Buffer.from("%PDF-1.7"))).toBe(false);
+    expect(matchesFileType("text/plain", Buffer.from("Hello"))).toBe(true);
+    expect(matchesFileType("text/plain", Buffer.from([0x48, 0x00]))).toBe(false);
+  });
+});
+
+describe("upstream messages", () => {
+  const files = [
+    { filename: "notes.txt", type: "text/plain", data: Buffer.from("Ship it") },
+    { filename: "cv.pdf", type: "application/pdf", data: Buffer.from("%PDF") },
+  ];
+
+  it("quote text files into the message", () => {
+    expect(quoteTextFiles("Thoughts?", files)).toBe("Thoughts?\n\n--- notes.txt ---\nShip it");
+  });
+
+  it("send other files as parts, and plain messages unchanged", () => {
+    const message = { role: "user", content: "Thoughts?" };
+    expect(toUpstreamMessage(message, [])).toBe(message);
+    expect(toUpstreamMessage(message, files).content).toEqual([
+      { type: "text", text: "Thoughts?" },
+      {
+        type: "file",
+        file: { filename: "cv.pdf", file_data: "data:application/pdf;base64,JVBERg==" },
+      },
+    ]);
+  });
+});
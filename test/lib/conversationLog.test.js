@@ -0,0 +1,98 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  computeAggregates,
+  createConversationLogger,
+  createFileLogStore,
+  createMemoryLogStore,
+  groupSessions,
+} from "../../lib/conversationLog";
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "log-test-"));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const record = (id, timestamp) => ({ id, timestamp: new Date(timestamp).toISOString() });
+
+describe("createFileLogStore", () => {
+  it("keeps records appended while a prune rewrites the file", async () => {
+    const store = createFileLogStore(path.join(dir, "log.jsonl"));
+    await store.append(record("old", 1000));
+    await store.append(record("kept", Date.now()));
+
+    // Started together, like a new chat arriving during the hourly cleanup.
+    await Promise.all([store.prune(2000), store.append(record("new", Date.now()))]);
+
+    const records = await store.list();
+    expect(records.map((entry) => entry.id)).toEqual(["kept", "new"]);
+  });
+});
+
+describe("createConversationLogger", () => {
+  it("masks personal data before saving an exchange", async () => {
+    const store = createMemoryLogStore();
+    const logger = createConversationLogger({ enabled: true, store });
+    await logger.record({
+      flow: "portfolio",
+      session_id: "session1",
+      prompt: "Mail me at jun@example.com",
+      reply: "Sure.",
+      latencyMs: 120,
+      upstreamStatus: 200,
+    });
+
+    const [saved] = await store.list();
+    expect(saved).toMatchObject({ flow: "portfolio", session_id: "session1", reply: "Sure." });
+    expect(saved.prompt).not.toContain("jun@example.com");
+  });
+
+  it("saves nothing while logging is off", async () => {
+    const store = createMemoryLogStore();
+    await createConversationLogger({ enabled: false, store }).record({ prompt: "Hi" });
+    expect(await store.list()).toEqual([]);
+  });
+});
+
+describe("analytics", () => {
+  const exchange = (session_id, timestamp, prompt, fields) => ({
+    session_id,
+    timestamp,
+    prompt,
+    ...fields,
+  });
+  const records = [
+    exchange("a", "2026-01-01T10:00:00Z", "Favorite project?", { latencyMs: 100 }),
+    exchange("a", "2026-01-01T09:00:00Z", "favorite project", { latencyMs: 300 }),
+    exchange("b", "2026-01-02T10:00:00Z", "Hi", { error: "upstream_timeout" }),
+  ];
+
+  it("groups records into sessions, newest first, each oldest first", () => {
+    const sessions = groupSessions(records);
+    expect(sessions.map((session) => session.session_id)).toEqual(["b", "a"]);
+    expect(sessions[0]).toMatchObject({ exchanges: 1, errors: 1 });
+    expect(sessions[1].records.map((record) => record.latencyMs)).toEqual([300, 100]);
+  });
+
+  it("sums up requests, errors, latency and the most asked questions", () => {
+    expect(computeAggregates(records)).toEqual({
+      totalRequests: 3,
+      errorRate: 1 / 3,
+      p95LatencyMs: 300,
+      daily: [
+        { date: "2026-01-01", requests: 2, errors: 0, p95LatencyMs: 300 },
+        { date: "2026-01-02", requests: 1, errors: 1, p95LatencyMs: null },
+      ],
+      topQuestions: [
+        { prompt: "Favorite project?", count: 2 },
+        { prompt: "Hi", count: 1 },
+      ],
+    });
+  });
+});
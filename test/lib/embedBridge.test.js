@@ -0,0 +1,63 @@
+/** @jest-environment ./test/helpers/jsdomEnvironment.js */
+
+import { HOST_SOURCE, WIDGET_SOURCE, createHostBridge } from "../../lib/embedBridge";
+
+const HOST = "https://host.example";
+
+// The widget runs in an iframe; jsdom's page is the top window, so give it a
+// separate parent window to talk to.
+let parent;
+
+const setParent = (value) =>
+  Object.defineProperty(window, "parent", { value, configurable: true });
+
+beforeEach(() => {
+  parent = { postMessage: jest.fn() };
+  setParent(parent);
+  window.history.replaceState(null, "", `/?origin=${encodeURIComponent(HOST)}&embed=1`);
+});
+
+afterEach(() => {
+  setParent(window);
+  window.history.replaceState(null, "", "/");
+});
+
+const fromHost = (data, { origin = HOST, source = parent } = {}) =>
+  window.dispatchEvent(Object.assign(new Event("message"), { data, origin, source }));
+
+describe("createHostBridge", () => {
+  it("posts events to the host page's origin only", () => {
+    const bridge = createHostBridge();
+    expect(bridge.isEmbedded).toBe(true);
+
+    bridge.post("opened", { flow: "portfolio" });
+    expect(parent.postMessage).toHaveBeenCalledWith(
+      { source: WIDGET_SOURCE, type: "opened", flow: "portfolio" },
+      HOST
+    );
+  });
+
+  it("only passes on commands from the host page", () => {
+    const handler = jest.fn();
+    const stop = createHostBridge().listen(handler);
+
+    fromHost({ source: HOST_SOURCE, type: "open" });
+    fromHost({ source: HOST_SOURCE, type: "open" }, { origin: "https://evil.example" });
+    fromHost({ source: HOST_SOURCE, type: "open" }, { source: {} });
+    fromHost({ source: "someone-else", type: "open" });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ source: HOST_SOURCE, type: "open" });
+
+    stop();
+    fromHost({ source: HOST_SOURCE, type: "close" });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("isn't created for hosts off the allowlist or outside an iframe", () => {
+    expect(createHostBridge(["https://other.example"])).toBeNull();
+    expect(createHostBridge(["https://*.example"])).not.toBeNull();
+
+    setParent(window);
+    expect(createHostBridge()).toBeNull();
+  });
+});
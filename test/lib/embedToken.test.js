@@ -0,0 +1,36 @@
+import { createEmbedToken, verifyEmbedToken } from "../../lib/embedToken";
+
+const secret = "test-secret";
+
+describe("embed tokens", () => {
+  it("accepts tokens signed with the secret", () => {
+    const token = createEmbedToken({ secret, flow: "portfolio" });
+    expect(verifyEmbedToken(token, { secret, flow: "portfolio" })).toMatchObject({
+      valid: true,
+      payload: { flow: "portfolio" },
+    });
+  });
+
+  it("refuses tokens signed with another secret or edited afterwards", () => {
+    const token = createEmbedToken({ secret: "other-secret" });
+    expect(verifyEmbedToken(token, { secret })).toEqual({ valid: false, reason: "Bad signature" });
+
+    const [, signature] = createEmbedToken({ secret }).split(".");
+    const longer = Buffer.from(JSON.stringify({ exp: 9999999999 })).toString("base64url");
+    expect(verifyEmbedToken(`${longer}.${signature}`, { secret }).valid).toBe(false);
+  });
+
+  it("refuses expired tokens and tokens for another flow", () => {
+    expect(verifyEmbedToken(createEmbedToken({ secret, ttl: -1 }), { secret })).toEqual({
+      valid: false,
+      reason: "Token expired",
+    });
+    const token = createEmbedToken({ secret, flow: "support" });
+    expect(verifyEmbedToken(token, { secret, flow: "portfolio" }).valid).toBe(false);
+  });
+
+  it("refuses missing or malformed tokens", () => {
+    expect(verifyEmbedToken(undefined, { secret }).valid).toBe(false);
+    expect(verifyEmbedToken("not-a-token", { secret }).valid).toBe(false);
+  });
+});
@@ -0,0 +1,24 @@
+import chatConfig from "../../config/config";
+import { checkText, runGuardrailTests } from "../../lib/guardrails";
+
+describe("guardrail rules", () => {
+  it("pass their own tests in config/guardrails.json", () => {
+    expect(runGuardrailTests().filter((test) => !test.passed)).toEqual([]);
+  });
+
+  it("don't refuse any starter prompt the widget offers", () => {
+    Object.values(chatConfig.flows).forEach((flow) => {
+      const prompts = [
+        ...flow.suggestedPrompts,
+        ...Object.values(flow.locales || {}).flatMap((locale) => locale.suggestedPrompts || []),
+      ].map((prompt) => (typeof prompt === "string" ? prompt : prompt.text));
+
+      prompts.forEach((prompt) => {
+        expect({ prompt, ...checkText(prompt, "input", { flow }) }).toMatchObject({
+          prompt,
+          action: "allow",
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/** @jest-environment ./test/helpers/jsdomEnvironment.js */
+
+import chatConfig from "../../config/config";
+import { clearHistory, loadDraft, loadHistory, saveDraft, saveHistory } from "../../lib/history";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const messages = (count) =>
+  Array.from({ length: count }, (_, i) => ({ role: "user", content: `Message ${i}` }));
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe("conversation history", () => {
+  it("restores the most recent messages of a session", () => {
+    saveHistory("session1", messages(chatConfig.history.maxMessages + 5));
+
+    const restored = loadHistory("session1");
+    expect(restored).toHaveLength(chatConfig.history.maxMessages);
+    expect(restored[0].content).toBe("Message 5");
+    expect(loadHistory("session2")).toEqual([]);
+  });
+
+  it("forgets a session when it's cleared", () => {
+    saveHistory("session1", messages(2));
+    clearHistory("session1");
+    expect(loadHistory("session1")).toEqual([]);
+  });
+
+  it("drops expired and broken transcripts of any session", () => {
+    const expired = Date.now() - (chatConfig.history.ttlHours + 1) * HOUR_MS;
+    localStorage.setItem(
+      "chatHistory:old",
+      JSON.stringify({ updatedAt: expired, messages: messages(1) })
+    );
+    localStorage.setItem("chatHistory:broken", "{");
+
+    expect(loadHistory("old")).toEqual([]);
+    expect(localStorage.getItem("chatHistory:old")).toBeNull();
+    expect(localStorage.getItem("chatHistory:broken")).toBeNull();
+  });
+
+  it("works without storage", () => {
+    const getItem = jest.spyOn(Storage.prototype, "getItem").mockImplementation(() => {
+      throw new Error("SecurityError");
+    });
+    const setItem = jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new Error("QuotaExceededError");
+    });
+    try {
+      expect(() => saveHistory("session1", messages(1))).not.toThrow();
+      expect(loadHistory("session1")).toEqual([]);
+    } finally {
+      getItem.mockRestore();
+      setItem.mockRestore();
+    }
+  });
+});
+
+describe("drafts", () => {
+  it("keeps the unsent text of each session", () => {
+    saveDraft("session1", "Half a question");
+    expect(loadDraft("session1")).toBe("Half a question");
+    expect(loadDraft("session2")).toBe("");
+  });
+
+  it("removes the draft once the composer is empty", () => {
+    saveDraft("session1", "Half a question");
+    saveDraft("session1", "");
+    expect(localStorage.getItem("chatDraft:session1")).toBeNull();
+  });
+
+  it("ignores expired drafts", () => {
+    const expired = Date.now() - (chatConfig.history.ttlHours + 1) * HOUR_MS;
+    localStorage.setItem("chatDraft:session1", JSON.stringify({ updatedAt: expired, text: "Old" }));
+    expect(loadDraft("session1")).toBe("");
+  });
+});
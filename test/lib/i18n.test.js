@@ -0,0 +1,59 @@
+import bundles from "../../config/locales";
+import {
+  createTranslator,
+  getTextDirection,
+  localizeFlow,
+  matchLocale,
+} from "../../lib/i18n";
+import { getFlow } from "../../lib/flows";
+
+describe("matchLocale", () => {
+  it("picks the bundle for a language or its base language", () => {
+    expect(matchLocale("es")).toBe("es");
+    expect(matchLocale("es-MX")).toBe("es");
+    expect(matchLocale("AR_eg")).toBe("ar");
+    expect(matchLocale("fr")).toBeNull();
+    expect(matchLocale(undefined)).toBeNull();
+  });
+});
+
+describe("getTextDirection", () => {
+  it("is right to left for Arabic and its regional variants", () => {
+    expect(getTextDirection("ar")).toBe("rtl");
+    expect(getTextDirection("ar-EG")).toBe("rtl");
+    expect(getTextDirection("es")).toBe("ltr");
+  });
+});
+
+describe("createTranslator", () => {
+  it("fills placeholders and falls back to the default locale's strings", () => {
+    const t = createTranslator("es");
+    expect(t("edit")).toBe(bundles.es.edit);
+    expect(t("sharedOn", { date: "1/3/2026" })).toContain("1/3/2026");
+    expect(createTranslator("fr")("edit")).toBe(bundles.en.edit);
+    expect(t("noSuchKey")).toBe("noSuchKey");
+  });
+
+  it("has every bundle use the same placeholders as the default one", () => {
+    const placeholders = (text) => (text.match(/\{\{\s*\w+\s*\}\}/g) || []).sort();
+    Object.entries(bundles).forEach(([locale, strings]) => {
+      Object.entries(strings).forEach(([key, text]) => {
+        expect({ locale, key, placeholders: placeholders(text) }).toEqual({
+          locale,
+          key,
+          placeholders: placeholders(bundles.en[key] ?? ""),
+        });
+      });
+    });
+  });
+});
+
+describe("localizeFlow", () => {
+  it("uses the flow's translated header and prompts when it has them", () => {
+    const flow = getFlow();
+    const spanish = localizeFlow(flow, "es");
+    expect(spanish.header.title).toBe(flow.locales.es.header.title);
+    expect(spanish.suggestedPrompts).toEqual(flow.locales.es.suggestedPrompts);
+    expect(localizeFlow(flow, "fr")).toBe(flow);
+  });
+});
@@ -0,0 +1,74 @@
+import {
+  MESSAGE_STATUS,
+  conversationReducer,
+  createAgentMessage,
+  createUserMessage,
+  getUpstreamFields,
+  normalizeMessage,
+} from "../../lib/messages";
+
+describe("messages", () => {
+  it("get their own IDs and start out pending (user) or sent (agent)", () => {
+    const question = createUserMessage("Favorite project?");
+    const reply = createAgentMessage({ content: "Jun builds widgets." });
+    expect(question).toMatchObject({ role: "user", status: MESSAGE_STATUS.PENDING });
+    expect(reply).toMatchObject({ role: "agent", status: MESSAGE_STATUS.SENT });
+    expect(question.id).not.toBe(reply.id);
+    expect(question).not.toHaveProperty("attachments");
+  });
+
+  it("keep the upstream fields other than the reply text", () => {
+    expect(getUpstreamFields({ content: "Hi", citations: [1] })).toEqual({ citations: [1] });
+    expect(getUpstreamFields({ content: "Hi" })).toBeUndefined();
+  });
+
+  it("saved by older versions of the widget are brought up to date", () => {
+    expect(normalizeMessage({ role: "agent", content: "Hi", streaming: true })).toMatchObject({
+      id: expect.any(String),
+      status: MESSAGE_STATUS.SENT,
+      createdAt: null,
+    });
+    expect(normalizeMessage({ role: "user", content: "Hi", failed: true }).status).toBe(
+      MESSAGE_STATUS.FAILED
+    );
+    // Never answered before the page was closed.
+    expect(normalizeMessage({ id: "1", role: "user", content: "Hi", status: "pending" })).toEqual(
+      expect.objectContaining({ id: "1", status: MESSAGE_STATUS.FAILED })
+    );
+  });
+});
+
+describe("conversationReducer", () => {
+  const question = createUserMessage("Favorite project?");
+  const reply = createAgentMessage({ content: "Jun ", status: MESSAGE_STATUS.STREAMING });
+
+  it("adds, streams into and updates messages by ID", () => {
+    let state = conversationReducer([], { type: "add", message: question });
+    state = conversationReducer(state, { type: "add", message: reply });
+    state = conversationReducer(state, { type: "appendContent", id: reply.id, delta: "builds." });
+    state = conversationReducer(state, {
+      type: "update",
+      id: reply.id,
+      changes: { status: MESSAGE_STATUS.SENT },
+    });
+    expect(state[1]).toMatchObject({ content: "Jun builds.", status: MESSAGE_STATUS.SENT });
+    expect(state[0]).toBe(question);
+  });
+
+  it("ignores updates to messages that are gone", () => {
+    const state = [question];
+    expect(conversationReducer(state, { type: "appendContent", id: "gone", delta: "x" })).toEqual(
+      state
+    );
+  });
+
+  it("drops a message and everything after it", () => {
+    const state = conversationReducer([question, reply], { type: "truncate", id: question.id });
+    expect(state).toEqual([]);
+    expect(conversationReducer([question], { type: "clear" })).toEqual([]);
+  });
+
+  it("refuses unknown actions", () => {
+    expect(() => conversationReducer([], { type: "rewind" })).toThrow(/rewind/);
+  });
+});
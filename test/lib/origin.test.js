@@ -0,0 +1,39 @@
+import chatConfig from "../../config/config";
+import { getFrameAncestors, getRequestOrigin, isOriginAllowed } from "../../lib/origin";
+
+const request = (headers) => ({ headers: { host: "chat.example.com", ...headers } });
+
+afterEach(() => {
+  delete process.env.ALLOWED_ORIGINS;
+});
+
+describe("getRequestOrigin", () => {
+  it("uses the Origin header, then the Referer", () => {
+    expect(getRequestOrigin(request({ origin: "https://a.com" }))).toBe("https://a.com");
+    expect(getRequestOrigin(request({ referer: "https://b.com/page?x=1" }))).toBe("https://b.com");
+    expect(getRequestOrigin(request({ origin: "null" }))).toBeNull();
+  });
+});
+
+describe("isOriginAllowed", () => {
+  it("allows any site while the list is empty", () => {
+    expect(chatConfig.security.allowedOrigins).toEqual([]);
+    expect(isOriginAllowed("https://anywhere.com", request())).toBe(true);
+    expect(getFrameAncestors()).toBeNull();
+  });
+
+  it("allows listed sites, their subdomains and the deployment itself", () => {
+    process.env.ALLOWED_ORIGINS = "https://example.org/, https://*.example.net";
+    const req = request();
+    expect(isOriginAllowed("https://example.org", req)).toBe(true);
+    expect(isOriginAllowed("https://blog.example.net", req)).toBe(true);
+    expect(isOriginAllowed("https://chat.example.com", req)).toBe(true);
+
+    expect(isOriginAllowed("https://notexample.net", req)).toBe(false);
+    expect(isOriginAllowed("http://blog.example.net", req)).toBe(false);
+    expect(isOriginAllowed(null, req)).toBe(false);
+    expect(getFrameAncestors()).toBe(
+      "frame-ancestors 'self' https://example.org https://*.example.net"
+    );
+  });
+});
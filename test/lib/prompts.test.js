@@ -0,0 +1,51 @@
+import { normalizePrompts, readFollowUps, selectStarterPrompts } from "../../lib/prompts";
+
+describe("normalizePrompts", () => {
+  it("accepts strings and objects and drops entries without text", () => {
+    const list = ["Hi", { text: " Yo ", weight: 2, variant: "A" }, { text: "" }, null];
+    expect(normalizePrompts(list)).toEqual([
+      { text: "Hi", weight: 1, variant: null },
+      { text: "Yo", weight: 2, variant: "A" },
+    ]);
+    expect(normalizePrompts("not a list")).toEqual([]);
+  });
+});
+
+describe("selectStarterPrompts", () => {
+  const list = [
+    "Shared",
+    { text: "Only A", variant: "A" },
+    { text: "Only B", variant: "B" },
+  ];
+
+  it("keeps each visitor in one variant", () => {
+    const first = selectStarterPrompts(list, { userId: "visitor1" });
+    const again = selectStarterPrompts(list, { userId: "visitor1" });
+    expect(again.variant).toBe(first.variant);
+
+    const texts = first.prompts.map((prompt) => prompt.text).sort();
+    expect(texts).toEqual(["Shared", `Only ${first.variant}`].sort());
+  });
+
+  it("puts heavier prompts first for the same random draw", () => {
+    const weighted = ["Light", { text: "Heavy", weight: 9 }, { text: "Medium", weight: 3 }];
+    const { prompts } = selectStarterPrompts(weighted, { random: () => 0.5 });
+    expect(prompts.map((prompt) => prompt.text)).toEqual(["Heavy", "Medium", "Light"]);
+  });
+
+  it("has no variant when the list has none", () => {
+    expect(selectStarterPrompts(["Hi"]).variant).toBeNull();
+  });
+});
+
+describe("readFollowUps", () => {
+  it("reads unique questions from any of the known fields, up to the maximum", () => {
+    expect(readFollowUps({ follow_ups: ["A?", { text: "B?" }, "A?", "C?", "D?"] })).toEqual([
+      "A?",
+      "B?",
+      "C?",
+    ]);
+    expect(readFollowUps({ suggestions: ["x".repeat(201), "Short?"] }, 5)).toEqual(["Short?"]);
+    expect(readFollowUps({ content: "No suggestions" })).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+import openaiProvider from "../../lib/providers/openai";
+import { getProvider, sendWithFailover } from "../../lib/providers";
+import { startApiServer } from "../helpers/apiServer";
+
+let completions;
+let received;
+
+beforeAll(async () => {
+  // A chat-completions endpoint that answers with the number of messages sent.
+  received = [];
+  completions = await startApiServer((req, res) => {
+    received.push({ headers: req.headers, body: req.body });
+    res.status(200).json({
+      model: req.body.model,
+      choices: [{ message: { role: "assistant", content: `Got ${req.body.messages.length}` } }],
+    });
+  });
+  process.env.TEST_OPENAI_KEY = "test-key";
+});
+
+afterAll(async () => {
+  await completions.close();
+  delete process.env.TEST_OPENAI_KEY;
+});
+
+beforeEach(() => {
+  received.length = 0;
+});
+
+const request = (content, extra = {}) => ({
+  message: { role: "user", content },
+  variables: { follow_up_count: 2 },
+  stateful: true,
+  session_id: "session1",
+  ...extra,
+});
+
+describe("OpenAI-compatible provider", () => {
+  const settings = {
+    provider: "openai",
+    model: "test-model",
+    apiKeyEnv: "TEST_OPENAI_KEY",
+    systemPrompt: "Suggest {{follow_up_count}} follow-ups.",
+  };
+
+  it("sends the system prompt and the session's earlier turns", async () => {
+    // The server path is the base URL; "/chat/completions" is added to it.
+    const target = { ...settings, baseURL: completions.url };
+
+    const first = request("Favorite project?");
+    const response = await openaiProvider.send(first, { settings: target });
+    const output = openaiProvider.readResponse(await response.json());
+    expect(output).toEqual({ content: "Got 2", model: "test-model" });
+    openaiProvider.onReply(first, output, { settings: target });
+
+    await openaiProvider.send(request("Why?"), { settings: target });
+    const { headers, body } = received[1];
+    expect(headers.authorization).toBe("Bearer test-key");
+    expect(body.messages).toEqual([
+      { role: "system", content: "Suggest 2 follow-ups." },
+      { role: "user", content: "Favorite project?" },
+      { role: "assistant", content: "Got 2" },
+      { role: "user", content: "Why?" },
+    ]);
+  });
+
+  it("reads streamed deltas", () => {
+    expect(openaiProvider.readStreamEvent({ choices: [{ delta: { content: "Hi" } }] })).toEqual({
+      delta: "Hi",
+    });
+    expect(openaiProvider.readStreamEvent({ choices: [{ delta: {} }] })).toBeNull();
+  });
+});
+
+describe("sendWithFailover", () => {
+  it("tries the fallbacks when a backend fails", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const flow = {
+      provider: "mock",
+      status: 503,
+      fallbacks: [{ provider: "mock", reply: "From the fallback" }],
+    };
+    const { settings, response } = await sendWithFailover(flow, request("Hi", { stream: false }));
+    expect(settings.reply).toBe("From the fallback");
+    expect((await response.json()).output_data.content).toBe("From the fallback");
+    console.warn.mockRestore();
+  });
+
+  it("doesn't fail over on errors every backend would return", async () => {
+    const flow = { provider: "mock", status: 400, fallbacks: [{ provider: "mock" }] };
+    const { response } = await sendWithFailover(flow, request("Hi"));
+    expect(response.status).toBe(400);
+  });
+
+  it("refuses unknown providers", () => {
+    expect(() => getProvider("carrier-pigeon")).toThrow(/carrier-pigeon/);
+  });
+});
@@ -0,0 +1,60 @@
+import { createRateLimiter, getClientIp, sendRateLimited } from "../../lib/rateLimit";
+
+const request = (forwarded) => ({
+  headers: forwarded ? { "x-forwarded-for": forwarded } : {},
+  socket: { remoteAddress: "10.0.0.1" },
+});
+
+describe("getClientIp", () => {
+  it("uses the connection's address when no proxy is trusted", () => {
+    expect(getClientIp(request("203.0.113.7"), 0)).toBe("10.0.0.1");
+  });
+
+  it("takes the address the outermost trusted proxy added", () => {
+    expect(getClientIp(request("203.0.113.7"), 1)).toBe("203.0.113.7");
+    expect(getClientIp(request("1.2.3.4, 203.0.113.7"), 1)).toBe("203.0.113.7");
+    expect(getClientIp(request("1.2.3.4, 203.0.113.7, 10.0.0.2"), 2)).toBe("203.0.113.7");
+  });
+
+  it("falls back to the connection's address without the header", () => {
+    expect(getClientIp(request(), 1)).toBe("10.0.0.1");
+  });
+});
+
+describe("createRateLimiter", () => {
+  it("refuses requests over the limit and says when to retry", async () => {
+    const limiter = createRateLimiter({ perMinute: 2 });
+    expect(await limiter.check(["ip:a"])).toEqual({ limited: false });
+    expect(await limiter.check(["ip:a"])).toEqual({ limited: false });
+    expect(await limiter.check(["ip:a"])).toMatchObject({ limited: true, scope: "minute" });
+    expect(await limiter.check(["ip:b"])).toEqual({ limited: false });
+  });
+});
+
+describe("sendRateLimited", () => {
+  it("answers 429 with the scope and a Retry-After header", () => {
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    sendRateLimited(res, { limited: true, scope: "day", retryAfter: 42 });
+    expect(res.statusCode).toBe(429);
+    expect(res.headers["Retry-After"]).toBe("42");
+    expect(res.body).toEqual({
+      error: "Too many requests",
+      code: "rate_limited",
+      scope: "day",
+      retryAfter: 42,
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { chatRequestSchema, validate } from "../../lib/schema";
+
+const chatRequest = (fields = {}) => ({
+  data: { message: { role: "user", content: "Favorite project?" } },
+  session_id: "abc-123",
+  ...fields,
+});
+
+describe("validate", () => {
+  it("returns a clean copy without undeclared fields", () => {
+    const { value, errors } = validate(chatRequestSchema, chatRequest({ model: "gpt-5", extra: 1 }));
+    expect(errors).toEqual({});
+    expect(value).toEqual(chatRequest());
+  });
+
+  it("reports every failing field by its path", () => {
+    const { errors } = validate(chatRequestSchema, {
+      data: { message: { role: "system", content: " " }, variables: { name: 42 } },
+      session_id: "not/an/id",
+      stream: "yes",
+    });
+    expect(errors).toEqual({
+      "data.message.role": "must be one of: user",
+      "data.message.content": "must not be empty",
+      "data.variables.name": "must be a string",
+      session_id: "has an invalid format",
+      stream: "must be a boolean",
+    });
+  });
+
+  it("only lets trusted callers set internal fields", () => {
+    expect(validate(chatRequestSchema, chatRequest({ debug: true })).errors).toEqual({
+      debug: "is not allowed",
+    });
+    const trusted = validate(chatRequestSchema, chatRequest({ debug: true }), {
+      allowInternal: true,
+    });
+    expect(trusted.value.debug).toBe(true);
+  });
+
+  it("requires a body", () => {
+    expect(validate(chatRequestSchema, undefined).errors).toEqual({ body: "is required" });
+  });
+});
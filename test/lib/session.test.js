@@ -0,0 +1,54 @@
+/** @jest-environment ./test/helpers/jsdomEnvironment.js */
+
+import { getSessionId, getUserId, resetSessionId } from "../../lib/session";
+
+beforeEach(() => {
+  sessionStorage.clear();
+  localStorage.clear();
+});
+
+describe("getSessionId", () => {
+  it("creates a 32 character ID and keeps it in sessionStorage", () => {
+    const sessionId = getSessionId();
+    expect(sessionId).toMatch(/^[0-9a-f]{32}$/);
+    expect(sessionStorage.getItem("sessionId")).toBe(sessionId);
+  });
+
+  it("returns the same ID for the rest of the tab's life", () => {
+    expect(getSessionId()).toBe(getSessionId());
+  });
+
+  it("replaces stored IDs the proxy would refuse", () => {
+    sessionStorage.setItem("sessionId", "x".repeat(40));
+    expect(getSessionId()).toMatch(/^[0-9a-f]{32}$/);
+  });
+});
+
+describe("resetSessionId", () => {
+  it("starts a new session", () => {
+    const first = getSessionId();
+    const second = resetSessionId();
+    expect(second).not.toBe(first);
+    expect(getSessionId()).toBe(second);
+  });
+});
+
+describe("getUserId", () => {
+  it("creates a 32 character ID and keeps it in localStorage", () => {
+    const userId = getUserId();
+    expect(userId).toMatch(/^[0-9a-f]{32}$/);
+    expect(localStorage.getItem("userId")).toBe(userId);
+  });
+
+  it("survives a new session", () => {
+    const userId = getUserId();
+    resetSessionId();
+    sessionStorage.clear();
+    expect(getUserId()).toBe(userId);
+  });
+
+  it("replaces stored IDs the proxy would refuse", () => {
+    localStorage.setItem("userId", "x".repeat(40));
+    expect(getUserId()).toMatch(/^[0-9a-f]{32}$/);
+  });
+});
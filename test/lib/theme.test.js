@@ -0,0 +1,45 @@
+/** @jest-environment ./test/helpers/jsdomEnvironment.js */
+
+import { renderHook } from "@testing-library/react";
+import chatConfig from "../../config/config";
+import { resolveTheme, useTheme } from "../../lib/theme";
+
+afterEach(() => {
+  window.history.replaceState(null, "", "/");
+});
+
+describe("resolveTheme", () => {
+  it("applies the dark values on top of the light ones", () => {
+    const { styling } = chatConfig;
+    expect(resolveTheme("light")).toMatchObject({
+      scheme: "light",
+      primaryColor: styling.primaryColor,
+    });
+    expect(resolveTheme("dark")).toMatchObject({
+      scheme: "dark",
+      primaryColor: styling.dark.primaryColor,
+      fontFamily: styling.fontFamily,
+    });
+  });
+});
+
+describe("useTheme", () => {
+  it("takes overrides and the color scheme from the page URL", () => {
+    window.history.replaceState(null, "", "/?primaryColor=%23ff5500&colorScheme=dark");
+    const { result } = renderHook(() => useTheme());
+    expect(result.current).toMatchObject({ scheme: "dark", primaryColor: "#ff5500" });
+  });
+
+  it("ignores unknown settings and values that could inject CSS", () => {
+    const query = new URLSearchParams({
+      textColor: "red; background: url(https://evil.example)",
+      accentColor: "url(javascript:alert(1))",
+      dark: "yes",
+    });
+    window.history.replaceState(null, "", `/?${query}`);
+    const { result } = renderHook(() => useTheme());
+    expect(result.current.textColor).toBe(chatConfig.styling.textColor);
+    expect(result.current.accentColor).toBe(chatConfig.styling.accentColor);
+    expect(result.current.dark).toBeUndefined();
+  });
+});
@@ -0,0 +1,29 @@
+import { buildTranscript, toMarkdown, toPlainText } from "../../lib/transcript";
+import { MESSAGE_STATUS } from "../../lib/messages";
+
+const conversation = [
+  { role: "user", content: "¿Proyecto favorito?", status: MESSAGE_STATUS.SENT },
+  { role: "agent", content: "Widgets de chat.", status: MESSAGE_STATUS.SENT },
+  { role: "user", content: "Never sent", status: MESSAGE_STATUS.FAILED },
+];
+const flow = { name: "portfolio", header: { title: "Pregúntame" } };
+
+describe("transcripts", () => {
+  it("labels messages in the visitor's language", () => {
+    const transcript = buildTranscript({ conversation, sessionId: "abc", flow, locale: "es" });
+    expect(transcript.locale).toBe("es");
+    expect(transcript.messages).toHaveLength(2);
+
+    const text = toPlainText(transcript);
+    expect(text).toContain("Sesión: abc");
+    expect(text).toContain("Tú:\n¿Proyecto favorito?");
+    expect(text).toContain("Agente:\nWidgets de chat.");
+    expect(toMarkdown(transcript)).toContain("### Agente");
+  });
+
+  it("uses the default locale's labels otherwise", () => {
+    const text = toPlainText(buildTranscript({ conversation, sessionId: "abc", flow }));
+    expect(text).toContain("You:\n¿Proyecto favorito?");
+    expect(text).toContain("Session: abc");
+  });
+});
@@ -0,0 +1,58 @@
+import { ProxyError } from "../../lib/errors";
+import { fetchWithRetry } from "../../lib/upstream";
+import { replies, startMockZeroWidthServer } from "../helpers/mockZeroWidthServer";
+
+let zerowidth;
+
+const post = (options) =>
+  fetchWithRetry(zerowidth.url, { method: "POST", body: "{}", baseDelayMs: 1, ...options });
+
+beforeAll(async () => {
+  zerowidth = await startMockZeroWidthServer();
+});
+
+afterAll(async () => {
+  await zerowidth.close();
+});
+
+beforeEach(() => {
+  zerowidth.reset();
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("fetchWithRetry", () => {
+  it("retries server errors and returns the first good response", async () => {
+    zerowidth.respondWith(replies.error(503), replies.success("Hello"));
+    const response = await post({ retries: 2 });
+    expect(response.status).toBe(200);
+    expect(zerowidth.requests).toHaveLength(2);
+  });
+
+  it("doesn't retry client errors", async () => {
+    zerowidth.respondWith(replies.error(400));
+    expect((await post({ retries: 2 })).status).toBe(400);
+    expect(zerowidth.requests).toHaveLength(1);
+  });
+
+  it("gives up with a 504 when every attempt times out", async () => {
+    zerowidth.respondWith(replies.slow(500));
+    const error = await post({ retries: 1, timeoutMs: 50 }).catch((err) => err);
+    expect(error).toBeInstanceOf(ProxyError);
+    expect(error).toMatchObject({ status: 504, code: "upstream_timeout" });
+    expect(zerowidth.requests).toHaveLength(2);
+  });
+
+  it("stops at once, without retrying, when the caller aborts", async () => {
+    zerowidth.respondWith(replies.slow(500));
+    const controller = new AbortController();
+    const request = post({ retries: 3, signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(request).rejects.toMatchObject({ name: "AbortError" });
+    expect(zerowidth.requests).toHaveLength(1);
+  });
+});
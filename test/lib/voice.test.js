@@ -0,0 +1,234 @@
+import {
+  getVoiceInputMode,
+  loadReadAloud,
+  saveReadAloud,
+  startVoiceInput,
+  toSpeechText,
+} from "../../lib/voice";
+
+// Lets pending promise callbacks (the fake microphone, transcription) run.
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * A browser with speech recognition. `recognitions` holds every instance
+ * the code under test created, so tests can fire its events.
+ */
+const createRecognitionEnv = () => {
+  const recognitions = [];
+  class FakeRecognition {
+    constructor() {
+      this.started = false;
+      this.stopped = false;
+      recognitions.push(this);
+    }
+    start() {
+      this.started = true;
+    }
+    stop() {
+      this.stopped = true;
+      this.onend();
+    }
+  }
+  return { env: { webkitSpeechRecognition: FakeRecognition }, recognitions };
+};
+
+/**
+ * A browser that can only record. The microphone is granted, or refused
+ * with `micError`, once `grantMicrophone()` is called.
+ */
+const createRecordingEnv = ({ micError } = {}) => {
+  const track = { stop: jest.fn() };
+  let grantMicrophone;
+  const microphone = new Promise((resolve, reject) => {
+    grantMicrophone = () => (micError ? reject(micError) : resolve({ getTracks: () => [track] }));
+  });
+  class FakeRecorder {
+    constructor() {
+      this.state = "inactive";
+      this.mimeType = "audio/webm";
+    }
+    start() {
+      this.state = "recording";
+    }
+    stop() {
+      this.state = "inactive";
+      this.ondataavailable({ data: new Blob(["speech"]) });
+      this.onstop();
+    }
+  }
+  const env = {
+    navigator: { mediaDevices: { getUserMedia: () => microphone } },
+    MediaRecorder: FakeRecorder,
+  };
+  return { env, track, grantMicrophone };
+};
+
+// One SpeechRecognitionResult: a list of alternatives plus `isFinal`.
+const result = (transcript, isFinal) => Object.assign([{ transcript }], { isFinal });
+
+const listen = (options) => {
+  const events = [];
+  const controls = startVoiceInput({
+    lang: "es",
+    onText: (text, isFinal) => events.push(["text", text, isFinal]),
+    onEnd: () => events.push(["end"]),
+    onError: (code) => events.push(["error", code]),
+    ...options,
+  });
+  return { events, controls };
+};
+
+describe("getVoiceInputMode", () => {
+  const settings = { input: true, transcription: { provider: "mock" } };
+  const recorder = {
+    navigator: { mediaDevices: { getUserMedia: () => {} } },
+    MediaRecorder: function MediaRecorder() {},
+  };
+
+  it("prefers the browser's own speech recognition", () => {
+    expect(getVoiceInputMode({ SpeechRecognition: class {}, ...recorder }, settings)).toBe(
+      "recognition"
+    );
+  });
+
+  it("records for server transcription when that's set up", () => {
+    expect(getVoiceInputMode(recorder, settings)).toBe("recording");
+    expect(getVoiceInputMode(recorder, { input: true })).toBeNull();
+  });
+
+  it("is null when voice input is off or unsupported", () => {
+    expect(getVoiceInputMode({ SpeechRecognition: class {} }, { input: false })).toBeNull();
+    expect(getVoiceInputMode({}, settings)).toBeNull();
+  });
+});
+
+describe("toSpeechText", () => {
+  it("leaves out code, URLs and formatting", () => {
+    const markdown = [
+      "## My **favorite** project",
+      "- See [the demo](https://example.com/demo) or https://example.com",
+      "```js",
+      "console.log(1);",
+      "```",
+      "> `npm start` runs it",
+    ].join("\n");
+    expect(toSpeechText(markdown)).toBe(
+      "My favorite project See the demo or npm start runs it"
+    );
+  });
+});
+
+describe("startVoiceInput with speech recognition", () => {
+  it("reports the words heard and when they're final", () => {
+    const { env, recognitions } = createRecognitionEnv();
+    const { events } = listen({ mode: "recognition", env });
+    const [recognition] = recognitions;
+    expect(recognition).toMatchObject({ started: true, lang: "es", interimResults: true });
+
+    recognition.onresult({ results: [result("Hola ", false)] });
+    recognition.onresult({ results: [result("Hola mundo ", true)] });
+    expect(events).toEqual([
+      ["text", "Hola", false],
+      ["text", "Hola mundo", true],
+    ]);
+  });
+
+  it("stops without reporting its own abort as an error", () => {
+    const { env, recognitions } = createRecognitionEnv();
+    const { events, controls } = listen({ mode: "recognition", env });
+
+    recognitions[0].onerror({ error: "aborted" });
+    controls.stop();
+    expect(recognitions[0].stopped).toBe(true);
+    expect(events).toEqual([["end"]]);
+  });
+
+  it("reports other errors, such as a blocked microphone", () => {
+    const { env, recognitions } = createRecognitionEnv();
+    const { events } = listen({ mode: "recognition", env });
+
+    recognitions[0].onerror({ error: "not-allowed" });
+    expect(events).toEqual([["error", "not-allowed"]]);
+  });
+});
+
+describe("startVoiceInput with recording", () => {
+  it("transcribes the recording once stopped and turns the microphone off", async () => {
+    const { env, track, grantMicrophone } = createRecordingEnv();
+    const transcribe = jest.fn().mockResolvedValue("Favorite project?");
+    const { events, controls } = listen({ mode: "recording", env, transcribe });
+
+    grantMicrophone();
+    await flush();
+    controls.stop();
+    await flush();
+
+    expect(transcribe).toHaveBeenCalledWith(expect.any(Blob));
+    expect(track.stop).toHaveBeenCalled();
+    expect(events).toEqual([["text", "Favorite project?", true], ["end"]]);
+  });
+
+  it("stops as soon as the microphone is ready if stopped before that", async () => {
+    const { env, grantMicrophone } = createRecordingEnv();
+    const transcribe = jest.fn().mockResolvedValue("Hi");
+    const { events, controls } = listen({ mode: "recording", env, transcribe });
+
+    controls.stop();
+    grantMicrophone();
+    await flush();
+
+    expect(transcribe).toHaveBeenCalledTimes(1);
+    expect(events).toEqual([["text", "Hi", true], ["end"]]);
+  });
+
+  it("reports failed transcriptions with the route's error code", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const { env, grantMicrophone } = createRecordingEnv();
+    const transcribe = jest
+      .fn()
+      .mockRejectedValue(Object.assign(new Error("Too many requests"), { code: "rate_limited" }));
+    const { events, controls } = listen({ mode: "recording", env, transcribe });
+
+    grantMicrophone();
+    await flush();
+    controls.stop();
+    await flush();
+
+    expect(events).toEqual([["error", "rate_limited"], ["end"]]);
+    console.error.mockRestore();
+  });
+
+  it("reports a blocked microphone", async () => {
+    const micError = Object.assign(new Error("Permission denied"), { name: "NotAllowedError" });
+    const { env, grantMicrophone } = createRecordingEnv({ micError });
+    const { events } = listen({ mode: "recording", env });
+
+    grantMicrophone();
+    await flush();
+    expect(events).toEqual([["error", "not-allowed"], ["end"]]);
+  });
+});
+
+describe("read-aloud setting", () => {
+  it("is remembered in localStorage", () => {
+    const items = new Map();
+    const env = {
+      localStorage: {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value),
+      },
+    };
+    expect(loadReadAloud(env)).toBe(false);
+    saveReadAloud(true, env);
+    expect(loadReadAloud(env)).toBe(true);
+  });
+
+  it("is off when storage is blocked", () => {
+    const blocked = () => {
+      throw new Error("SecurityError");
+    };
+    const env = { localStorage: { getItem: blocked, setItem: blocked } };
+    expect(() => saveReadAloud(true, env)).not.toThrow();
+    expect(loadReadAloud(env)).toBe(false);
+  });
+});